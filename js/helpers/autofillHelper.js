@@ -0,0 +1,323 @@
+/**
+ * AutofillHelper - автозаповнення сітки з чорними клітинками словами зі словника
+ * Слоти (GridHelper.findSlots) - змінні, слова словника потрібної довжини - домени,
+ * пересічення - обмеження. Пошук з поверненням, прямою перевіркою (forward checking)
+ * та вибором найобмеженішого слота (MRV). Незалежні частини сітки (слоти, не пов'язані
+ * пересіченнями) розв'язуються окремо, кожна з власним бюджетом, тож невдача в одній
+ * частині не зачіпає інші. Між частинами керування повертається браузеру.
+ */
+class AutofillHelper {
+    constructor() {
+        this.config = {
+            maxSteps: 200000,   // Максимальна кількість спроб підстановки (на частину сітки)
+            timeLimit: 5000,    // Ліміт часу пошуку (мс, на частину сітки)
+            minLength: 2
+        };
+    }
+
+    /**
+     * Заповнення сітки
+     * @param {Array} grid - сітка; літери в клітинках вважаються закріпленими
+     * @param {Object} options - опції
+     * @param {Array} options.locked - закріплені слова {word, direction, startRow, startCol}
+     * @param {Array} options.exclude - слова, які не можна використовувати
+     * @param {number} options.maxSteps - бюджет спроб для кожної частини сітки
+     * @param {number} options.timeLimit - бюджет часу для кожної частини сітки (мс)
+     * @returns {Promise<Object>} { success, fills: [{slot, word}], unfillable: [{slots, cells, reason}], stats }
+     */
+    async fill(grid, options = {}) {
+        const config = { ...this.config, ...options };
+        const slots = window.GridHelper.findSlots(grid, config.minLength);
+        const startTime = Date.now();
+        const used = new Set((config.exclude || []).map(word => window.DictionaryHelper.normalizeWord(word)));
+        const stats = { slots: slots.length, steps: 0, time: 0, exhausted: false };
+
+        const fills = [];
+        const unfillable = [];
+        const open = [];
+
+        // Закріплені слова займають свої слоти повністю
+        slots.forEach(slot => {
+            const locked = this.findLockedWord(slot, config.locked || []);
+
+            if (locked?.word.length === slot.length) {
+                used.add(locked.word);
+                return;
+            }
+            if (locked) {
+                unfillable.push(this.createFailure([slot],
+                    `закріплене слово «${locked.word}» не заповнює слот довжиною ${slot.length}`));
+                return;
+            }
+
+            open.push(slot);
+        });
+
+        this.linkSlots(open);
+
+        for (const component of this.findComponents(open)) {
+            const search = this.createSearch(config, used);
+            const result = this.solveComponent(component, grid, search);
+            if (result.success) {
+                fills.push(...result.fills);
+            } else {
+                unfillable.push(result.failure);
+            }
+
+            stats.steps += search.steps;
+            stats.exhausted = stats.exhausted || search.exhausted;
+
+            // Дати браузеру обробити події, перш ніж братися за наступну частину
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        stats.time = Date.now() - startTime;
+        return { success: unfillable.length === 0, fills, unfillable, stats };
+    }
+
+    /**
+     * Стан пошуку для однієї частини сітки: власний бюджет, спільний набір використаних слів
+     * @param {Object} config - налаштування пошуку
+     * @param {Set} used - слова, вже використані в сітці
+     * @returns {Object} стан пошуку
+     */
+    createSearch(config, used) {
+        return {
+            config,
+            steps: 0,
+            startTime: Date.now(),
+            exhausted: false,
+            used,
+            wipeouts: new Map() // слот -> скільки разів його домен спорожнів
+        };
+    }
+
+    /**
+     * Закріплене слово, що починається в слоті в тому ж напрямку
+     */
+    findLockedWord(slot, locked) {
+        return locked.find(wordData =>
+            wordData.direction === slot.direction &&
+            slot.cells.some(cell => cell.row === wordData.startRow && cell.col === wordData.startCol)
+        ) || null;
+    }
+
+    /**
+     * Пересічення між слотами: для кожного слота список {slot, index, otherIndex}
+     * @param {Array} slots - слоти
+     */
+    linkSlots(slots) {
+        const byCell = new Map();
+
+        slots.forEach(slot => {
+            slot.crossings = [];
+            slot.cells.forEach((cell, index) => {
+                const key = `${cell.row}:${cell.col}`;
+                (byCell.get(key) || byCell.set(key, []).get(key)).push({ slot, index });
+            });
+        });
+
+        byCell.forEach(entries => {
+            entries.forEach(a => entries.forEach(b => {
+                if (a.slot !== b.slot) {
+                    a.slot.crossings.push({ slot: b.slot, index: a.index, otherIndex: b.index });
+                }
+            }));
+        });
+    }
+
+    /**
+     * Групи слотів, пов'язаних пересіченнями
+     * @param {Array} slots - слоти з crossings
+     * @returns {Array} масиви слотів
+     */
+    findComponents(slots) {
+        const visited = new Set();
+        const components = [];
+
+        slots.forEach(start => {
+            if (visited.has(start)) return;
+
+            const component = [];
+            const stack = [start];
+            visited.add(start);
+
+            while (stack.length > 0) {
+                const slot = stack.pop();
+                component.push(slot);
+                slot.crossings.forEach(({ slot: other }) => {
+                    if (!visited.has(other)) {
+                        visited.add(other);
+                        stack.push(other);
+                    }
+                });
+            }
+
+            components.push(component);
+        });
+
+        return components;
+    }
+
+    /**
+     * Розв'язання однієї групи слотів
+     * @returns {Object} { success, fills } або { success: false, failure }
+     */
+    solveComponent(slots, grid, search) {
+        const domains = new Map();
+        const empty = [];
+
+        slots.forEach(slot => {
+            const pattern = slot.cells.map(({ row, col }) => grid[row][col].letter || '?').join('');
+            const words = window.DictionaryHelper.matchLength(pattern, slot.length);
+            const ranked = window.DictionaryHelper.rank(words, Infinity).map(result => result.word);
+            domains.set(slot, ranked.filter(word => !search.used.has(word)));
+
+            if (domains.get(slot).length === 0) empty.push({ slot, pattern });
+        });
+
+        if (empty.length > 0) {
+            const patterns = [...new Set(empty.map(({ pattern }) => pattern))].join(', ');
+            return {
+                success: false,
+                failure: this.createFailure(empty.map(({ slot }) => slot), `у словнику немає слів за шаблонами: ${patterns}`)
+            };
+        }
+
+        const assignment = new Map();
+        if (this.backtrack(slots, domains, assignment, search)) {
+            return {
+                success: true,
+                fills: slots.map(slot => ({ slot, word: assignment.get(slot) }))
+            };
+        }
+
+        // Звіт про найпроблемніші слоти групи: ті, чиї домени найчастіше спорожніли
+        const hardest = slots
+            .filter(slot => search.wipeouts.get(slot))
+            .sort((a, b) => search.wipeouts.get(b) - search.wipeouts.get(a))
+            .slice(0, 3);
+
+        const reason = search.exhausted
+            ? 'вичерпано бюджет пошуку'
+            : 'у словнику немає сумісних слів для цієї частини сітки';
+
+        return { success: false, failure: this.createFailure(slots, reason, hardest) };
+    }
+
+    /**
+     * Пошук з поверненням
+     * @returns {boolean} чи знайдено розв'язок
+     */
+    backtrack(slots, domains, assignment, search) {
+        if (assignment.size === slots.length) return true;
+
+        const slot = this.selectSlot(slots, domains, assignment);
+
+        for (const word of domains.get(slot)) {
+            if (search.used.has(word)) continue;
+
+            search.steps++;
+            if (search.steps > search.config.maxSteps || Date.now() - search.startTime > search.config.timeLimit) {
+                search.exhausted = true;
+                return false;
+            }
+
+            assignment.set(slot, word);
+            search.used.add(word);
+
+            const trail = this.forwardCheck(slot, word, domains, assignment, search);
+            if (trail && this.backtrack(slots, domains, assignment, search)) {
+                return true;
+            }
+
+            (trail || []).forEach(([other, domain]) => domains.set(other, domain));
+            assignment.delete(slot);
+            search.used.delete(word);
+
+            if (search.exhausted) return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Найобмеженіший слот (MRV): найменший домен, за рівності - найбільше пересічень
+     */
+    selectSlot(slots, domains, assignment) {
+        let best = null;
+
+        slots.forEach(slot => {
+            if (assignment.has(slot)) return;
+
+            if (!best ||
+                domains.get(slot).length < domains.get(best).length ||
+                (domains.get(slot).length === domains.get(best).length && slot.crossings.length > best.crossings.length)) {
+                best = slot;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Пряма перевірка: звуження доменів сусідніх слотів після підстановки
+     * @returns {Array|null} попередні домени для відкату або null, якщо якийсь домен спорожнів
+     *                       (у такому разі домени вже відновлено)
+     */
+    forwardCheck(slot, word, domains, assignment, search) {
+        const trail = [];
+
+        for (const { slot: other, index, otherIndex } of slot.crossings) {
+            if (assignment.has(other)) continue;
+
+            const domain = domains.get(other);
+            const narrowed = domain.filter(candidate => candidate[otherIndex] === word[index]);
+            trail.push([other, domain]);
+            domains.set(other, narrowed);
+
+            if (narrowed.length === 0) {
+                search.wipeouts.set(other, (search.wipeouts.get(other) || 0) + 1);
+                trail.forEach(([restored, previous]) => domains.set(restored, previous));
+                return null;
+            }
+        }
+
+        return trail;
+    }
+
+    /**
+     * Опис незаповнюваної частини сітки
+     * @param {Array} slots - слоти частини
+     * @param {string} reason - причина
+     * @param {Array} hardest - найпроблемніші слоти
+     * @returns {Object} { slots, cells, reason, hardest }
+     */
+    createFailure(slots, reason, hardest = []) {
+        const cells = new Map();
+        slots.forEach(slot => slot.cells.forEach(cell => cells.set(`${cell.row}:${cell.col}`, cell)));
+
+        const describe = slot => ({
+            id: slot.id,
+            direction: slot.direction,
+            startRow: slot.startRow,
+            startCol: slot.startCol,
+            length: slot.length
+        });
+
+        return {
+            slots: slots.map(describe),
+            cells: Array.from(cells.values()),
+            reason,
+            hardest: hardest.map(describe)
+        };
+    }
+}
+
+// Створення глобального екземпляра
+window.AutofillHelper = new AutofillHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutofillHelper;
+}
@@ -0,0 +1,153 @@
+/**
+ * CodewordHelper - кейворд (кодове слово): кожна літера сітки замінена числом, підказок немає,
+ * кілька стартових літер відкрито, а розв'язувач відновлює ключ «число -> літера»
+ *
+ * Шифр зберігається в метаданих кросворду, тож номери клітинок однакові після збереження,
+ * у друку та під час продовження розв'язку:
+ * metadata.codeword = { key: { 'А': 5, 'Б': 12, ... }, starters: ['А', 'К'] }
+ */
+class CodewordHelper {
+    constructor() {
+        this.config = {
+            starters: 2 // скільки літер відкрито на початку
+        };
+    }
+
+    /**
+     * Літери, що є в сітці (за алфавітом)
+     * @param {Array} grid - сітка з відповідями в cell.letter
+     * @returns {Array} літери
+     */
+    collectLetters(grid) {
+        const letters = new Set();
+        grid.forEach(row => row.forEach(cell => {
+            if (cell.letter && !cell.blocked) letters.add(cell.letter);
+        }));
+
+        return Array.from(letters).sort((a, b) => a.localeCompare(b, 'uk'));
+    }
+
+    /**
+     * Новий випадковий шифр для літер сітки
+     * @param {Array} grid - сітка з відповідями
+     * @param {Object} options - { seed, starters: кількість відкритих літер }
+     * @returns {Object} { key, starters }
+     */
+    createCipher(grid, options = {}) {
+        const layoutHelper = window.LayoutHelper;
+        const random = layoutHelper.createRandom(options.seed);
+        const letters = layoutHelper.shuffle(this.collectLetters(grid), random);
+
+        const key = {};
+        letters.forEach((letter, index) => {
+            key[letter] = index + 1;
+        });
+
+        const count = Math.min(options.starters ?? this.config.starters, letters.length);
+        return { key, starters: layoutHelper.shuffle(letters, random).slice(0, count) };
+    }
+
+    /**
+     * Узгодження шифру зі зміненою сіткою: наявні номери зберігаються, номери зниклих літер
+     * звільняються, нові літери отримують найменші вільні номери
+     * @param {Object|undefined} cipher - попередній шифр
+     * @param {Array} grid - сітка з відповідями
+     * @returns {Object} { key, starters }
+     */
+    updateCipher(cipher, grid) {
+        if (!cipher?.key) return this.createCipher(grid);
+
+        const letters = this.collectLetters(grid);
+        const key = {};
+        letters.forEach(letter => {
+            if (cipher.key[letter]) key[letter] = cipher.key[letter];
+        });
+
+        const used = new Set(Object.values(key));
+        let next = 1;
+        letters.forEach(letter => {
+            if (key[letter]) return;
+            while (used.has(next)) next++;
+            key[letter] = next;
+            used.add(next);
+        });
+
+        const starters = (cipher.starters || []).filter(letter => key[letter]);
+        const count = Math.min(this.config.starters, letters.length);
+        letters.forEach(letter => {
+            if (starters.length < count && !starters.includes(letter)) starters.push(letter);
+        });
+
+        return { key, starters };
+    }
+
+    /**
+     * Таблиця ключа, впорядкована за номерами
+     * @param {Object} cipher - шифр
+     * @returns {Array} { number, letter, isStarter }
+     */
+    getKeyTable(cipher) {
+        return Object.entries(cipher?.key || {})
+            .map(([letter, number]) => ({ number, letter, isStarter: cipher.starters.includes(letter) }))
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Поточні здогадки розв'язувача: число -> введена літера
+     * @param {Array} grid - сітка гри (відповіді в cell.gameValue)
+     * @param {Object} cipher - шифр
+     * @returns {Object} здогадки
+     */
+    getGuesses(grid, cipher) {
+        const guesses = {};
+        grid.forEach(row => row.forEach(cell => {
+            const number = cipher.key[cell.gameValue];
+            if (number && cell.letter && !guesses[number]) guesses[number] = cell.letter;
+        }));
+
+        return guesses;
+    }
+
+    /**
+     * Перенесення здогадки в усі клітинки з тим самим числом
+     * @param {Array} grid - сітка гри
+     * @param {Object} cipher - шифр
+     * @param {number} number - число
+     * @param {string} letter - літера (порожній рядок - стерти)
+     * @returns {Array} змінені клітинки {row, col}
+     */
+    applyGuess(grid, cipher, number, letter) {
+        const changed = [];
+        grid.forEach((rowCells, row) => rowCells.forEach((cell, col) => {
+            if (cell.revealed || cell.given || cipher.key[cell.gameValue] !== number) return;
+            if (cell.letter === letter) return;
+
+            cell.letter = letter;
+            changed.push({ row, col });
+        }));
+
+        return changed;
+    }
+
+    /**
+     * Числа, яким приписано ту саму літеру, що й іншим числам
+     * @param {Object} guesses - число -> літера
+     * @returns {Set} числа з конфліктом
+     */
+    findConflicts(guesses) {
+        const byLetter = new Map();
+        Object.entries(guesses).forEach(([number, letter]) => {
+            (byLetter.get(letter) || byLetter.set(letter, []).get(letter)).push(Number(number));
+        });
+
+        return new Set(Array.from(byLetter.values()).filter(numbers => numbers.length > 1).flat());
+    }
+}
+
+// Створення глобального екземпляра
+window.CodewordHelper = new CodewordHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodewordHelper;
+}
@@ -0,0 +1,429 @@
+/**
+ * DictionaryHelper - словник слів для підбору заповнення: data/words.json та списки користувача
+ *
+ * Формат data/words.json (та JSON-списків користувача):
+ * {
+ *   format: 'crossword-dictionary',
+ *   version: 1,
+ *   language: 'uk',
+ *   words: ['СЛОВО', { word: 'СЛОВО', frequency: 120, clue: 'підказка' }, ...]
+ * }
+ * Замість об'єкта можна передати сам масив words. Якщо частоту не вказано,
+ * вона визначається місцем у списку: списки впорядковано від найуживаніших слів.
+ *
+ * Пошук за шаблоном: "?" - будь-яка одна літера, "*" - будь-яка кількість літер (К?Т??, К*Т).
+ * Індекс: довжина -> позиція -> літера -> номери слів, тож пошук з відомими літерами
+ * переглядає лише найкоротший відповідний список, а не весь словник.
+ */
+class DictionaryHelper {
+    constructor() {
+        this.config = {
+            url: 'data/words.json',
+            userStorageKey: 'crossword_user_dictionary',
+            minLength: 2,
+            maxResults: 50,
+            weights: {
+                frequency: 0.6,
+                friendliness: 0.4
+            }
+        };
+
+        this.entries = new Map(); // слово -> { word, frequency, clue, sources: { джерело -> { frequency, clue } } }
+        this.index = new Map(); // довжина -> { words: [], positions: [Map(літера -> [номери])] }
+        this.maxFrequency = 1;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Завантаження вбудованого словника та збережених списків користувача (один раз)
+     * @returns {Promise<number>} кількість слів у словнику
+     */
+    load() {
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = fetch(this.config.url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Не вдалося завантажити словник (${response.status})`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                // Порожній файл - це порожній словник, а не помилка
+                if (text.trim()) this.addWords(JSON.parse(text), 'builtin');
+                this.loadUserWords();
+                return this.entries.size;
+            });
+
+        // Дозволити повторну спробу, якщо завантаження не вдалося
+        this.loadPromise.catch(() => {
+            this.loadPromise = null;
+            this.loadUserWords();
+        });
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Додавання слів до словника (повторне слово оновлює частоту та підказку).
+     * Значення зберігаються окремо для кожного джерела, тож вбудоване слово,
+     * додане ще й користувачем, залишається у словнику після clearUserWords
+     * @param {Array|Object} data - масив слів або об'єкт { words }
+     * @param {string} source - джерело ('builtin', 'user')
+     * @returns {number} кількість доданих або оновлених слів
+     */
+    addWords(data, source = 'user') {
+        const list = Array.isArray(data) ? data : data?.words;
+        if (!Array.isArray(list)) {
+            throw new Error('Словник має бути масивом слів або об\'єктом { words: [...] }');
+        }
+
+        let count = 0;
+        list.forEach((item, position) => {
+            const entry = this.createEntry(item, list.length - position);
+            if (!entry) return;
+
+            const sources = { ...this.entries.get(entry.word)?.sources };
+            const previous = sources[source];
+            sources[source] = previous
+                ? { frequency: Math.max(previous.frequency, entry.frequency), clue: entry.clue || previous.clue }
+                : { frequency: entry.frequency, clue: entry.clue };
+
+            this.entries.set(entry.word, this.mergeSources(entry.word, sources));
+            count++;
+        });
+
+        this.rebuildIndex();
+        return count;
+    }
+
+    /**
+     * Запис словника зі значень джерел: найбільша частота, підказка користувача має перевагу
+     * @param {string} word - слово
+     * @param {Object} sources - джерело -> { frequency, clue }
+     * @returns {Object} запис словника
+     */
+    mergeSources(word, sources) {
+        const values = Object.values(sources);
+        return {
+            word,
+            frequency: Math.max(...values.map(value => value.frequency)),
+            clue: sources.user?.clue || values.find(value => value.clue)?.clue || '',
+            sources
+        };
+    }
+
+    /**
+     * Розбір текстового списку користувача: одне слово на рядок,
+     * необов'язково з частотою або підказкою ("СЛОВО;120", "СЛОВО — підказка")
+     * @param {string} text - вміст файлу
+     * @returns {Array} записи { word, frequency?, clue? }
+     */
+    parseTextList(text) {
+        const items = [];
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const [word, rest = ''] = line.split(/\s*(?:[;,\t]|\s[—–-]\s)\s*/, 2);
+            const value = rest.trim();
+
+            if (/^\d+$/.test(value)) {
+                items.push({ word, frequency: parseInt(value) });
+            } else {
+                items.push({ word, clue: value });
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * Імпорт списку користувача з вмісту файлу (.json або текст) зі збереженням у localStorage
+     * @param {string} content - вміст файлу
+     * @param {string} fileName - ім'я файлу
+     * @returns {number} кількість доданих слів
+     */
+    importUserList(content, fileName = '') {
+        const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(content);
+        const data = isJSON ? JSON.parse(content) : this.parseTextList(content);
+        const count = this.addWords(data, 'user');
+
+        this.saveUserWords();
+        return count;
+    }
+
+    /**
+     * Видалення всіх слів користувача (вбудовані слова повертаються до власних значень)
+     */
+    clearUserWords() {
+        Array.from(this.entries.values())
+            .filter(entry => entry.sources.user)
+            .forEach(entry => {
+                const { user, ...rest } = entry.sources;
+                if (Object.keys(rest).length === 0) this.entries.delete(entry.word);
+                else this.entries.set(entry.word, this.mergeSources(entry.word, rest));
+            });
+
+        this.rebuildIndex();
+        localStorage.removeItem(this.config.userStorageKey);
+    }
+
+    loadUserWords() {
+        const saved = localStorage.getItem(this.config.userStorageKey);
+        if (!saved) return;
+
+        try {
+            this.addWords(JSON.parse(saved), 'user');
+        } catch (error) {
+            console.warn('Збережений словник користувача пошкоджено:', error);
+        }
+    }
+
+    saveUserWords() {
+        const words = Array.from(this.entries.values())
+            .filter(entry => entry.sources.user)
+            .map(({ word, sources: { user: { frequency, clue } } }) => (clue ? { word, frequency, clue } : { word, frequency }));
+
+        try {
+            localStorage.setItem(this.config.userStorageKey, JSON.stringify({ words }));
+        } catch (error) {
+            // Переповнене сховище не заважає роботі в поточному сеансі
+            console.warn('Не вдалося зберегти словник користувача:', error);
+        }
+    }
+
+    /**
+     * Пошук слів за шаблоном
+     * @param {string} pattern - шаблон ("К?Т??", "К*Т")
+     * @param {Object} options - { limit, exclude: [слова], minLength }
+     * @returns {Array} { word, clue, frequency, friendliness, score }, від найкращих
+     */
+    search(pattern, options = {}) {
+        const normalized = this.normalizePattern(pattern);
+        if (!normalized) return [];
+
+        const exclude = new Set((options.exclude || []).map(word => this.normalizeWord(word)));
+        const minLength = options.minLength || this.config.minLength;
+        const matches = [];
+
+        this.getCandidateLengths(normalized, minLength).forEach(length => {
+            this.matchLength(normalized, length).forEach(word => {
+                if (!exclude.has(word)) matches.push(word);
+            });
+        });
+
+        return this.rank(matches, options.limit ?? this.config.maxResults);
+    }
+
+    /**
+     * Слова для частково заповненого слота: слово може бути коротшим за слот,
+     * але не може закінчуватися перед клітинкою з літерою
+     * @param {string} slot - вміст слота, "?" для порожніх клітинок ("К??А???")
+     * @param {Object} options - { limit, exclude }
+     * @returns {Array} результати як у search
+     */
+    suggestFillers(slot, options = {}) {
+        const cells = this.normalizePattern(slot).replace(/\*/g, '');
+        const exclude = new Set((options.exclude || []).map(word => this.normalizeWord(word)));
+        const matches = [];
+
+        for (let length = this.config.minLength; length <= cells.length; length++) {
+            if (length < cells.length && cells[length] !== '?') continue;
+
+            this.matchLength(cells.slice(0, length), length).forEach(word => {
+                if (!exclude.has(word)) matches.push(word);
+            });
+        }
+
+        return this.rank(matches, options.limit ?? this.config.maxResults);
+    }
+
+    /**
+     * Слова заданої довжини, що відповідають шаблону
+     * @param {string} pattern - нормалізований шаблон
+     * @param {number} length - довжина слова
+     * @returns {Array} слова
+     */
+    matchLength(pattern, length) {
+        const bucket = this.index.get(length);
+        if (!bucket) return [];
+
+        const constraints = this.getConstraints(pattern, length);
+        const matcher = pattern.includes('*') ? this.toRegExp(pattern) : null;
+
+        // Найкоротший список номерів серед відомих літер
+        let candidates = null;
+        constraints.forEach(({ position, letter }) => {
+            const list = bucket.positions[position].get(letter) || [];
+            if (!candidates || list.length < candidates.length) candidates = list;
+        });
+
+        const words = candidates ? candidates.map(index => bucket.words[index]) : bucket.words;
+
+        return words.filter(word =>
+            constraints.every(({ position, letter }) => word[position] === letter) &&
+            (!matcher || matcher.test(word))
+        );
+    }
+
+    /**
+     * Літери з фіксованими позиціями: увесь шаблон без "*" або його початок і кінець
+     */
+    getConstraints(pattern, length) {
+        const constraints = [];
+        const starIndex = pattern.indexOf('*');
+        const prefix = starIndex === -1 ? pattern : pattern.slice(0, starIndex);
+        const suffix = starIndex === -1 ? '' : pattern.slice(pattern.lastIndexOf('*') + 1);
+
+        [...prefix].forEach((letter, position) => {
+            if (letter !== '?') constraints.push({ position, letter });
+        });
+        [...suffix].forEach((letter, offset) => {
+            if (letter !== '?') constraints.push({ position: length - suffix.length + offset, letter });
+        });
+
+        return constraints;
+    }
+
+    getCandidateLengths(pattern, minLength) {
+        const fixedLength = pattern.replace(/\*/g, '').length;
+
+        if (!pattern.includes('*')) {
+            return fixedLength >= minLength ? [fixedLength] : [];
+        }
+
+        return Array.from(this.index.keys())
+            .filter(length => length >= Math.max(fixedLength, minLength))
+            .sort((a, b) => a - b);
+    }
+
+    toRegExp(pattern) {
+        const source = [...pattern].map(char => {
+            if (char === '?') return '.';
+            if (char === '*') return '.*';
+            return char;
+        }).join('');
+
+        return new RegExp(`^${source}$`, 'u');
+    }
+
+    /**
+     * Сортування за частотою та придатністю для кросворду
+     * @param {Array} words - слова
+     * @param {number} limit - максимальна кількість результатів
+     * @returns {Array} результати
+     */
+    rank(words, limit) {
+        const { weights } = this.config;
+        const logMax = Math.log(1 + this.maxFrequency);
+
+        // Спершу лише числова оцінка: результатів можуть бути десятки тисяч
+        const scored = words.map(word => {
+            const entry = this.entries.get(word);
+            if (entry.friendliness === undefined) {
+                entry.friendliness = window.WordValidator.calculateCrosswordFriendliness(word);
+            }
+
+            const frequencyScore = Math.log(1 + entry.frequency) / logMax;
+            return { entry, score: weights.frequency * frequencyScore + weights.friendliness * entry.friendliness };
+        });
+
+        scored.sort((a, b) => b.score - a.score || (a.entry.word < b.entry.word ? -1 : 1));
+
+        return scored.slice(0, limit).map(({ entry, score }) => ({
+            word: entry.word,
+            clue: entry.clue,
+            frequency: entry.frequency,
+            friendliness: entry.friendliness,
+            score: Math.round(score * 100)
+        }));
+    }
+
+    rebuildIndex() {
+        this.index.clear();
+        this.maxFrequency = 1;
+
+        this.entries.forEach(entry => {
+            const length = entry.word.length;
+            if (!this.index.has(length)) {
+                this.index.set(length, {
+                    words: [],
+                    positions: Array.from({ length }, () => new Map())
+                });
+            }
+
+            const bucket = this.index.get(length);
+            const wordIndex = bucket.words.push(entry.word) - 1;
+
+            [...entry.word].forEach((letter, position) => {
+                const list = bucket.positions[position].get(letter);
+                if (list) list.push(wordIndex);
+                else bucket.positions[position].set(letter, [wordIndex]);
+            });
+
+            this.maxFrequency = Math.max(this.maxFrequency, entry.frequency);
+        });
+    }
+
+    /**
+     * Запис словника з рядка або об'єкта
+     * @param {string|Object} item - слово або { word, frequency, clue }
+     * @param {number} rankFrequency - частота за місцем у списку
+     * @returns {Object|null} { word, frequency, clue } або null для некоректного слова
+     */
+    createEntry(item, rankFrequency) {
+        const raw = typeof item === 'string' ? item : item?.word;
+        if (typeof raw !== 'string') return null;
+
+        const word = this.normalizeWord(raw);
+        if (word.length < this.config.minLength) return null;
+
+        const frequency = Number(item?.frequency);
+        return {
+            word,
+            frequency: Number.isFinite(frequency) && frequency > 0 ? frequency : rankFrequency,
+            clue: typeof item?.clue === 'string' ? item.clue.trim() : ''
+        };
+    }
+
+    /**
+     * Слово для сітки: великі літери без апострофів, дефісів та пробілів
+     */
+    normalizeWord(word) {
+        return String(word).toUpperCase().replace(/[^А-ЯІЇЄҐA-Z]/g, '');
+    }
+
+    /**
+     * Шаблон: великі літери, "?" (також "." та "_") та "*" (кілька "*" поспіль - одна)
+     */
+    normalizePattern(pattern) {
+        return String(pattern || '')
+            .toUpperCase()
+            .replace(/[._]/g, '?')
+            .replace(/[^А-ЯІЇЄҐA-Z?*]/g, '')
+            .replace(/\*+/g, '*');
+    }
+
+    /**
+     * Запис словника для слова
+     * @param {string} word - слово
+     * @returns {Object|null} { word, frequency, clue, sources } (див. mergeSources)
+     */
+    getEntry(word) {
+        return this.entries.get(this.normalizeWord(word)) || null;
+    }
+
+    getSize() {
+        return this.entries.size;
+    }
+}
+
+// Створення глобального екземпляра
+window.DictionaryHelper = new DictionaryHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DictionaryHelper;
+}
@@ -0,0 +1,275 @@
+/**
+ * DocumentHelper - власний формат документа кросворду: створення, міграції старих версій, читання
+ *
+ * Схема документа (версія 2):
+ * {
+ *   format: 'crossword-constructor',
+ *   version: 2,
+ *   updatedAt: '2025-01-01T00:00:00.000Z',       // ISO 8601, необов'язкове
+ *   metadata: {
+ *     title, author, copyright, theme, notes,     // рядки
+ *     difficulty: 'easy' | 'medium' | 'hard',
+ *     puzzleType?: 'crossword' | 'scanword' | 'codeword', // сканворд: підказки в клітинках сітки
+ *     codeword?: { key: { літера: число }, starters: [літери] }, // шифр кейворду
+ *     ipuzExtensions: {}                          // поля ipuz, збережені під час імпорту
+ *   },
+ *   gridSize: { width, height },                  // цілі числа 5-25
+ *   words: [{ id, word, clue, direction: 'horizontal' | 'vertical', startRow, startCol, number,
+ *              locked?,                           // locked: false - слово з автозаповнення
+ *              enumeration?,                      // нумерація відповіді: '5,3' або '4-4'
+ *              clueType?,                         // 'definition' | 'cryptic' | 'fill-in' | 'anagram' | 'hidden'
+ *              clueParse? }],                     // криптичний розбір: { definition, indicator, fodder }
+ *   cells: [{ row, col, blocked?, metadata? }],   // лише клітинки з блоком чи метаданими
+ *                                                 // клітинка-підказка сканворду: blocked та
+ *                                                 // metadata.clues: [{ wordId, text, arrow }]
+ *                                                 // ключова клітинка: metadata.circled та
+ *                                                 // metadata.keyIndex (порядок літери ключового слова)
+ *   history?: { undo: [], redo: [] }              // історія змін редактора (див. HistoryHelper)
+ * }
+ * Літери та номери клітинок не зберігаються: сітка відновлюється зі слів.
+ *
+ * Історія версій:
+ *  0 - сирий запис localStorage "crossword_save": { gridSize, words: [[id, wordData]], grid, timestamp }
+ *  1 - exportToJSON: { ...дані, exportDate, version: '1.0' }
+ *  2 - поточна схема
+ */
+class DocumentHelper {
+    constructor() {
+        this.config = {
+            format: 'crossword-constructor',
+            currentVersion: 2
+        };
+
+        // Міграції: версія -> функція, що повертає документ наступної версії
+        this.migrations = {
+            0: doc => this.migrateFromRawSave(doc),
+            1: doc => this.migrateFromLegacyExport(doc)
+        };
+    }
+
+    /**
+     * Створення документа поточної версії з даних застосунку
+     * @param {Object} data - { gridSize, words (масив), grid, metadata, history? }
+     * @returns {Object} документ
+     */
+    createDocument(data) {
+        return {
+            format: this.config.format,
+            version: this.config.currentVersion,
+            updatedAt: new Date().toISOString(),
+            metadata: { ...data.metadata },
+            gridSize: { width: data.gridSize.width, height: data.gridSize.height },
+            words: data.words.map(wordData => ({
+                id: wordData.id,
+                word: wordData.word,
+                clue: wordData.clue || '',
+                direction: wordData.direction,
+                startRow: wordData.startRow,
+                startCol: wordData.startCol,
+                number: wordData.number ?? null,
+                ...(typeof wordData.locked === 'boolean' ? { locked: wordData.locked } : {}),
+                ...(wordData.enumeration ? { enumeration: wordData.enumeration } : {}),
+                ...(wordData.clueType ? { clueType: wordData.clueType } : {}),
+                ...(wordData.clueParse ? { clueParse: { ...wordData.clueParse } } : {})
+            })),
+            cells: this.collectCells(data.grid),
+            ...(data.history ? { history: data.history } : {})
+        };
+    }
+
+    /**
+     * Читання документа будь-якої відомої версії
+     * @param {string|Object} input - JSON або розібраний об'єкт
+     * @returns {Object} { gridSize, words, grid, metadata, history, updatedAt, warnings }
+     */
+    readDocument(input) {
+        let raw = input;
+        if (typeof input === 'string') {
+            try {
+                raw = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Документ не є коректним JSON: ${error.message}`);
+            }
+        }
+
+        const { document, migratedFrom } = this.migrate(raw);
+        const validation = window.DocumentValidator.validateDocument(document, this.config.currentVersion);
+
+        if (!validation.isValid) {
+            const details = validation.errors.map(message => `  - ${message}`).join('\n');
+            const error = new Error(`Документ кросворду містить помилки:\n${details}`);
+            error.errors = validation.errors;
+            throw error;
+        }
+
+        const warnings = migratedFrom !== this.config.currentVersion
+            ? [`Документ оновлено з версії ${migratedFrom} до версії ${this.config.currentVersion}`]
+            : [];
+
+        return {
+            gridSize: { ...document.gridSize },
+            words: document.words.map(wordData => ({ ...wordData, clue: wordData.clue || '' })),
+            grid: this.buildGrid(document),
+            metadata: { ...document.metadata },
+            history: document.history || null,
+            updatedAt: document.updatedAt || null,
+            warnings
+        };
+    }
+
+    /**
+     * Послідовне застосування міграцій до поточної версії
+     * @param {Object} raw - документ
+     * @returns {Object} { document, migratedFrom }
+     */
+    migrate(raw) {
+        if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Документ кросворду має бути об\'єктом');
+        }
+
+        const migratedFrom = this.detectVersion(raw);
+        if (migratedFrom > this.config.currentVersion) {
+            throw new Error(`Документ створено новішою версією застосунку (версія схеми ${migratedFrom})`);
+        }
+
+        let document = raw;
+        for (let version = migratedFrom; version < this.config.currentVersion; version++) {
+            document = this.migrations[version](document);
+        }
+
+        return { document, migratedFrom };
+    }
+
+    /**
+     * Визначення версії схеми документа
+     * @param {Object} raw - документ
+     * @returns {number} версія
+     */
+    detectVersion(raw) {
+        if (raw.version === undefined) return 0;
+        if (raw.version === '1.0') return 1;
+        if (Number.isInteger(raw.version)) return raw.version;
+
+        throw new Error(`version: невідома версія документа ${JSON.stringify(raw.version)}`);
+    }
+
+    /**
+     * 0 -> 1: слова з пар [id, wordData] (Map.entries) у масив
+     */
+    migrateFromRawSave(doc) {
+        const words = Array.isArray(doc.words)
+            ? doc.words.map(item => (Array.isArray(item) ? { id: item[0], ...item[1] } : item))
+            : doc.words;
+
+        return {
+            ...doc,
+            words,
+            exportDate: doc.timestamp,
+            version: '1.0'
+        };
+    }
+
+    /**
+     * 1 -> 2: сітку замінено списком особливих клітинок, метадані зведено до схеми
+     */
+    migrateFromLegacyExport(doc) {
+        const words = Array.isArray(doc.words)
+            ? doc.words
+            : doc.words && typeof doc.words === 'object' ? Object.values(doc.words) : doc.words;
+
+        // Старі записи могли містити будь-що в полі дати - некоректну дату просто відкидаємо
+        const date = doc.exportDate || doc.timestamp;
+        const updatedAt = date && !Number.isNaN(Date.parse(date)) ? date : undefined;
+
+        return {
+            format: this.config.format,
+            version: 2,
+            updatedAt,
+            metadata: this.migrateMetadata(doc.metadata),
+            gridSize: doc.gridSize,
+            words: Array.isArray(words)
+                ? words.map(wordData => ({ ...wordData, clue: wordData?.clue ?? '', number: wordData?.number ?? null }))
+                : words,
+            cells: Array.isArray(doc.grid) ? this.collectCells(doc.grid) : []
+        };
+    }
+
+    migrateMetadata(metadata) {
+        const result = {
+            title: '',
+            author: '',
+            copyright: '',
+            theme: '',
+            difficulty: 'medium',
+            notes: ''
+        };
+
+        if (metadata && typeof metadata === 'object') {
+            Object.assign(result, metadata);
+        }
+
+        return result;
+    }
+
+    /**
+     * Клітинки, які не відновлюються зі слів: блоки та клітинки з метаданими
+     * @param {Array} grid - сітка
+     * @returns {Array} клітинки {row, col, blocked?, metadata?}
+     */
+    collectCells(grid) {
+        const cells = [];
+
+        (grid || []).forEach((row, rowIndex) => {
+            (row || []).forEach((cell, colIndex) => {
+                if (!cell) return;
+
+                const hasMetadata = cell.metadata && Object.keys(cell.metadata).length > 0;
+                if (!cell.blocked && !hasMetadata) return;
+
+                const item = { row: rowIndex, col: colIndex };
+                if (cell.blocked) item.blocked = true;
+                if (hasMetadata) item.metadata = { ...cell.metadata };
+                cells.push(item);
+            });
+        });
+
+        return cells;
+    }
+
+    /**
+     * Відновлення сітки з документа
+     * @param {Object} document - документ поточної версії
+     * @returns {Array} сітка
+     */
+    buildGrid(document) {
+        const { width, height } = document.gridSize;
+        const grid = window.GridHelper.createEmptyGrid(width, height);
+
+        (document.cells || []).forEach(item => {
+            const cell = grid[item.row][item.col];
+            cell.blocked = Boolean(item.blocked);
+            cell.metadata = { ...item.metadata };
+        });
+
+        document.words.forEach(wordData => window.GridHelper.registerWord(grid, wordData));
+
+        return grid;
+    }
+
+    /**
+     * Серіалізація документа
+     * @param {Object} document - документ
+     * @returns {string} JSON
+     */
+    serialize(document) {
+        return JSON.stringify(document, null, 2);
+    }
+}
+
+// Створення глобального екземпляра
+window.DocumentHelper = new DocumentHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentHelper;
+}
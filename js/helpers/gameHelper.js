@@ -0,0 +1,338 @@
+/**
+ * GameHelper - сеанс розв'язування в режимі гри: таймер з паузою, лічильники
+ * перевірок і відкритих літер, підказки зі штрафами, найкращий час для кожного кросворду
+ *
+ * Таймер рахує лише активний час: під час паузи час не йде.
+ * Найкращий час зберігається тільки для розв'язків без відкритих літер.
+ * Очки: pointsPerCell за кожну клітинку мінус штрафи за підказки.
+ *
+ * Прогрес зберігається окремо від кросворду як стан розв'язку:
+ * { id, puzzleId, fingerprint, letters: [{row, col, letter}], revealed: [{row, col}],
+ *   elapsed, checks, reveals, hints, penalty, status: 'in-progress' | 'completed' | 'revealed' }
+ * fingerprint - відбиток вмісту кросворду (getFingerprint): після редагування кросворду
+ * розв'язок з іншим відбитком уже не відповідає сітці.
+ */
+class GameHelper {
+    constructor() {
+        this.config = {
+            bestTimesKey: 'crossword_best_times',
+            pointsPerCell: 10,
+            // Штраф за одну підказку; для відкриття - за кожну відкриту літеру
+            penalties: {
+                checkLetter: 1,
+                checkWord: 3,
+                revealLetter: 10,
+                revealWord: 10,
+                revealRandom: 7
+            }
+        };
+
+        this.session = null;
+    }
+
+    /**
+     * Ідентифікатор кросворду за його вмістом (для кросвордів поза бібліотекою)
+     * @param {Object} data - { gridSize, words }
+     * @returns {string} ідентифікатор
+     */
+    getPuzzleId(data) {
+        return `puzzle-${this.getFingerprint(data)}`;
+    }
+
+    /**
+     * Відбиток вмісту кросворду: розмір сітки та розміщення слів
+     * @param {Object} data - { gridSize, words }
+     * @returns {string} відбиток
+     */
+    getFingerprint(data) {
+        const source = [
+            `${data.gridSize.width}x${data.gridSize.height}`,
+            ...data.words
+                .map(wordData => `${wordData.direction[0]}${wordData.startRow}:${wordData.startCol}:${wordData.word}`)
+                .sort()
+        ].join('|');
+
+        // djb2: короткий стабільний хеш рядка
+        let hash = 5381;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash << 5) + hash + source.charCodeAt(i)) >>> 0;
+        }
+
+        return hash.toString(36);
+    }
+
+    /**
+     * Новий сеанс гри; таймер стартує з першим введенням (start)
+     * @param {string} puzzleId - ідентифікатор кросворду
+     * @param {Object} options - { cells: кількість клітинок з літерами, fingerprint: відбиток вмісту,
+     *                            solve: стан розв'язку для продовження }
+     * @returns {Object} сеанс
+     */
+    startSession(puzzleId, options = {}) {
+        const solve = options.solve || {};
+
+        this.session = {
+            puzzleId,
+            fingerprint: options.fingerprint || null,
+            solveId: solve.id || `solve_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: solve.createdAt || new Date().toISOString(),
+            elapsed: solve.elapsed || 0, // накопичений час до останньої паузи (мс)
+            startedAt: null,    // момент запуску або відновлення таймера
+            started: false,
+            pauseReason: null,  // 'user' | 'hidden' | null
+            checks: solve.checks || 0,
+            reveals: solve.reveals || 0,
+            hints: { ...solve.hints }, // тип підказки -> кількість використань
+            penalty: solve.penalty || 0,
+            maxScore: (options.cells || 0) * this.config.pointsPerCell,
+            status: 'in-progress',
+            finished: false
+        };
+
+        return this.session;
+    }
+
+    /**
+     * Запуск таймера (перше введення)
+     * @returns {boolean} чи таймер щойно запущено
+     */
+    start() {
+        const session = this.session;
+        if (!session || session.started || session.finished) return false;
+
+        session.started = true;
+        session.startedAt = Date.now();
+        return true;
+    }
+
+    isRunning() {
+        const session = this.session;
+        return Boolean(session && session.started && !session.finished && !session.pauseReason);
+    }
+
+    isPaused() {
+        return Boolean(this.session?.pauseReason);
+    }
+
+    /**
+     * Пауза таймера
+     * @param {string} reason - 'user' (кнопка) або 'hidden' (вкладку приховано)
+     * @returns {boolean} чи таймер зупинено
+     */
+    pause(reason = 'user') {
+        if (!this.isRunning()) return false;
+
+        this.session.elapsed += Date.now() - this.session.startedAt;
+        this.session.startedAt = null;
+        this.session.pauseReason = reason;
+        return true;
+    }
+
+    /**
+     * Продовження після паузи
+     * @param {string} reason - продовжити лише паузу з цією причиною (без неї - будь-яку)
+     * @returns {boolean} чи таймер запущено
+     */
+    resume(reason = null) {
+        const session = this.session;
+        if (!session?.pauseReason || session.finished) return false;
+        if (reason && session.pauseReason !== reason) return false;
+
+        session.pauseReason = null;
+        session.startedAt = Date.now();
+        return true;
+    }
+
+    /**
+     * Активний час розв'язування (мс)
+     */
+    getElapsed() {
+        const session = this.session;
+        if (!session) return 0;
+
+        return session.elapsed + (session.startedAt ? Date.now() - session.startedAt : 0);
+    }
+
+    recordCheck() {
+        if (this.session && !this.session.finished) this.session.checks++;
+    }
+
+    /**
+     * @param {number} count - кількість відкритих літер
+     */
+    recordReveal(count = 1) {
+        if (this.session && !this.session.finished) this.session.reveals += count;
+    }
+
+    /**
+     * Облік підказки та штрафу за неї
+     * @param {string} type - тип підказки (ключ config.penalties)
+     * @param {number} revealed - кількість відкритих літер (для підказок-відкриттів)
+     */
+    recordHint(type, revealed = 0) {
+        const session = this.session;
+        if (!session || session.finished) return;
+
+        const penalty = this.config.penalties[type];
+        if (penalty === undefined) throw new Error(`Невідомий тип підказки: ${type}`);
+
+        session.hints[type] = (session.hints[type] || 0) + 1;
+        session.penalty += type.startsWith('reveal') ? penalty * revealed : penalty;
+        this.recordReveal(revealed);
+    }
+
+    getScore() {
+        const session = this.session;
+        return session ? Math.max(0, session.maxScore - session.penalty) : 0;
+    }
+
+    /**
+     * Завершення розв'язку: зупинка таймера та оновлення найкращого часу
+     * @returns {Object|null} { puzzleId, time, checks, reveals, hints, score, maxScore, bestTime, isRecord }
+     */
+    complete() {
+        const session = this.session;
+        if (!session || session.finished) return null;
+
+        const time = this.getElapsed();
+        this.finish('completed');
+
+        const previous = this.getBestTime(session.puzzleId);
+        const isRecord = session.reveals === 0 && (previous === null || time < previous);
+        if (isRecord) this.saveBestTime(session.puzzleId, time);
+
+        return {
+            puzzleId: session.puzzleId,
+            time,
+            checks: session.checks,
+            reveals: session.reveals,
+            hints: { ...session.hints },
+            score: this.getScore(),
+            maxScore: session.maxScore,
+            bestTime: isRecord ? time : previous,
+            isRecord
+        };
+    }
+
+    /**
+     * Зупинка сеансу без запису результату
+     * @param {string} status - новий стан розв'язку ('revealed' - відповіді показано);
+     *                          без нього розв'язок можна продовжити пізніше
+     */
+    finish(status = null) {
+        const session = this.session;
+        if (!session || session.finished) return;
+
+        session.elapsed = this.getElapsed();
+        session.startedAt = null;
+        session.pauseReason = null;
+        session.finished = true;
+        if (status) session.status = status;
+    }
+
+    /**
+     * Стан розв'язку для збереження: введені літери та лічильники сеансу
+     * @param {Array} grid - сітка гри (відповіді в cell.gameValue)
+     * @returns {Object|null} стан розв'язку
+     */
+    createSolveState(grid) {
+        const session = this.session;
+        if (!session) return null;
+
+        const letters = [];
+        const revealed = [];
+        grid.forEach((rowCells, row) => rowCells.forEach((cell, col) => {
+            if (!cell.gameValue) return;
+            if (cell.letter) letters.push({ row, col, letter: cell.letter });
+            if (cell.revealed) revealed.push({ row, col });
+        }));
+
+        return {
+            id: session.solveId,
+            createdAt: session.createdAt,
+            puzzleId: session.puzzleId,
+            fingerprint: session.fingerprint,
+            letters,
+            revealed,
+            elapsed: this.getElapsed(),
+            checks: session.checks,
+            reveals: session.reveals,
+            hints: { ...session.hints },
+            penalty: session.penalty,
+            status: session.status
+        };
+    }
+
+    /**
+     * Перенесення літер збереженого розв'язку на сітку гри
+     * @param {Array} grid - сітка гри
+     * @param {Object} solve - стан розв'язку
+     */
+    applySolveState(grid, solve) {
+        const cellAt = ({ row, col }) => {
+            const cell = grid[row]?.[col];
+            return cell?.gameValue ? cell : null;
+        };
+
+        (solve.letters || []).forEach(item => {
+            const cell = cellAt(item);
+            if (cell) cell.letter = item.letter;
+        });
+        (solve.revealed || []).forEach(item => {
+            const cell = cellAt(item);
+            if (cell) cell.revealed = true;
+        });
+    }
+
+    /**
+     * @param {string} puzzleId - ідентифікатор кросворду
+     * @returns {number|null} найкращий час (мс)
+     */
+    getBestTime(puzzleId) {
+        return this.loadBestTimes()[puzzleId]?.time ?? null;
+    }
+
+    loadBestTimes() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.bestTimesKey)) || {};
+        } catch (error) {
+            console.warn('Збережені рекорди пошкоджено:', error);
+            return {};
+        }
+    }
+
+    saveBestTime(puzzleId, time) {
+        const bestTimes = this.loadBestTimes();
+        bestTimes[puzzleId] = { time, date: new Date().toISOString() };
+
+        try {
+            localStorage.setItem(this.config.bestTimesKey, JSON.stringify(bestTimes));
+        } catch (error) {
+            console.warn('Не вдалося зберегти рекорд:', error);
+        }
+    }
+
+    /**
+     * Форматування часу: "м:сс" або "г:мм:сс"
+     * @param {number} ms - час у мілісекундах
+     * @returns {string} рядок
+     */
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+}
+
+// Створення глобального екземпляра
+window.GameHelper = new GameHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameHelper;
+}
@@ -9,7 +9,8 @@ class GridHelper {
             minSize: 5,
             maxSize: 25,
             defaultCellSize: 32,
-            borderWidth: 1
+            borderWidth: 1,
+            maxCluesPerCell: 2 // підказок в одній клітинці сканворду
         };
     }
 
@@ -284,7 +285,7 @@ class GridHelper {
      * @returns {boolean} успішність операції
      */
     placeWord(grid, wordData) {
-        const { word, startRow, startCol, direction, id, number } = wordData;
+        const { word, startRow, startCol, direction } = wordData;
 
         // Додаткова перевірка
         const canPlace = this.canPlaceWord(grid, word, startRow, startCol, direction);
@@ -293,7 +294,19 @@ class GridHelper {
             return false;
         }
 
-        // Розміщення літер
+        this.registerWord(grid, wordData);
+        return true;
+    }
+
+    /**
+     * Запис слова в клітинки без перевірки розміщення
+     * (для сіток з імпорту, де правила щільних кросвордів відрізняються від наших)
+     * @param {Array} grid - сітка
+     * @param {Object} wordData - дані слова
+     */
+    registerWord(grid, wordData) {
+        const { word, startRow, startCol, direction, id, number } = wordData;
+
         for (let i = 0; i < word.length; i++) {
             const row = direction === 'vertical' ? startRow + i : startRow;
             const col = direction === 'horizontal' ? startCol + i : startCol;
@@ -325,8 +338,6 @@ class GridHelper {
                 cell.isEnd = true;
             }
         }
-
-        return true;
     }
 
     /**
@@ -430,6 +441,149 @@ class GridHelper {
         return cells;
     }
 
+    /**
+     * Слоти сітки з чорними клітинками: безперервні ряди незаблокованих клітинок
+     * по горизонталі та вертикалі (як в американських кросвордах)
+     * @param {Array} grid - сітка
+     * @param {number} minLength - мінімальна довжина слота
+     * @returns {Array} слоти {id, direction, startRow, startCol, length, cells: [{row, col}]}
+     */
+    findSlots(grid, minLength = 2) {
+        const slots = [];
+        const height = grid.length;
+        const width = grid[0]?.length || 0;
+
+        const scan = (direction, outer, inner, cellAt) => {
+            for (let a = 0; a < outer; a++) {
+                let run = [];
+                for (let b = 0; b <= inner; b++) {
+                    const position = b < inner ? cellAt(a, b) : null;
+
+                    if (position && !grid[position.row][position.col].blocked) {
+                        run.push(position);
+                        continue;
+                    }
+
+                    if (run.length >= minLength) {
+                        slots.push({
+                            id: `${direction}:${run[0].row}:${run[0].col}`,
+                            direction,
+                            startRow: run[0].row,
+                            startCol: run[0].col,
+                            length: run.length,
+                            cells: run
+                        });
+                    }
+                    run = [];
+                }
+            }
+        };
+
+        scan('horizontal', height, width, (row, col) => ({ row, col }));
+        scan('vertical', width, height, (col, row) => ({ row, col }));
+
+        return slots;
+    }
+
+    /**
+     * Клітинка та її симетричні відображення
+     * @param {Array} grid - сітка
+     * @param {number} row - рядок
+     * @param {number} col - стовпець
+     * @param {string} symmetry - 'rotational' (180°), 'horizontal' (верх-низ), 'vertical' (ліво-право),
+     *                            'diagonal' (відносно головної діагоналі), 'none'
+     * @returns {Array} унікальні клітинки {row, col} у межах сітки, першою - вихідна
+     */
+    getSymmetricCells(grid, row, col, symmetry = 'none') {
+        const height = grid.length;
+        const width = grid[0]?.length || 0;
+
+        const mirrors = {
+            none: [],
+            rotational: [[height - 1 - row, width - 1 - col]],
+            horizontal: [[height - 1 - row, col]],
+            vertical: [[row, width - 1 - col]],
+            diagonal: [[col, row]]
+        };
+
+        if (!mirrors[symmetry]) {
+            throw new Error(`Невідомий тип симетрії: ${symmetry}`);
+        }
+
+        const cells = [{ row, col }];
+        mirrors[symmetry].forEach(([mirrorRow, mirrorCol]) => {
+            const isNew = !cells.some(cell => cell.row === mirrorRow && cell.col === mirrorCol);
+            if (isNew && this.isValidPosition(grid, mirrorRow, mirrorCol)) {
+                cells.push({ row: mirrorRow, col: mirrorCol });
+            }
+        });
+
+        return cells;
+    }
+
+    /**
+     * Можливі клітинки-підказки сканворду для слова в порядку переваги:
+     * перед першою літерою, інакше над нею (горизонталь) чи ліворуч від неї (вертикаль)
+     * @param {Object} wordData - { startRow, startCol, direction }
+     * @returns {Array} клітинки {row, col, arrow}; arrow - напрямок стрілки до відповіді
+     */
+    getClueCellCandidates(wordData) {
+        const { startRow, startCol, direction } = wordData;
+
+        return direction === 'horizontal'
+            ? [
+                { row: startRow, col: startCol - 1, arrow: 'right' },
+                { row: startRow - 1, col: startCol, arrow: 'down-right' }
+            ]
+            : [
+                { row: startRow - 1, col: startCol, arrow: 'down' },
+                { row: startRow, col: startCol - 1, arrow: 'right-down' }
+            ];
+    }
+
+    /**
+     * Розстановка клітинок-підказок сканворду.
+     * Клітинка-підказка - заблокована клітинка з metadata.clues = [{ wordId, text, arrow }]
+     * (не більше config.maxCluesPerCell). Підказки розставляються наново щоразу:
+     * спершу кожне слово пробує найкращу позицію, потім запасні; клітинки,
+     * що перестали бути підказками, звільняються
+     * @param {Array} grid - сітка з розміщеними словами
+     * @param {Array} words - слова (порожній масив прибирає всі підказки)
+     * @returns {Array} слова, для яких не знайшлося вільної клітинки
+     */
+    assignClueCells(grid, words) {
+        const previous = [];
+        grid.forEach(row => row.forEach(cell => {
+            if (!cell.metadata?.clues) return;
+            previous.push(cell);
+            delete cell.metadata.clues;
+        }));
+
+        let pending = words.slice();
+        [0, 1].forEach(priority => {
+            pending = pending.filter(wordData => {
+                const target = this.getClueCellCandidates(wordData)[priority];
+                const cell = this.getCell(grid, target.row, target.col);
+                if (!cell || cell.letter || (cell.metadata.clues?.length || 0) >= this.config.maxCluesPerCell) {
+                    return true;
+                }
+
+                this.blockCell(grid, target.row, target.col);
+                cell.metadata.clues = [
+                    ...(cell.metadata.clues || []),
+                    { wordId: wordData.id, text: wordData.clue || '', arrow: target.arrow }
+                ];
+                return false;
+            });
+        });
+
+        previous.forEach(cell => {
+            if (!cell.metadata.clues) cell.blocked = false;
+        });
+
+        return pending;
+    }
+
     /**
      * Виділення слова на сітці
      * @param {Array} grid - сітка
@@ -461,61 +615,60 @@ class GridHelper {
     }
 
     /**
-     * Автоматичне розміщення слів (простий алгоритм)
+     * Автоматичне розміщення слів
+     * Делегує пошук компонування до LayoutHelper (пошук з поверненням)
      * @param {Array} grid - сітка
      * @param {Array} words - масив слів для розміщення
+     * Слова, що вже стоять на сітці, залишаються на місці: нові слова мають з ними узгоджуватися
+     * @param {Object} options - опції LayoutHelper.generateLayout (objective, timeLimit тощо)
      * @returns {Array} масив успішно розміщених слів
      */
-    autoPlaceWords(grid, words) {
-        const placedWords = [];
-        const sortedWords = words.sort((a, b) => b.word.length - a.word.length);
-
-        // Розмістити перше (найдовше) слово по центру
-        if (sortedWords.length > 0) {
-            const firstWord = sortedWords[0];
-            const centerRow = Math.floor(grid.length / 2);
-            const centerCol = Math.floor((grid[0].length - firstWord.word.length) / 2);
-            
-            firstWord.startRow = centerRow;
-            firstWord.startCol = centerCol;
-            firstWord.direction = 'horizontal';
-            
-            if (this.placeWord(grid, firstWord)) {
-                placedWords.push(firstWord);
-            }
-        }
+    autoPlaceWords(grid, words, options = {}) {
+        const layout = window.LayoutHelper.generateLayout(words, {
+            ...options,
+            width: grid[0].length,
+            height: grid.length,
+            grid: grid,
+            fixedWords: this.getPlacedWords(grid)
+        });
 
-        // Спробувати розмістити інші слова
-        for (let i = 1; i < sortedWords.length; i++) {
-            const word = sortedWords[i];
-            let placed = false;
-
-            // Спробувати знайти місце для пересічення
-            for (const placedWord of placedWords) {
-                if (placed) break;
-
-                const intersections = this.findPossibleIntersections(word.word, placedWord);
-                
-                for (const intersection of intersections) {
-                    const newWordData = {
-                        ...word,
-                        startRow: intersection.startRow,
-                        startCol: intersection.startCol,
-                        direction: intersection.direction
-                    };
-
-                    if (this.canPlaceWord(grid, word.word, intersection.startRow, intersection.startCol, intersection.direction).canPlace) {
-                        if (this.placeWord(grid, newWordData)) {
-                            placedWords.push(newWordData);
-                            placed = true;
-                            break;
-                        }
-                    }
+        return layout.placedWords.filter(wordData => this.placeWord(grid, wordData));
+    }
+
+    /**
+     * Слова, записані на сітці: безперервні ряди клітинок з літерами одного напрямку
+     * @param {Array} grid - сітка
+     * @returns {Array} слова {id, word, direction, startRow, startCol}
+     */
+    getPlacedWords(grid) {
+        const words = [];
+        const hasDirection = (row, col, direction) =>
+            Boolean(this.getCell(grid, row, col)?.letter && this.getCell(grid, row, col).directions.includes(direction));
+
+        grid.forEach((rowCells, row) => rowCells.forEach((_, col) => {
+            ['horizontal', 'vertical'].forEach(direction => {
+                const dRow = direction === 'vertical' ? 1 : 0;
+                const dCol = direction === 'horizontal' ? 1 : 0;
+                if (!hasDirection(row, col, direction) || hasDirection(row - dRow, col - dCol, direction)) return;
+
+                const cells = [];
+                for (let r = row, c = col; hasDirection(r, c, direction); r += dRow, c += dCol) {
+                    cells.push(grid[r][c]);
                 }
-            }
-        }
+                if (cells.length < 2) return;
+
+                const id = cells[0].wordIds.find(wordId => cells.every(cell => cell.wordIds.includes(wordId)));
+                words.push({
+                    id: id || `${direction}:${row}:${col}`,
+                    word: cells.map(cell => cell.letter).join(''),
+                    direction,
+                    startRow: row,
+                    startCol: col
+                });
+            });
+        }));
 
-        return placedWords;
+        return words;
     }
 
     /**
@@ -0,0 +1,199 @@
+/**
+ * HistoryHelper - історія змін редактора (скасування / повторення) на основі команд
+ * Команда - це тип, серіалізовані дані (payload) та підпис для списку історії.
+ * Обробники типів (apply / revert) реєструє застосунок, тому історію можна зберегти
+ * разом з документом і відновити після перезавантаження.
+ */
+class HistoryHelper {
+    constructor() {
+        this.config = {
+            maxEntries: 100
+        };
+
+        this.commands = new Map(); // тип -> { apply, revert }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = [];
+    }
+
+    /**
+     * Реєстрація типу команди
+     * @param {string} type - тип команди
+     * @param {Object} handlers - { apply(payload), revert(payload) }
+     */
+    registerCommand(type, handlers) {
+        this.commands.set(type, handlers);
+    }
+
+    /**
+     * Виконання команди та запис в історію
+     * @param {string} type - тип команди
+     * @param {Object} payload - дані команди (мають серіалізуватися в JSON)
+     * @param {string} label - підпис для списку історії
+     * @returns {Object} запис історії
+     */
+    execute(type, payload, label) {
+        const entry = this.createEntry(type, payload, label);
+        this.getHandlers(type).apply(this.clone(entry.payload));
+        this.push(entry);
+        return entry;
+    }
+
+    /**
+     * Запис вже виконаної дії (коли нові дані обчислено до запису, як у масових операціях)
+     * @param {string} type - тип команди
+     * @param {Object} payload - дані команди
+     * @param {string} label - підпис
+     * @returns {Object} запис історії
+     */
+    record(type, payload, label) {
+        const entry = this.createEntry(type, payload, label);
+        this.getHandlers(type);
+        this.push(entry);
+        return entry;
+    }
+
+    /**
+     * Скасування останньої команди
+     * @returns {Object|null} скасований запис
+     */
+    undo() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry) return null;
+
+        // Запис переноситься лише після успішного відкату: якщо обробник кинув помилку, історія не змінюється
+        this.getHandlers(entry.type).revert(this.clone(entry.payload));
+        this.redoStack.push(this.undoStack.pop());
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Повторення скасованої команди
+     * @returns {Object|null} повторений запис
+     */
+    redo() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (!entry) return null;
+
+        this.getHandlers(entry.type).apply(this.clone(entry.payload));
+        this.undoStack.push(this.redoStack.pop());
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Перехід до стану після запису з індексом position - 1 (0 - до першої команди)
+     * @param {number} position - кількість застосованих команд
+     */
+    goTo(position) {
+        while (this.undoStack.length > position) this.undo();
+        while (this.undoStack.length < position && this.canRedo()) this.redo();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Всі записи в хронологічному порядку
+     * @returns {Object} { entries: [{label, timestamp, applied}], position }
+     */
+    getEntries() {
+        const applied = this.undoStack.map(entry => ({ label: entry.label, timestamp: entry.timestamp, applied: true }));
+        const undone = this.redoStack.slice().reverse()
+            .map(entry => ({ label: entry.label, timestamp: entry.timestamp, applied: false }));
+
+        return { entries: [...applied, ...undone], position: this.undoStack.length };
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Серіалізація історії для збереження з документом
+     * @returns {Object} { undo, redo }
+     */
+    serialize() {
+        return this.clone({ undo: this.undoStack, redo: this.redoStack });
+    }
+
+    /**
+     * Відновлення збереженої історії.
+     * Запис невідомого типу обриває стек: він і всі записи за ним (старіші для скасування,
+     * пізніші для повторення) відкидаються, бо без нього їх не можна застосувати послідовно
+     * @param {Object|null} data - { undo, redo }
+     */
+    restore(data) {
+        const isKnown = entry => entry && this.commands.has(entry.type);
+        // Стеки зберігаються так, що найближчий до поточного стану запис - останній
+        const cut = stack => {
+            if (!Array.isArray(stack)) return [];
+            const lastUnknown = stack.map(isKnown).lastIndexOf(false);
+            return this.clone(stack.slice(lastUnknown + 1));
+        };
+
+        this.undoStack = cut(data?.undo);
+        this.redoStack = cut(data?.redo);
+        this.notify();
+    }
+
+    /**
+     * Підписка на зміни історії
+     * @param {Function} listener - викликається після кожної зміни
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    createEntry(type, payload, label) {
+        return {
+            type,
+            label: label || type,
+            payload: this.clone(payload),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    push(entry) {
+        this.undoStack.push(entry);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.config.maxEntries) {
+            this.undoStack.splice(0, this.undoStack.length - this.config.maxEntries);
+        }
+
+        this.notify();
+    }
+
+    getHandlers(type) {
+        const handlers = this.commands.get(type);
+        if (!handlers) {
+            throw new Error(`Невідомий тип команди історії: ${type}`);
+        }
+        return handlers;
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Створення глобального екземпляра
+window.HistoryHelper = new HistoryHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryHelper;
+}
@@ -0,0 +1,482 @@
+/**
+ * IpuzHelper - читання та запис формату ipuz v2 (JSON, http://ipuz.org)
+ * Підтримує розміри, дошки puzzle/solution, блоки, пропущені клітинки (null),
+ * нумеровані підказки за напрямками, назву/автора/копірайт/нотатки, складність,
+ * тему (у полі розширення), ребуси та обведені клітинки.
+ *
+ * Поля верхнього рівня, які ми не використовуємо (розширення інших редакторів,
+ * publisher, styles тощо), повертаються в extensions і записуються назад без змін.
+ */
+class IpuzHelper {
+    constructor() {
+        this.config = {
+            version: 'http://ipuz.org/v2',
+            kind: 'http://ipuz.org/crossword#1',
+            kindPrefix: 'http://ipuz.org/crossword',
+            block: '#',
+            empty: 0,
+            themeField: 'crossword-constructor:theme'
+        };
+
+        // Поля, які ми читаємо та записуємо самі
+        this.knownFields = [
+            'version', 'kind', 'dimensions', 'puzzle', 'solution', 'clues',
+            'block', 'empty', 'title', 'author', 'copyright', 'notes', 'difficulty',
+            this.config.themeField
+        ];
+
+        // Наші напрямки -> назви напрямків ipuz
+        this.directionNames = {
+            horizontal: 'Across',
+            vertical: 'Down'
+        };
+
+        this.difficulties = ['easy', 'medium', 'hard'];
+    }
+
+    /**
+     * Запис кросворду у формат ipuz
+     * @param {Object} puzzle - дані кросворду
+     * @param {number} puzzle.width - ширина
+     * @param {number} puzzle.height - висота
+     * @param {Array} puzzle.words - слова {word, clue, direction, startRow, startCol, number}
+     * @param {Array} puzzle.grid - сітка (блоки, ребуси та обведені клітинки)
+     * @param {Object} puzzle.metadata - { title, author, copyright, notes, difficulty, theme }
+     * @param {Object} puzzle.extensions - поля ipuz, збережені під час імпорту
+     * @returns {Object} { data: об'єкт ipuz, warnings }
+     */
+    writeIpuz(puzzle) {
+        const warnings = [];
+        const { width, height, words } = puzzle;
+        const metadata = puzzle.metadata || {};
+        const extensions = puzzle.extensions || {};
+
+        const board = this.buildBoards(puzzle, warnings);
+
+        const clues = {};
+        Object.entries(this.directionNames).forEach(([direction, name]) => {
+            clues[name] = words
+                .filter(wordData => wordData.direction === direction)
+                .sort((a, b) => (a.number || 0) - (b.number || 0))
+                .map(wordData => ({
+                    number: wordData.number,
+                    clue: wordData.clue || '',
+                    ...(wordData.enumeration ? { enumeration: wordData.enumeration } : {}),
+                    cells: this.getWordCells(wordData).map(({ row, col }) => [col + 1, row + 1])
+                }));
+        });
+
+        const kind = Array.isArray(extensions.kind) ? extensions.kind : [this.config.kind];
+        const data = {
+            version: this.config.version,
+            kind,
+            dimensions: { width, height },
+            block: this.config.block,
+            empty: this.config.empty,
+            puzzle: board.puzzle,
+            solution: board.solution,
+            clues
+        };
+
+        ['title', 'author', 'copyright', 'notes'].forEach(field => {
+            if (metadata[field]) data[field] = metadata[field];
+        });
+
+        if (metadata.difficulty) {
+            data.difficulty = metadata.difficulty;
+        }
+        if (metadata.theme) {
+            data[this.config.themeField] = metadata.theme;
+        }
+
+        Object.assign(data, this.omit(extensions, ['kind']));
+
+        return { data, warnings };
+    }
+
+    /**
+     * Читання ipuz
+     * @param {string|Object} source - вміст файлу (JSON або JSONP "ipuz({...})") чи розібраний об'єкт
+     * @returns {Object} { width, height, grid, words, metadata, extensions, warnings }
+     */
+    readIpuz(source) {
+        const data = typeof source === 'string' ? this.parseJSON(source) : source;
+        const warnings = [];
+
+        this.validateHeader(data);
+
+        const { width, height } = data.dimensions;
+        const block = data.block ?? this.config.block;
+        const empty = data.empty ?? this.config.empty;
+
+        if (!Array.isArray(data.solution)) {
+            throw new Error('Файл ipuz не містить розв\'язку (solution), тому слова неможливо відновити');
+        }
+
+        const grid = this.buildGrid(data, width, height, block, empty, warnings);
+        const words = this.readClues(data, grid, width, height, warnings);
+
+        words.forEach(wordData => window.GridHelper.registerWord(grid, wordData));
+
+        return {
+            width,
+            height,
+            grid,
+            words,
+            metadata: this.readMetadata(data, warnings),
+            extensions: this.collectExtensions(data),
+            warnings
+        };
+    }
+
+    /**
+     * Побудова дошок puzzle та solution
+     * @param {Object} puzzle - дані кросворду
+     * @param {Array} warnings - масив попереджень
+     * @returns {Object} { puzzle, solution }
+     */
+    buildBoards(puzzle, warnings) {
+        const { width, height, words, grid } = puzzle;
+
+        // null - пропущена клітинка (не належить жодному слову)
+        const solution = Array.from({ length: height }, () => new Array(width).fill(null));
+        const board = Array.from({ length: height }, () => new Array(width).fill(null));
+
+        words.forEach(wordData => {
+            this.getWordCells(wordData).forEach(({ row, col }, index) => {
+                if (row < 0 || row >= height || col < 0 || col >= width) {
+                    warnings.push(`Слово "${wordData.word}" виходить за межі сітки`);
+                    return;
+                }
+                solution[row][col] = wordData.word[index].toUpperCase();
+                if (board[row][col] === null) board[row][col] = this.config.empty;
+            });
+        });
+
+        words.forEach(wordData => {
+            const { startRow, startCol } = wordData;
+            if (board[startRow]?.[startCol] !== undefined && wordData.number) {
+                board[startRow][startCol] = wordData.number;
+            }
+        });
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const cell = grid?.[row]?.[col];
+                if (!cell) continue;
+
+                if (cell.blocked) {
+                    solution[row][col] = this.config.block;
+                    board[row][col] = this.config.block;
+                    continue;
+                }
+
+                if (solution[row][col] !== null && cell.metadata?.rebus) {
+                    solution[row][col] = cell.metadata.rebus;
+                }
+
+                if (board[row][col] !== null && cell.metadata?.circled) {
+                    board[row][col] = { cell: board[row][col], style: { shapebg: 'circle' } };
+                }
+            }
+        }
+
+        return { puzzle: board, solution };
+    }
+
+    /**
+     * Побудова нашої сітки з дошок ipuz
+     * @param {Object} data - ipuz
+     * @param {number} width - ширина
+     * @param {number} height - висота
+     * @param {*} block - позначення блоку
+     * @param {*} empty - позначення порожньої клітинки
+     * @param {Array} warnings - масив попереджень
+     * @returns {Array} сітка
+     */
+    buildGrid(data, width, height, block, empty, warnings) {
+        const grid = [];
+        let rebusCount = 0;
+
+        for (let row = 0; row < height; row++) {
+            grid[row] = [];
+            for (let col = 0; col < width; col++) {
+                const cell = window.GridHelper.createEmptyCell(row, col);
+                const puzzleCell = data.puzzle?.[row]?.[col];
+                const value = this.getCellValue(data.solution[row]?.[col]);
+
+                if (this.getCellValue(puzzleCell) === block || value === block) {
+                    cell.blocked = true;
+                } else if (typeof value === 'string' && value !== '' && value !== String(empty)) {
+                    const letters = value.toUpperCase();
+                    cell.letter = letters[0];
+                    if (letters.length > 1) {
+                        cell.metadata.rebus = letters;
+                        rebusCount++;
+                    }
+                }
+
+                const style = this.getCellStyle(puzzleCell, data.styles);
+                if (style?.shapebg === 'circle') {
+                    cell.metadata.circled = true;
+                }
+
+                grid[row][col] = cell;
+            }
+        }
+
+        if (rebusCount > 0) {
+            warnings.push(`Ребус-клітинок: ${rebusCount}. Повне значення збережено в клітинці, у слові використано першу літеру`);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Читання підказок і відновлення слів
+     * @param {Object} data - ipuz
+     * @param {Array} grid - сітка
+     * @param {number} width - ширина
+     * @param {number} height - висота
+     * @param {Array} warnings - масив попереджень
+     * @returns {Array} слова
+     */
+    readClues(data, grid, width, height, warnings) {
+        const numbered = new Map();
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const label = this.getCellValue(data.puzzle?.[row]?.[col]);
+                if (label !== null && label !== undefined && label !== '' && String(label) !== String(data.empty ?? this.config.empty) && !grid[row][col].blocked) {
+                    numbered.set(String(label), { row, col });
+                }
+            }
+        }
+
+        const words = [];
+        Object.entries(data.clues || {}).forEach(([key, list]) => {
+            const name = key.split(':')[0];
+            const direction = Object.keys(this.directionNames).find(dir => this.directionNames[dir] === name);
+
+            if (!direction) {
+                warnings.push(`Напрямок підказок "${key}" не підтримується і його пропущено`);
+                return;
+            }
+
+            (Array.isArray(list) ? list : []).forEach(item => {
+                const clue = this.normalizeClue(item);
+                const cells = clue.cells
+                    ? clue.cells.map(([x, y]) => ({ row: y - 1, col: x - 1 }))
+                    : this.walkEntry(grid, numbered.get(String(clue.number)), direction);
+
+                const word = cells.map(({ row, col }) => grid[row]?.[col]?.letter || '').join('');
+                if (cells.length < 2 || word.length !== cells.length) {
+                    warnings.push(`Підказку ${clue.number} (${name}) не вдалося зіставити зі словом у сітці`);
+                    return;
+                }
+
+                const number = parseInt(clue.number, 10);
+                const enumeration = clue.enumeration && window.WordValidator.parseEnumeration(clue.enumeration);
+                words.push({
+                    id: window.WordHelper.generateWordId(),
+                    word,
+                    clue: this.stripHTML(clue.text),
+                    direction,
+                    startRow: cells[0].row,
+                    startCol: cells[0].col,
+                    number: Number.isNaN(number) ? words.length + 1 : number,
+                    ...(enumeration?.total === window.WordHelper.countLetters(word) ? { enumeration: enumeration.text } : {})
+                });
+            });
+        });
+
+        return words;
+    }
+
+    /**
+     * Приведення підказки ipuz до єдиного вигляду
+     * Підказка може бути рядком, масивом [номер, текст] або об'єктом {number, clue, enumeration, cells}
+     * @param {*} item - підказка
+     * @returns {Object} { number, text, enumeration, cells }
+     */
+    normalizeClue(item) {
+        if (Array.isArray(item)) {
+            return { number: item[0], text: String(item[1] ?? ''), cells: null };
+        }
+
+        if (item && typeof item === 'object') {
+            return {
+                number: item.number ?? item.label,
+                text: String(item.clue ?? ''),
+                enumeration: item.enumeration ?? null,
+                cells: Array.isArray(item.cells) && item.cells.length > 0 ? item.cells : null
+            };
+        }
+
+        const match = String(item).match(/^\s*(\S+)[.:]?\s+(.*)$/);
+        return match
+            ? { number: match[1], text: match[2], cells: null }
+            : { number: null, text: String(item), cells: null };
+    }
+
+    /**
+     * Проходження слова від клітинки з номером до блоку чи краю
+     * @param {Array} grid - сітка
+     * @param {Object} start - {row, col}
+     * @param {string} direction - напрямок
+     * @returns {Array} клітинки слова
+     */
+    walkEntry(grid, start, direction) {
+        if (!start) return [];
+
+        const cells = [];
+        let { row, col } = start;
+
+        while (grid[row]?.[col] && !grid[row][col].blocked && grid[row][col].letter) {
+            cells.push({ row, col });
+            if (direction === 'horizontal') col++;
+            else row++;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Читання метаданих
+     * @param {Object} data - ipuz
+     * @param {Array} warnings - масив попереджень
+     * @returns {Object} метадані
+     */
+    readMetadata(data, warnings) {
+        const metadata = {
+            title: this.stripHTML(data.title),
+            author: this.stripHTML(data.author),
+            copyright: this.stripHTML(data.copyright),
+            notes: this.stripHTML(data.notes),
+            theme: data[this.config.themeField] || ''
+        };
+
+        if (data.difficulty) {
+            const difficulty = String(data.difficulty).toLowerCase();
+            if (this.difficulties.includes(difficulty)) {
+                metadata.difficulty = difficulty;
+            } else {
+                warnings.push(`Складність "${data.difficulty}" не підтримується, встановлено середню`);
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Перевірка заголовка ipuz
+     * @param {Object} data - ipuz
+     */
+    validateHeader(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Файл не є документом ipuz');
+        }
+
+        if (typeof data.version !== 'string' || !data.version.startsWith('http://ipuz.org/v')) {
+            throw new Error('Файл не є документом ipuz: відсутня версія');
+        }
+
+        const kinds = Array.isArray(data.kind) ? data.kind : [];
+        if (!kinds.some(kind => String(kind).startsWith(this.config.kindPrefix))) {
+            throw new Error('Підтримуються лише кросворди ipuz (kind: crossword)');
+        }
+
+        const { width, height } = data.dimensions || {};
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error('Файл ipuz пошкоджено: некоректні розміри');
+        }
+    }
+
+    /**
+     * Розбір JSON (ipuz іноді поширюється як JSONP "ipuz({...})")
+     * @param {string} text - вміст файлу
+     * @returns {Object} ipuz
+     */
+    parseJSON(text) {
+        const trimmed = text.trim();
+        const json = trimmed.startsWith('ipuz(') ? trimmed.slice(5, trimmed.lastIndexOf(')')) : trimmed;
+
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Файл ipuz пошкоджено: ${error.message}`);
+        }
+    }
+
+    /**
+     * Значення клітинки ipuz (значення може бути вкладене в об'єкт {cell, value, style})
+     * @param {*} cell - клітинка
+     * @returns {*} значення
+     */
+    getCellValue(cell) {
+        if (cell && typeof cell === 'object') {
+            return cell.cell ?? cell.value ?? null;
+        }
+        return cell;
+    }
+
+    /**
+     * Стиль клітинки ipuz (стиль може бути об'єктом або назвою зі словника styles)
+     * @param {*} cell - клітинка
+     * @param {Object} styles - іменовані стилі документа
+     * @returns {Object|null} стиль
+     */
+    getCellStyle(cell, styles) {
+        if (!cell || typeof cell !== 'object' || !cell.style) return null;
+        return typeof cell.style === 'string' ? styles?.[cell.style] || null : cell.style;
+    }
+
+    /**
+     * Координати клітинок слова
+     * @param {Object} wordData - дані слова
+     * @returns {Array} клітинки {row, col}
+     */
+    getWordCells(wordData) {
+        return Array.from(wordData.word, (letter, i) => ({
+            row: wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow,
+            col: wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol
+        }));
+    }
+
+    /**
+     * ipuz дозволяє базовий HTML у текстових полях
+     * @param {*} text - текст
+     * @returns {string} текст без тегів
+     */
+    stripHTML(text) {
+        return text ? String(text).replace(/<[^>]*>/g, '') : '';
+    }
+
+    /**
+     * Поля документа, які ми не розбираємо, плюс kind (може містити додаткові типи)
+     * @param {Object} data - ipuz
+     * @returns {Object} поля для збереження
+     */
+    collectExtensions(data) {
+        const keys = Object.keys(data).filter(key => key === 'kind' || !this.knownFields.includes(key));
+        return this.pick(data, keys);
+    }
+
+    pick(object, keys) {
+        return keys.reduce((result, key) => {
+            result[key] = object[key];
+            return result;
+        }, {});
+    }
+
+    omit(object, keys) {
+        return this.pick(object, Object.keys(object).filter(key => !keys.includes(key)));
+    }
+}
+
+// Створення глобального екземпляра
+window.IpuzHelper = new IpuzHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IpuzHelper;
+}
@@ -0,0 +1,703 @@
+/**
+ * LayoutHelper - рушій автоматичного компонування кросворду
+ * Шукає розміщення для списку слів з поверненням (backtracking) та бюджетом ітерацій/часу
+ */
+class LayoutHelper {
+    constructor() {
+        // Налаштування за замовчуванням
+        this.config = {
+            maxIterations: 20000,   // Максимальна кількість спроб розміщення
+            timeLimit: 2000,        // Ліміт часу пошуку (мс)
+            branchingLimit: 12,     // Скільки найкращих варіантів перебирати для кожного слова
+            objective: 'intersections'
+        };
+
+        // Доступні цілі оптимізації
+        this.objectives = {
+            COMPACT: 'compact',             // Найменша площа, яку займають слова
+            INTERSECTIONS: 'intersections', // Найбільша кількість пересічень
+            FIT: 'fit'                      // Вмістити всі слова в W×H
+        };
+    }
+
+    /**
+     * Пошук компонування для списку слів
+     * @param {Array} words - масив об'єктів {word, clue, ...}
+     * @param {Object} options - опції пошуку
+     * @param {number} options.width - ширина сітки
+     * @param {number} options.height - висота сітки
+     * @param {string} options.objective - ціль ('compact', 'intersections', 'fit')
+     * @param {number} options.maxIterations - бюджет ітерацій
+     * @param {number} options.timeLimit - бюджет часу (мс)
+     * @param {Array} options.grid - сітка, заблоковані клітинки якої треба врахувати
+     * @param {Array} options.fixedWords - слова, що вже стоять на сітці: їхні літери не змінюються,
+     *                                     а нові слова можуть їх перетинати (у результат не входять)
+     * @param {boolean} options.randomize - перемішувати рівноцінні варіанти (для інших компонувань)
+     * @param {number} options.seed - зерно генератора випадкових чисел
+     * @param {boolean} options.scanword - резервувати клітинку-підказку перед початком кожного слова
+     * @returns {Object} результат компонування
+     */
+    generateLayout(words, options = {}) {
+        const config = { ...this.config, ...options };
+        const width = config.width || config.grid?.[0]?.length;
+        const height = config.height || config.grid?.length;
+
+        if (!Object.values(this.objectives).includes(config.objective)) {
+            throw new Error(`Невідома ціль компонування: ${config.objective}`);
+        }
+
+        const gridHelper = window.GridHelper;
+        const workGrid = gridHelper.createEmptyGrid(width, height);
+
+        // Перенести заблоковані клітинки з вихідної сітки
+        this.copyBlocks(config.grid, workGrid);
+
+        // Уже розміщені слова - незмінні обмеження, від яких будуються пересічення
+        const fixed = (config.fixedWords || []).map(word => ({ ...word, fixed: true }));
+        fixed.forEach(word => gridHelper.registerWord(workGrid, word));
+
+        const entries = this.prepareEntries(words);
+        const search = {
+            grid: workGrid,
+            width,
+            height,
+            config,
+            random: this.createRandom(config.seed),
+            iterations: 0,
+            startTime: Date.now(),
+            exhausted: false,
+            placed: fixed.slice(),
+            skipped: [],
+            best: null
+        };
+
+        this.searchLayout(search, entries, 0);
+
+        const best = search.best || { placed: fixed, skipped: entries.slice(), score: 0 };
+        const result = this.buildResult(best, entries, search);
+
+        return result;
+    }
+
+    /**
+     * Компонування з ключовим словом: горизонтальні слова стоять одне під одним так,
+     * що їхні літери у фіксованому стовпці читаються зверху вниз як ключове слово.
+     * Кожній літері ключового слова добирається окреме слово (паросполучення з доповнювальними шляхами)
+     * @param {Array} words - масив об'єктів {word, clue, ...}
+     * @param {Object} options - опції
+     * @param {string} options.keyWord - ключове слово
+     * @param {number} options.column - стовпець ключового слова (з 0; за замовчуванням - середина)
+     * @param {number} options.width - ширина сітки
+     * @param {number} options.height - висота сітки
+     * @param {boolean} options.randomize - перемішати кандидатів (для інших варіантів)
+     * @param {number} options.seed - зерно генератора випадкових чисел
+     * @returns {Object} результат як у generateLayout, а також keyCells [{row, col}]
+     *                   та missingLetters [{index, letter}] - літери, для яких немає слова
+     */
+    generateKeywordLayout(words, options = {}) {
+        const startTime = Date.now();
+        const gridHelper = window.GridHelper;
+        const keyWord = window.WordHelper.normalizeWord(options.keyWord || '');
+        const { width, height } = options;
+        const column = options.column ?? Math.floor(width / 2);
+
+        if (!keyWord) throw new Error('Не задано ключове слово');
+        if (keyWord.length > height) {
+            throw new Error(`Ключове слово довше за висоту сітки (${keyWord.length} > ${height})`);
+        }
+        if (column < 0 || column >= width) {
+            throw new Error(`Стовпець ${column + 1} поза межами сітки`);
+        }
+
+        const random = this.createRandom(options.seed);
+        const entries = this.prepareEntries(words);
+        const order = options.randomize ? this.shuffle(entries, random) : entries;
+
+        // Для кожної літери - слова, що мають її в позиції, яка дозволяє вміститися в ширину
+        const candidates = Array.from(keyWord, letter => {
+            const fits = [];
+            order.forEach(entry => {
+                [...entry.word].forEach((wordLetter, index) => {
+                    const startCol = column - index;
+                    if (wordLetter === letter && startCol >= 0 && startCol + entry.word.length <= width) {
+                        fits.push({ entry, index, startCol });
+                    }
+                });
+            });
+            return fits;
+        });
+
+        // Алгоритм Куна: рядок ключового слова -> слово
+        const owner = new Map(); // слово -> номер рядка
+        const assigned = new Array(keyWord.length).fill(null);
+        const tryAssign = (rowIndex, visited) => {
+            for (const option of candidates[rowIndex]) {
+                if (visited.has(option.entry)) continue;
+                visited.add(option.entry);
+
+                const current = owner.get(option.entry);
+                if (current === undefined || tryAssign(current, visited)) {
+                    owner.set(option.entry, rowIndex);
+                    assigned[rowIndex] = option;
+                    return true;
+                }
+            }
+            return false;
+        };
+        candidates.forEach((_, rowIndex) => tryAssign(rowIndex, new Set()));
+
+        const top = Math.floor((height - keyWord.length) / 2);
+        const grid = gridHelper.createEmptyGrid(width, height);
+        const placedWords = [];
+        const keyCells = [];
+        const missingLetters = [];
+
+        assigned.forEach((option, rowIndex) => {
+            if (!option) {
+                missingLetters.push({ index: rowIndex, letter: keyWord[rowIndex] });
+                return;
+            }
+
+            const { sourceIndex, ...word } = option.entry;
+            const placed = { ...word, startRow: top + rowIndex, startCol: option.startCol, direction: 'horizontal' };
+            // Сусідні рядки торкаються, тож перевірки щільного кросворду тут не застосовуються
+            gridHelper.registerWord(grid, placed);
+            placedWords.push(placed);
+            keyCells.push({ row: top + rowIndex, col: column });
+        });
+
+        const unplacedWords = entries
+            .filter(entry => !owner.has(entry))
+            .map(({ sourceIndex, ...word }) => ({ ...word, reason: 'Не знадобилося для ключового слова' }));
+
+        return {
+            success: missingLetters.length === 0,
+            grid,
+            placedWords,
+            unplacedWords,
+            keyCells,
+            missingLetters,
+            objective: 'keyword',
+            score: placedWords.length,
+            bounds: this.calculateBounds(placedWords),
+            intersections: 0,
+            iterations: 0,
+            elapsed: Date.now() - startTime,
+            budgetExhausted: false
+        };
+    }
+
+    /**
+     * Перенесення блоків вихідної сітки. Клітинки-підказки сканворду не переносяться:
+     * їх розставляють наново під нове компонування
+     * @param {Array|undefined} source - вихідна сітка
+     * @param {Array} target - сітка пошуку
+     */
+    copyBlocks(source, target) {
+        (source || []).forEach((row, rowIndex) => {
+            row.forEach((cell, colIndex) => {
+                if (cell.blocked && !cell.metadata?.clues) window.GridHelper.blockCell(target, rowIndex, colIndex);
+            });
+        });
+    }
+
+    /**
+     * Підготовка слів до пошуку: нормалізація та впорядкування
+     * @param {Array} words - вхідні слова
+     * @returns {Array} впорядковані записи
+     */
+    prepareEntries(words) {
+        const entries = words.map((wordData, index) => ({
+            ...wordData,
+            id: wordData.id || window.WordHelper.generateWordId(),
+            word: window.WordHelper.normalizeWord(wordData.word),
+            sourceIndex: index
+        }));
+
+        // sortWordsForPlacement сортує на місці, тому передаємо копію
+        return window.WordHelper.sortWordsForPlacement(entries.slice());
+    }
+
+    /**
+     * Рекурсивний пошук з поверненням
+     * @param {Object} search - стан пошуку
+     * @param {Array} entries - впорядковані слова
+     * @param {number} index - індекс поточного слова
+     */
+    searchLayout(search, entries, index) {
+        if (this.isBudgetExhausted(search)) {
+            search.exhausted = true;
+            return;
+        }
+
+        // Відсікання: гірше за найкращий знайдений варіант вже не стане
+        if (search.best && search.skipped.length > search.best.skipped.length) {
+            return;
+        }
+
+        if (index === entries.length) {
+            this.recordSolution(search);
+            return;
+        }
+
+        const entry = entries[index];
+        const candidates = this.generateCandidates(search, entry);
+
+        for (const candidate of candidates) {
+            search.iterations++;
+
+            const undo = this.applyPlacement(search, entry, candidate);
+            if (!undo) continue;
+
+            this.searchLayout(search, entries, index + 1);
+            this.revertPlacement(search, undo);
+
+            if (search.exhausted || this.isSearchComplete(search)) return;
+        }
+
+        // Слово не вдалось розмістити в жодному варіанті - продовжити без нього
+        search.skipped.push(entry);
+        this.searchLayout(search, entries, index + 1);
+        search.skipped.pop();
+    }
+
+    /**
+     * Чи можна припинити пошук достроково
+     * @param {Object} search - стан пошуку
+     * @returns {boolean}
+     */
+    isSearchComplete(search) {
+        if (!search.best || search.best.skipped.length > 0) return false;
+
+        // Для "вміщення" достатньо першого повного розв'язку,
+        // інші цілі продовжують покращувати результат до вичерпання бюджету
+        return search.config.objective === this.objectives.FIT;
+    }
+
+    /**
+     * Перевірка бюджету пошуку
+     * @param {Object} search - стан пошуку
+     * @returns {boolean} true якщо бюджет вичерпано
+     */
+    isBudgetExhausted(search) {
+        if (search.iterations >= search.config.maxIterations) return true;
+        return Date.now() - search.startTime >= search.config.timeLimit;
+    }
+
+    /**
+     * Генерація варіантів розміщення слова, відсортованих за оцінкою
+     * @param {Object} search - стан пошуку
+     * @param {Object} entry - слово
+     * @returns {Array} варіанти {startRow, startCol, direction, score}
+     */
+    generateCandidates(search, entry) {
+        const candidates = search.placed.length === 0
+            ? this.generateFirstWordCandidates(search, entry)
+            : this.generateIntersectionCandidates(search, entry);
+
+        // Невелике випадкове збурення для альтернативних компонувань
+        if (search.config.randomize) {
+            candidates.forEach(candidate => {
+                candidate.score += search.random() * 0.5;
+            });
+        }
+
+        return candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, search.config.branchingLimit);
+    }
+
+    /**
+     * Варіанти для першого слова: центр сітки, для "вміщення" - також кути
+     * @param {Object} search - стан пошуку
+     * @param {Object} entry - слово
+     * @returns {Array} варіанти розміщення
+     */
+    generateFirstWordCandidates(search, entry) {
+        const { width, height } = search;
+        const length = entry.word.length;
+        const positions = [
+            { startRow: Math.floor(height / 2), startCol: Math.floor((width - length) / 2), direction: 'horizontal', score: 2 },
+            { startRow: Math.floor((height - length) / 2), startCol: Math.floor(width / 2), direction: 'vertical', score: 1 }
+        ];
+
+        if (search.config.objective === this.objectives.FIT) {
+            positions.push(
+                { startRow: 0, startCol: 0, direction: 'horizontal', score: 0.5 },
+                { startRow: 0, startCol: 0, direction: 'vertical', score: 0.4 },
+                { startRow: height - 1, startCol: Math.max(0, width - length), direction: 'horizontal', score: 0.3 }
+            );
+        }
+
+        return positions.filter(position =>
+            this.isPlacementAllowed(search.grid, entry.word, position.startRow, position.startCol, position.direction, search.config.scanword)
+        );
+    }
+
+    /**
+     * Варіанти розміщення через пересічення з уже розміщеними словами
+     * @param {Object} search - стан пошуку
+     * @param {Object} entry - слово
+     * @returns {Array} варіанти розміщення
+     */
+    generateIntersectionCandidates(search, entry) {
+        const gridHelper = window.GridHelper;
+        const seen = new Set();
+        const candidates = [];
+
+        search.placed.forEach(placedWord => {
+            const intersections = gridHelper.findPossibleIntersections(entry.word, placedWord);
+
+            intersections.forEach(intersection => {
+                const { startRow, startCol, direction } = intersection;
+                const key = `${startRow}:${startCol}:${direction}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                if (!this.isPlacementAllowed(search.grid, entry.word, startRow, startCol, direction, search.config.scanword)) return;
+
+                const check = gridHelper.canPlaceWord(search.grid, entry.word, startRow, startCol, direction);
+                if (!check.canPlace) return;
+
+                const quality = window.WordHelper.calculateIntersectionQuality(
+                    entry.word, placedWord.word, intersection.intersectionPos.i, intersection.intersectionPos.j
+                );
+
+                candidates.push({
+                    startRow,
+                    startCol,
+                    direction,
+                    intersections: check.intersections.length,
+                    quality,
+                    score: this.scoreCandidate(search, entry, { startRow, startCol, direction }, check.intersections.length, quality)
+                });
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Оцінка варіанта згідно з ціллю оптимізації
+     * @param {Object} search - стан пошуку
+     * @param {Object} entry - слово
+     * @param {Object} position - позиція {startRow, startCol, direction}
+     * @param {number} intersections - кількість пересічень
+     * @param {number} quality - якість пересічення (0-1)
+     * @returns {number} оцінка
+     */
+    scoreCandidate(search, entry, position, intersections, quality) {
+        switch (search.config.objective) {
+            case this.objectives.COMPACT: {
+                const bounds = this.calculateBounds(search.placed.concat([{ ...position, word: entry.word }]));
+                const area = bounds.width * bounds.height;
+                return -area / (search.width * search.height) * 10 + intersections + quality;
+            }
+            case this.objectives.INTERSECTIONS:
+                return intersections * 3 + quality;
+            default:
+                return intersections + quality;
+        }
+    }
+
+    /**
+     * Перевірка сусідніх клітинок: слово не повинно торкатися інших слів,
+     * крім клітинок пересічення, і не може продовжувати існуюче слово
+     * @param {Array} grid - сітка
+     * @param {string} word - слово
+     * @param {number} startRow - початковий рядок
+     * @param {number} startCol - початковий стовпець
+     * @param {string} direction - напрямок
+     * @param {boolean} scanword - режим сканворду
+     * @returns {boolean}
+     */
+    isPlacementAllowed(grid, word, startRow, startCol, direction, scanword = false) {
+        const gridHelper = window.GridHelper;
+        const dRow = direction === 'vertical' ? 1 : 0;
+        const dCol = direction === 'horizontal' ? 1 : 0;
+
+        const hasLetter = (row, col) => {
+            const cell = gridHelper.getCell(grid, row, col);
+            return Boolean(cell && cell.letter);
+        };
+
+        // Перевірка меж та заблокованих клітинок
+        for (let i = 0; i < word.length; i++) {
+            const cell = gridHelper.getCell(grid, startRow + dRow * i, startCol + dCol * i);
+            if (!cell || cell.blocked) return false;
+        }
+
+        // Клітинки перед початком і після кінця мають бути порожніми
+        if (hasLetter(startRow - dRow, startCol - dCol)) return false;
+        if (hasLetter(startRow + dRow * word.length, startCol + dCol * word.length)) return false;
+
+        // У сканворді клітинка перед початком слова стає підказкою, тож має бути в межах сітки
+        if (scanword && !gridHelper.getCell(grid, startRow - dRow, startCol - dCol)) return false;
+
+        for (let i = 0; i < word.length; i++) {
+            const row = startRow + dRow * i;
+            const col = startCol + dCol * i;
+            const cell = grid[row][col];
+
+            if (cell.letter) {
+                // Пересічення можливе лише з перпендикулярним словом
+                if (cell.directions.includes(direction)) return false;
+                continue;
+            }
+
+            // Бокові сусіди порожньої клітинки не повинні містити літер
+            if (hasLetter(row + dCol, col + dRow) || hasLetter(row - dCol, col - dRow)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Розміщення слова на робочій сітці із збереженням стану для відкату
+     * @param {Object} search - стан пошуку
+     * @param {Object} entry - слово
+     * @param {Object} candidate - варіант розміщення
+     * @returns {Object|null} дані для відкату або null
+     */
+    applyPlacement(search, entry, candidate) {
+        const gridHelper = window.GridHelper;
+        const placement = {
+            ...entry,
+            startRow: candidate.startRow,
+            startCol: candidate.startCol,
+            direction: candidate.direction
+        };
+
+        const snapshot = gridHelper.getWordCells(search.grid, placement).map(cell => ({
+            row: cell.row,
+            col: cell.col,
+            state: {
+                letter: cell.letter,
+                number: cell.number,
+                wordIds: [...cell.wordIds],
+                directions: [...cell.directions],
+                isStart: cell.isStart,
+                isEnd: cell.isEnd,
+                isIntersection: cell.isIntersection
+            }
+        }));
+
+        if (!gridHelper.placeWord(search.grid, placement)) {
+            return null;
+        }
+
+        // Резервування клітинки-підказки: інші слова вже не пройдуть через неї
+        let reserved = null;
+        if (search.config.scanword) {
+            const dRow = placement.direction === 'vertical' ? 1 : 0;
+            const dCol = placement.direction === 'horizontal' ? 1 : 0;
+            const cell = search.grid[placement.startRow - dRow][placement.startCol - dCol];
+            if (!cell.blocked) {
+                gridHelper.blockCell(search.grid, cell.row, cell.col);
+                reserved = cell;
+            }
+        }
+
+        search.placed.push(placement);
+        return { snapshot, reserved };
+    }
+
+    /**
+     * Відкат розміщення слова
+     * @param {Object} search - стан пошуку
+     * @param {Object} undo - дані для відкату
+     */
+    revertPlacement(search, undo) {
+        undo.snapshot.forEach(({ row, col, state }) => {
+            Object.assign(search.grid[row][col], state);
+        });
+        if (undo.reserved) undo.reserved.blocked = false;
+        search.placed.pop();
+    }
+
+    /**
+     * Запис розв'язку, якщо він кращий за попередній
+     * @param {Object} search - стан пошуку
+     */
+    recordSolution(search) {
+        const score = this.scoreLayout(search.placed, search.config.objective);
+        const best = search.best;
+
+        const isBetter = !best ||
+            search.skipped.length < best.skipped.length ||
+            (search.skipped.length === best.skipped.length && score > best.score);
+
+        if (isBetter) {
+            search.best = {
+                placed: search.placed.map(word => ({ ...word })),
+                skipped: search.skipped.slice(),
+                score
+            };
+        }
+    }
+
+    /**
+     * Оцінка всього компонування
+     * @param {Array} placed - розміщені слова
+     * @param {string} objective - ціль
+     * @returns {number} оцінка
+     */
+    scoreLayout(placed, objective) {
+        if (placed.length === 0) return 0;
+
+        const bounds = this.calculateBounds(placed);
+        const intersections = this.countIntersections(placed);
+
+        switch (objective) {
+            case this.objectives.COMPACT:
+                return -bounds.width * bounds.height + intersections;
+            case this.objectives.INTERSECTIONS:
+                return intersections * 100 - bounds.width * bounds.height / 100;
+            default:
+                return intersections;
+        }
+    }
+
+    /**
+     * Обчислення прямокутника, який займають слова
+     * @param {Array} placed - розміщені слова
+     * @returns {Object} межі {top, left, bottom, right, width, height}
+     */
+    calculateBounds(placed) {
+        let top = Infinity, left = Infinity, bottom = -Infinity, right = -Infinity;
+
+        placed.forEach(({ word, startRow, startCol, direction }) => {
+            const endRow = direction === 'vertical' ? startRow + word.length - 1 : startRow;
+            const endCol = direction === 'horizontal' ? startCol + word.length - 1 : startCol;
+            top = Math.min(top, startRow);
+            left = Math.min(left, startCol);
+            bottom = Math.max(bottom, endRow);
+            right = Math.max(right, endCol);
+        });
+
+        if (top === Infinity) {
+            return { top: 0, left: 0, bottom: -1, right: -1, width: 0, height: 0 };
+        }
+
+        return { top, left, bottom, right, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    /**
+     * Підрахунок клітинок пересічення
+     * @param {Array} placed - розміщені слова
+     * @returns {number} кількість пересічень
+     */
+    countIntersections(placed) {
+        const cellCounts = new Map();
+
+        placed.forEach(({ word, startRow, startCol, direction }) => {
+            for (let i = 0; i < word.length; i++) {
+                const row = direction === 'vertical' ? startRow + i : startRow;
+                const col = direction === 'horizontal' ? startCol + i : startCol;
+                const key = `${row}-${col}`;
+                cellCounts.set(key, (cellCounts.get(key) || 0) + 1);
+            }
+        });
+
+        let intersections = 0;
+        cellCounts.forEach(count => {
+            if (count > 1) intersections++;
+        });
+        return intersections;
+    }
+
+    /**
+     * Побудова результату: чиста сітка з розміщеними словами та звіт
+     * @param {Object} best - найкращий розв'язок
+     * @param {Array} entries - усі слова
+     * @param {Object} search - стан пошуку
+     * @returns {Object} результат
+     */
+    buildResult(best, entries, search) {
+        const gridHelper = window.GridHelper;
+        const grid = gridHelper.createEmptyGrid(search.width, search.height);
+
+        this.copyBlocks(search.config.grid, grid);
+
+        best.placed.filter(word => word.fixed).forEach(word => gridHelper.registerWord(grid, word));
+
+        const placedWords = best.placed.filter(word => !word.fixed).map(({ sourceIndex, ...word }) => word);
+        placedWords.forEach(word => gridHelper.placeWord(grid, word));
+        if (search.config.scanword) gridHelper.assignClueCells(grid, placedWords);
+
+        const unplacedWords = best.skipped.map(({ sourceIndex, ...word }) => ({
+            ...word,
+            reason: this.explainUnplaced(word, placedWords)
+        }));
+
+        return {
+            success: unplacedWords.length === 0,
+            grid,
+            placedWords,
+            unplacedWords,
+            objective: search.config.objective,
+            score: best.score,
+            bounds: this.calculateBounds(placedWords),
+            intersections: this.countIntersections(placedWords),
+            iterations: search.iterations,
+            elapsed: Date.now() - search.startTime,
+            budgetExhausted: search.exhausted
+        };
+    }
+
+    /**
+     * Пояснення, чому слово не вдалось розмістити
+     * @param {Object} entry - слово
+     * @param {Array} placedWords - розміщені слова
+     * @returns {string} причина
+     */
+    explainUnplaced(entry, placedWords) {
+        const sharesLetters = placedWords.some(placed =>
+            [...entry.word].some(letter => placed.word.includes(letter))
+        );
+
+        if (placedWords.length > 0 && !sharesLetters) {
+            return 'Немає спільних літер з розміщеними словами';
+        }
+
+        return 'Не знайдено вільного місця для пересічення';
+    }
+
+    /**
+     * Перемішування Фішера-Єйтса (повертає новий масив)
+     */
+    shuffle(items, random) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Генератор псевдовипадкових чисел (mulberry32)
+     * @param {number} seed - зерно; якщо не задано - Math.random
+     * @returns {Function} функція, що повертає число в [0, 1)
+     */
+    createRandom(seed) {
+        if (seed === undefined || seed === null) return Math.random;
+
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Створення глобального екземпляра
+window.LayoutHelper = new LayoutHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutHelper;
+}
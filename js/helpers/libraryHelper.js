@@ -0,0 +1,319 @@
+/**
+ * LibraryHelper - бібліотека збережених кросвордів в IndexedDB
+ * Кожен запис містить документ кросворду (див. DocumentHelper) та короткі дані для списку:
+ * назву, тему, складність, розмір, кількість слів, дати та мініатюру.
+ * Окреме сховище solves містить прогрес розв'язування (див. GameHelper.createSolveState):
+ * кросворд може мати кілька розв'язків, кожен з власним id та полем puzzleId.
+ * Всі методи асинхронні та повертають Promise.
+ */
+class LibraryHelper {
+    constructor() {
+        this.config = {
+            dbName: 'crossword-library',
+            dbVersion: 2,
+            storeName: 'crosswords',
+            solvesStoreName: 'solves',
+            legacyKey: 'crossword_save', // єдиний слот localStorage до появи бібліотеки
+            thumbnailCellSize: 6,
+            untitled: 'Без назви'
+        };
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Відкриття бази даних (з'єднання кешується)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB недоступна в цьому браузері'));
+                return;
+            }
+
+            const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.config.storeName)) {
+                    const store = db.createObjectStore(this.config.storeName, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                // Версія 2: розв'язки кросвордів
+                if (!db.objectStoreNames.contains(this.config.solvesStoreName)) {
+                    const store = db.createObjectStore(this.config.solvesStoreName, { keyPath: 'id' });
+                    store.createIndex('puzzleId', 'puzzleId');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Дозволити повторну спробу, якщо відкриття не вдалося
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Виконання запиту в транзакції
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - отримує сховище та повертає IDBRequest
+     * @param {string} storeName - сховище (за замовчуванням - кросворди)
+     * @returns {Promise<*>} результат запиту
+     */
+    async run(mode, callback, storeName = this.config.storeName) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Транзакцію скасовано'));
+        });
+    }
+
+    /**
+     * Збереження документа (новий запис, якщо id не передано)
+     * @param {Object} document - документ кросворду
+     * @param {Object} options - { id }
+     * @returns {Promise<Object>} запис бібліотеки
+     */
+    async saveCrossword(document, options = {}) {
+        const existing = options.id ? await this.getCrossword(options.id) : null;
+        const now = new Date().toISOString();
+
+        const record = this.createRecord(document, {
+            id: existing?.id || this.generateId(),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        });
+
+        await this.run('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Отримання запису разом з документом
+     * @param {string} id - ID запису
+     * @returns {Promise<Object|null>}
+     */
+    async getCrossword(id) {
+        const record = await this.run('readonly', store => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * Список записів без документів, від найновіших
+     * @param {Object} filters - { query, difficulty }
+     * @returns {Promise<Array>} короткі дані записів
+     */
+    async listCrosswords(filters = {}) {
+        const records = await this.run('readonly', store => store.getAll());
+        const query = (filters.query || '').trim().toLowerCase();
+
+        return records
+            .filter(record => !filters.difficulty || record.difficulty === filters.difficulty)
+            .filter(record => !query || [record.title, record.theme, record.author]
+                .some(text => (text || '').toLowerCase().includes(query)))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(({ document, ...summary }) => summary);
+    }
+
+    /**
+     * Копія запису з новою назвою
+     * @param {string} id - ID запису
+     * @returns {Promise<Object>} новий запис
+     */
+    async duplicateCrossword(id) {
+        const record = await this.requireCrossword(id);
+        const document = {
+            ...record.document,
+            metadata: { ...record.document.metadata, title: `${record.title} (копія)` }
+        };
+
+        return this.saveCrossword(document);
+    }
+
+    /**
+     * Перейменування запису (назва оновлюється і в документі)
+     * @param {string} id - ID запису
+     * @param {string} title - нова назва
+     * @returns {Promise<Object>} оновлений запис
+     */
+    async renameCrossword(id, title) {
+        const record = await this.requireCrossword(id);
+        const document = {
+            ...record.document,
+            metadata: { ...record.document.metadata, title: title.trim() }
+        };
+
+        return this.saveCrossword(document, { id });
+    }
+
+    /**
+     * Видалення запису
+     * @param {string} id - ID запису
+     * @returns {Promise<void>}
+     */
+    async deleteCrossword(id) {
+        await this.run('readwrite', store => store.delete(id));
+
+        const solves = await this.listSolves(id);
+        await Promise.all(solves.map(solve => this.deleteSolve(solve.id)));
+    }
+
+    /**
+     * Збереження розв'язку (новий id, якщо його не передано)
+     * @param {Object} solve - стан розв'язку { id?, puzzleId, ... }
+     * @returns {Promise<Object>} збережений запис
+     */
+    async saveSolve(solve) {
+        const now = new Date().toISOString();
+        const record = {
+            ...solve,
+            id: solve.id || this.generateId('solve'),
+            createdAt: solve.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.run('readwrite', store => store.put(record), this.config.solvesStoreName);
+        return record;
+    }
+
+    /**
+     * Розв'язки кросворду, від найновіших
+     * @param {string} puzzleId - ідентифікатор кросворду
+     * @returns {Promise<Array>}
+     */
+    async listSolves(puzzleId) {
+        const solves = await this.run(
+            'readonly',
+            store => store.index('puzzleId').getAll(puzzleId),
+            this.config.solvesStoreName
+        );
+
+        return solves.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Перенесення розв'язків на інший ідентифікатор кросворду
+     * (кросворд, який розв'язували до збереження, отримує id запису бібліотеки)
+     * @param {string} fromPuzzleId - попередній ідентифікатор
+     * @param {string} toPuzzleId - новий ідентифікатор
+     * @returns {Promise<number>} кількість перенесених розв'язків
+     */
+    async moveSolves(fromPuzzleId, toPuzzleId) {
+        const solves = await this.listSolves(fromPuzzleId);
+        await Promise.all(solves.map(solve => this.run(
+            'readwrite',
+            store => store.put({ ...solve, puzzleId: toPuzzleId }),
+            this.config.solvesStoreName
+        )));
+
+        return solves.length;
+    }
+
+    async deleteSolve(id) {
+        await this.run('readwrite', store => store.delete(id), this.config.solvesStoreName);
+    }
+
+    /**
+     * Перенесення старого збереження з localStorage у бібліотеку
+     * @returns {Promise<Object|null>} створений запис або null, якщо переносити нічого
+     */
+    async migrateLegacySave() {
+        const legacy = localStorage.getItem(this.config.legacyKey);
+        if (!legacy) return null;
+
+        const data = window.DocumentHelper.readDocument(legacy);
+        const record = await this.saveCrossword(window.DocumentHelper.createDocument(data));
+
+        localStorage.removeItem(this.config.legacyKey);
+        return record;
+    }
+
+    async requireCrossword(id) {
+        const record = await this.getCrossword(id);
+        if (!record) {
+            throw new Error('Кросворд не знайдено в бібліотеці');
+        }
+        return record;
+    }
+
+    /**
+     * Побудова запису бібліотеки з документа
+     * @param {Object} document - документ кросворду
+     * @param {Object} fields - { id, createdAt, updatedAt }
+     * @returns {Object} запис
+     */
+    createRecord(document, fields) {
+        const metadata = document.metadata || {};
+
+        return {
+            ...fields,
+            title: metadata.title || this.config.untitled,
+            theme: metadata.theme || '',
+            author: metadata.author || '',
+            difficulty: metadata.difficulty || 'medium',
+            width: document.gridSize.width,
+            height: document.gridSize.height,
+            wordCount: document.words.length,
+            thumbnail: this.createThumbnail(document),
+            document: { ...document, updatedAt: fields.updatedAt }
+        };
+    }
+
+    /**
+     * Мініатюра сітки у вигляді SVG (data URL)
+     * @param {Object} document - документ кросворду
+     * @returns {string} data URL
+     */
+    createThumbnail(document) {
+        const { width, height } = document.gridSize;
+        const size = this.config.thumbnailCellSize;
+        const filled = new Set();
+
+        document.words.forEach(wordData => {
+            for (let i = 0; i < wordData.word.length; i++) {
+                const row = wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow;
+                const col = wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol;
+                filled.add(`${row}:${col}`);
+            }
+        });
+
+        const rects = [];
+        filled.forEach(key => {
+            const [row, col] = key.split(':').map(Number);
+            rects.push(`<rect x="${col * size}" y="${row * size}" width="${size}" height="${size}" fill="#ffffff" stroke="#94a3b8" stroke-width="0.5"/>`);
+        });
+        (document.cells || []).filter(cell => cell.blocked).forEach(cell => {
+            rects.push(`<rect x="${cell.col * size}" y="${cell.row * size}" width="${size}" height="${size}" fill="#374151"/>`);
+        });
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width * size}" height="${height * size}" viewBox="0 0 ${width * size} ${height * size}">` +
+            `<rect width="100%" height="100%" fill="#f1f5f9"/>${rects.join('')}</svg>`;
+
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    generateId(prefix = 'crossword') {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Створення глобального екземпляра
+window.LibraryHelper = new LibraryHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LibraryHelper;
+}
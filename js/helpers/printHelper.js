@@ -0,0 +1,394 @@
+/**
+ * PrintHelper - сторінки для друку: порожня нумерована сітка з підказками та сторінка відповідей,
+ * а також філворд зі сторінкою обведених відповідей
+ * Сітка малюється як SVG у міліметрах (RenderHelper.renderGridSVG), тож друк не потребує сторонніх бібліотек.
+ * Документ друкується через прихований iframe; у діалозі друку його можна зберегти як PDF.
+ */
+class PrintHelper {
+    constructor() {
+        this.config = {
+            papers: {
+                a4: { name: 'A4', width: 210, height: 297 },
+                letter: { name: 'letter', width: 215.9, height: 279.4 }
+            },
+            fonts: {
+                serif: 'Georgia, "Times New Roman", serif',
+                sans: 'Arial, "Helvetica Neue", sans-serif',
+                mono: '"Courier New", monospace'
+            },
+            margin: 12,        // поля сторінки (мм)
+            pointSize: 0.3528, // мм в одному пункті шрифту
+            headerHeight: 14,  // висота заголовка блоку (мм)
+            colors: {
+                cellBg: '#ffffff',
+                cellBorder: '#000000',
+                blockedBg: '#000000',
+                clueBg: '#ffffff',
+                numberColor: '#000000',
+                letterColor: '#000000',
+                overlayColor: '#808080'
+            },
+            defaults: {
+                paper: 'a4',
+                cellSize: 8,   // мм
+                font: 'sans',
+                fontSize: 10,  // пт, для підказок
+                twoPerPage: false,
+                answerKey: true
+            }
+        };
+    }
+
+    /**
+     * HTML-документ для друку
+     * @param {Object} data - { gridSize, words, grid (з відповідями), metadata }
+     * Підказки, що не вміщуються на сторінку, продовжуються на наступній;
+     * якщо вони не вміщуються в половину сторінки, кросворд друкується по одному на сторінці
+     * @param {Object} options - { paper, cellSize, font, fontSize, twoPerPage, answerKey }
+     * @returns {Object} { html, warnings }
+     */
+    createPrintDocument(data, options = {}) {
+        const settings = { ...this.config.defaults, ...options };
+        const paper = this.config.papers[settings.paper] || this.config.papers.a4;
+        const fontFamily = this.config.fonts[settings.font] || this.config.fonts.sans;
+        const page = {
+            width: paper.width - this.config.margin * 2,
+            height: paper.height - this.config.margin * 2
+        };
+        const warnings = [];
+
+        if (settings.twoPerPage && !this.fitsHalfPage(data, settings, page)) {
+            settings.twoPerPage = false;
+            warnings.push('Підказки не вміщуються в половину сторінки - кросворд надруковано по одному на сторінці');
+        }
+
+        const copies = settings.twoPerPage ? 2 : 1;
+        const blockHeight = (page.height - (copies - 1) * this.config.margin) / copies;
+        const fontSize = settings.twoPerPage ? settings.fontSize * 0.85 : settings.fontSize;
+
+        const puzzle = this.renderPuzzleBlock(data, settings, {
+            width: page.width,
+            height: blockHeight,
+            compact: settings.twoPerPage
+        });
+
+        const pages = [
+            `<section class="page">${Array(copies).fill(puzzle).join('<div class="cut-line"></div>')}</section>`
+        ];
+        if (settings.answerKey) {
+            pages.push(`<section class="page">${this.renderAnswerKey(data, settings, page)}</section>`);
+        }
+
+        const html = this.renderDocument(data.metadata?.title || 'Кросворд', pages, {
+            paper,
+            page,
+            fontFamily,
+            fontSize,
+            blockHeight
+        });
+
+        return { html, warnings };
+    }
+
+    /**
+     * Чи вміщуються підказки в компактний блок на пів сторінки (оцінка за кількістю рядків)
+     * @param {Object} data - дані кросворду
+     * @param {Object} settings - параметри друку
+     * @param {Object} page - розмір області друку (мм)
+     * @returns {boolean}
+     */
+    fitsHalfPage(data, settings, page) {
+        const type = data.metadata?.puzzleType;
+        if (type === 'scanword' || type === 'codeword') return true;
+
+        // Компактний блок: сітка займає до 55% ширини, підказки - одна колонка поруч
+        const fontSize = settings.fontSize * 0.85 * this.config.pointSize;
+        const width = page.width * 0.45 - 5;
+        const height = (page.height - this.config.margin) / 2 - this.config.headerHeight;
+        const charsPerLine = Math.max(1, Math.floor(width / (fontSize * 0.5)));
+
+        const lines = data.words.reduce((sum, word) => {
+            const length = `${word.number}. ${word.clue || ''}${word.enumeration ? ` (${word.enumeration})` : ''}`.length;
+            return sum + Math.ceil(length / charsPerLine);
+        }, 0);
+
+        // Два заголовки напрямків займають приблизно по два рядки
+        return (lines + 4) * fontSize * 1.3 <= height;
+    }
+
+    /**
+     * Сторінки філворду: сітка літер зі списком слів і сторінка з обведеними відповідями
+     * @param {Object} puzzle - філворд (див. WordSearchHelper)
+     * @param {Object} metadata - метадані кросворду
+     * @param {Object} options - { paper, cellSize, font, fontSize, answerKey }
+     * @returns {string} HTML
+     */
+    createWordSearchDocument(puzzle, metadata = {}, options = {}) {
+        const settings = { ...this.config.defaults, ...options };
+        const paper = this.config.papers[settings.paper] || this.config.papers.a4;
+        const page = {
+            width: paper.width - this.config.margin * 2,
+            height: paper.height - this.config.margin * 2
+        };
+        const title = metadata.title || 'Філворд';
+        const grid = window.WordSearchHelper.toGridCells(puzzle);
+        const cellSize = Math.min(settings.cellSize * 1.25, page.width / puzzle.width, page.height * 0.65 / puzzle.height);
+
+        const words = puzzle.placements
+            .map(({ word }) => word)
+            .sort((a, b) => a.localeCompare(b, 'uk'))
+            .map(word => `<li>${window.CrosswordUtils.escapeHTML(word)}</li>`)
+            .join('');
+
+        const pages = [`
+            <section class="page"><div class="puzzle">
+                ${this.renderHeader(title, metadata)}
+                ${this.renderGridSVG(grid, { cellSize, showLetters: true, showNumbers: false })}
+                <ul class="wordsearch-words">${words}</ul>
+            </div></section>`];
+        if (settings.answerKey) {
+            pages.push(`
+            <section class="page"><div class="puzzle">
+                ${this.renderHeader(`Відповіді: ${title}`, metadata)}
+                ${this.renderGridSVG(grid, {
+                    cellSize, showLetters: true, showNumbers: false, overlay: window.WordSearchHelper.getAnswerLines(puzzle)
+                })}
+            </div></section>`);
+        }
+
+        return this.renderDocument(title, pages, {
+            paper,
+            page,
+            fontFamily: this.config.fonts[settings.font] || this.config.fonts.sans,
+            fontSize: settings.fontSize,
+            blockHeight: page.height
+        });
+    }
+
+    /**
+     * HTML-документ зі сторінками та стилями друку
+     * @param {string} title - заголовок документа
+     * @param {Array} pages - HTML сторінок
+     * @param {Object} layout - { paper, page, fontFamily, fontSize, blockHeight }
+     */
+    renderDocument(title, pages, layout) {
+        const { paper, page, fontFamily, fontSize, blockHeight } = layout;
+
+        return `<!DOCTYPE html>
+<html lang="uk">
+<head>
+<meta charset="UTF-8">
+<title>${window.CrosswordUtils.escapeHTML(title)}</title>
+<style>
+    @page { size: ${paper.name} portrait; margin: ${this.config.margin}mm; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: ${fontFamily}; font-size: ${fontSize}pt; color: #000; }
+    .page { width: ${page.width}mm; min-height: ${page.height}mm; page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    .puzzle { min-height: ${blockHeight}mm; display: flex; flex-direction: column; gap: 3mm; }
+    .puzzle.compact .puzzle-body { display: flex; gap: 5mm; align-items: flex-start; }
+    .puzzle.compact .clues { columns: 1; flex: 1; }
+    .cut-line { border-top: 1px dashed #666; margin: ${this.config.margin / 2}mm 0; }
+    .print-header h1 { font-size: 1.6em; }
+    .print-meta { color: #333; margin-top: 1mm; }
+    .print-grid { display: block; margin: 0 auto; }
+    .clues { columns: 2; column-gap: 8mm; line-height: 1.3; }
+    .clues h2 { font-size: 1.1em; margin: 2mm 0 1mm; break-after: avoid; }
+    .clues li { list-style: none; margin-bottom: 0.8mm; break-inside: avoid; }
+    .clue-number { font-weight: bold; margin-right: 1mm; }
+    .codeword-key { border-collapse: collapse; margin-top: 3mm; }
+    .codeword-key td { width: 7mm; height: 8mm; border: 0.3mm solid #000; text-align: center; vertical-align: bottom; font-weight: bold; }
+    .codeword-key .key-number { display: block; font-size: 0.7em; font-weight: normal; }
+    .key-word { border-collapse: collapse; margin-top: 3mm; }
+    .key-word caption { text-align: left; margin-bottom: 1mm; }
+    .key-word td { width: 7mm; height: 7mm; border: 0.3mm solid #000; text-align: center; vertical-align: bottom; font-weight: bold; }
+    .key-word .key-number { display: block; font-size: 0.7em; font-weight: normal; text-align: right; }
+    .wordsearch-words { columns: 3; column-gap: 8mm; line-height: 1.4; }
+    .wordsearch-words li { list-style: none; }
+    .print-footer { margin-top: auto; font-size: 0.8em; color: #555; }
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>`;
+    }
+
+    /**
+     * Блок кросворду: заголовок, порожня сітка з номерами та списки підказок
+     */
+    renderPuzzleBlock(data, settings, area) {
+        const bounds = window.RenderHelper.getGridBounds(data.grid);
+        const rows = bounds.maxRow - bounds.minRow + 1;
+        const cols = bounds.maxCol - bounds.minCol + 1;
+        const metadata = data.metadata || {};
+
+        // Сітка займає не більше половини ширини в компактному режимі та ~60% висоти блоку;
+        // у сканворді підказки стоять у сітці, тож вона може зайняти весь блок
+        const headerHeight = this.config.headerHeight;
+        const isScanword = metadata.puzzleType === 'scanword';
+        const codeword = metadata.puzzleType === 'codeword' ? metadata.codeword : null;
+        const maxWidth = area.compact && !isScanword ? area.width * 0.55 : area.width;
+        const maxHeight = area.compact || isScanword ? area.height - headerHeight : (area.height - headerHeight) * 0.6;
+        const cellSize = Math.min(isScanword ? settings.cellSize * 2 : settings.cellSize, maxWidth / cols, maxHeight / rows);
+
+        return `
+            <div class="puzzle ${area.compact ? 'compact' : ''}">
+                ${this.renderHeader(metadata.title || 'Кросворд', metadata)}
+                <div class="puzzle-body">
+                    ${this.renderGridSVG(data.grid, { cellSize, showLetters: false, showNumbers: !isScanword, codeword })}
+                    ${isScanword ? '' : codeword ? this.renderCodewordKey(codeword, false)
+                        : this.renderClues(data.words, word => this.formatClue(word))}
+                </div>
+                ${this.renderKeyWord(data.grid, false)}
+                ${metadata.copyright ? `<div class="print-footer">${window.CrosswordUtils.escapeHTML(metadata.copyright)}</div>` : ''}
+            </div>`;
+    }
+
+    /**
+     * Сторінка відповідей: заповнена сітка та список слів за номерами
+     */
+    renderAnswerKey(data, settings, page) {
+        const bounds = window.RenderHelper.getGridBounds(data.grid);
+        const rows = bounds.maxRow - bounds.minRow + 1;
+        const cols = bounds.maxCol - bounds.minCol + 1;
+        const isScanword = data.metadata?.puzzleType === 'scanword';
+        const codeword = data.metadata?.puzzleType === 'codeword' ? data.metadata.codeword : null;
+        const cellSize = Math.min(settings.cellSize * (isScanword ? 1.5 : 0.75), page.width / cols, page.height * 0.5 / rows);
+
+        return `
+            <div class="puzzle">
+                ${this.renderHeader(`Відповіді: ${data.metadata?.title || 'Кросворд'}`, data.metadata || {})}
+                ${this.renderGridSVG(data.grid, { cellSize, showLetters: true, showNumbers: !isScanword, codeword })}
+                ${isScanword ? '' : codeword ? this.renderCodewordKey(codeword, true)
+                    : this.renderClues(data.words, word => window.CrosswordUtils.escapeHTML(word.word))}
+                ${this.renderKeyWord(data.grid, true)}
+            </div>`;
+    }
+
+    renderHeader(title, metadata) {
+        const labels = window.CrosswordConstants?.DIFFICULTY_LABELS || {};
+        const meta = [
+            metadata.theme && `Тема: ${metadata.theme}`,
+            metadata.difficulty && `Складність: ${labels[metadata.difficulty] || metadata.difficulty}`,
+            metadata.author && `Автор: ${metadata.author}`
+        ].filter(Boolean);
+
+        return `
+            <header class="print-header">
+                <h1>${window.CrosswordUtils.escapeHTML(title)}</h1>
+                ${meta.length > 0 ? `<div class="print-meta">${meta.map(item => window.CrosswordUtils.escapeHTML(item)).join(' · ')}</div>` : ''}
+            </header>`;
+    }
+
+    /**
+     * Списки підказок за напрямками, впорядковані за номерами
+     * @param {Array} words - слова
+     * @param {Function} text - HTML тексту пункту для слова
+     */
+    renderClues(words, text) {
+        const section = (direction, heading) => {
+            const items = words
+                .filter(word => word.direction === direction)
+                .sort((a, b) => a.number - b.number)
+                .map(word => `<li><span class="clue-number">${word.number}.</span>${text(word)}</li>`)
+                .join('');
+
+            return items ? `<h2>${heading}</h2><ul>${items}</ul>` : '';
+        };
+
+        return `<div class="clues">${section('horizontal', 'По горизонталі')}${section('vertical', 'По вертикалі')}</div>`;
+    }
+
+    /**
+     * Текст підказки з нумерацією відповіді ("... (5,3)"), якщо її задано
+     */
+    formatClue(word) {
+        const clue = window.CrosswordUtils.escapeHTML(word.clue);
+        return word.enumeration ? `${clue} (${window.CrosswordUtils.escapeHTML(word.enumeration)})` : clue;
+    }
+
+    /**
+     * Таблиця ключа кейворду: клітинки з числами, стартові літери (або всі - у відповідях) вписано
+     * @param {Object} cipher - шифр { key, starters }
+     * @param {boolean} showAll - вписати всі літери
+     */
+    renderCodewordKey(cipher, showAll) {
+        const cells = window.CodewordHelper.getKeyTable(cipher)
+            .map(({ number, letter, isStarter }) =>
+                `<td><span class="key-number">${number}</span>${showAll || isStarter ? window.CrosswordUtils.escapeHTML(letter) : '&nbsp;'}</td>`);
+
+        // По 13 клітинок у рядку, щоб таблиця вміщалася і в компактному макеті
+        const rows = [];
+        for (let i = 0; i < cells.length; i += 13) {
+            rows.push(`<tr>${cells.slice(i, i + 13).join('')}</tr>`);
+        }
+
+        return `<table class="codeword-key">${rows.join('')}</table>`;
+    }
+
+    /**
+     * Клітинки для ключового слова, пронумеровані як обведені клітинки сітки
+     * @param {Array} grid - сітка з відповідями
+     * @param {boolean} showLetters - вписати літери (сторінка відповідей)
+     * @returns {string} HTML (порожній рядок, якщо ключових клітинок немає)
+     */
+    renderKeyWord(grid, showLetters) {
+        const keyCells = grid.flat()
+            .filter(cell => cell.metadata?.keyIndex)
+            .sort((a, b) => a.metadata.keyIndex - b.metadata.keyIndex);
+        if (keyCells.length === 0) return '';
+
+        const cells = keyCells.map(cell =>
+            `<td><span class="key-number">${cell.metadata.keyIndex}</span>${showLetters ? window.CrosswordUtils.escapeHTML(cell.letter) : '&nbsp;'}</td>`);
+
+        return `<table class="key-word"><caption>Ключове слово</caption><tr>${cells.join('')}</tr></table>`;
+    }
+
+    /**
+     * Чорно-біла сітка в міліметрах (див. RenderHelper.renderGridSVG)
+     * @param {Array} grid - сітка
+     * @param {Object} options - { cellSize (мм), showLetters, showNumbers, codeword, overlay }
+     * @returns {string} SVG
+     */
+    renderGridSVG(grid, options) {
+        return window.RenderHelper.renderGridSVG(grid, {
+            cellSize: options.cellSize,
+            showLetters: options.showLetters,
+            showNumbers: options.showNumbers,
+            codeword: options.codeword,
+            overlay: options.overlay,
+            units: 'mm',
+            crop: true,
+            className: 'print-grid',
+            fontFamily: 'inherit',
+            colors: { ...this.config.colors }
+        });
+    }
+
+    /**
+     * Друк документа через прихований iframe
+     * @param {string} html - документ
+     */
+    print(html) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.onload = () => {
+            const frameWindow = frame.contentWindow;
+            frameWindow.addEventListener('afterprint', () => frame.remove());
+            frameWindow.focus();
+            frameWindow.print();
+        };
+
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+}
+
+// Створення глобального екземпляра
+window.PrintHelper = new PrintHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintHelper;
+}
@@ -0,0 +1,784 @@
+/**
+ * PuzHelper - читання та запис бінарного формату Across Lite (.puz)
+ * Підтримує контрольні суми заголовка, дошки розв'язку/заповнення, підказки,
+ * назву/автора/копірайт, нотатки та розширення GRBS/RTBL (ребуси) і GEXT (обведені клітинки)
+ *
+ * Кодування: формат розрахований на Latin-1 (ISO-8859-1), тому кирилиця в ньому не представлена.
+ * Стратегія кодування (options.encoding):
+ *  - 'latin1'  - лише Latin-1; символи поза ним замінюються на "?" з попередженням
+ *  - 'cp1251'  - Windows-1251; кирилиця зберігається без втрат і коректно читається цим застосунком
+ *                та іншими кириличними редакторами, але Across Lite покаже її як латинські символи
+ *  - 'auto'    - Latin-1, якщо всього тексту достатньо, інакше Windows-1251 з попередженням
+ * При читанні 'auto' обирає Windows-1251, якщо дошка розв'язку містить байти поза ASCII
+ * або серед літер у рядках переважають байти 0xC0-0xFF (кириличний текст, а не окремі діакритики Latin-1).
+ */
+class PuzHelper {
+    constructor() {
+        this.config = {
+            magic: 'ACROSS&DOWN',
+            version: '1.3',
+            headerSize: 0x34,
+            blackSquare: '.',
+            emptySquare: '-',
+            defaultEncoding: 'auto'
+        };
+
+        // Зміщення полів заголовка
+        this.offsets = {
+            checksum: 0x00,
+            magic: 0x02,
+            cibChecksum: 0x0E,
+            maskedLow: 0x10,
+            maskedHigh: 0x14,
+            version: 0x18,
+            scrambledChecksum: 0x1E,
+            width: 0x2C,
+            height: 0x2D,
+            clueCount: 0x2E,
+            bitmask: 0x30,
+            scrambledTag: 0x32
+        };
+
+        // Прапорці розширення GEXT
+        this.gextFlags = {
+            PREVIOUSLY_INCORRECT: 0x10,
+            INCORRECT: 0x20,
+            REVEALED: 0x40,
+            CIRCLED: 0x80
+        };
+
+        // Windows-1251, діапазон 0x80-0xBF (0xC0-0xFF - це А-я підряд)
+        this.cp1251High = 'ЂЃ‚ѓ„…†‡€‰Љ‹ЊЌЋЏђ‘’“”•–—\u0098™љ›њќћџ\u00A0ЎўЈ¤Ґ¦§Ё©Є«¬\u00AD®Ї°±Ііґµ¶·ё№є»јЅѕї';
+    }
+
+    /**
+     * Запис кросворду у формат .puz
+     * @param {Object} puzzle - дані кросворду
+     * @param {number} puzzle.width - ширина
+     * @param {number} puzzle.height - висота
+     * @param {Array} puzzle.words - слова {word, clue, direction, startRow, startCol}
+     * @param {Array} puzzle.grid - сітка (для ребусів та обведених клітинок у cell.metadata)
+     * @param {string} puzzle.title - назва
+     * @param {string} puzzle.author - автор
+     * @param {string} puzzle.copyright - копірайт
+     * @param {string} puzzle.notes - нотатки
+     * @param {Object} options - { encoding: 'auto' | 'latin1' | 'cp1251' }
+     * @returns {Object} { data: Uint8Array, encoding, warnings }
+     */
+    writePuz(puzzle, options = {}) {
+        const warnings = [];
+        const { width, height } = puzzle;
+
+        if (width > 255 || height > 255) {
+            throw new Error(`Розмір ${width}x${height} не підтримується форматом .puz`);
+        }
+
+        const solution = this.buildSolution(puzzle, warnings);
+        const entries = this.deriveEntries(solution, width, height);
+        const clues = this.matchClues(entries, puzzle.words, warnings);
+
+        const strings = {
+            title: puzzle.title || '',
+            author: puzzle.author || '',
+            copyright: puzzle.copyright || '',
+            notes: puzzle.notes || ''
+        };
+
+        const rebus = this.collectRebus(puzzle.grid, width, height);
+        const allText = [solution.join(''), ...Object.values(strings), ...clues, ...rebus.table].join('');
+        const encoding = this.resolveEncoding(options.encoding || this.config.defaultEncoding, allText, warnings);
+        const encode = text => this.encodeString(text, encoding, warnings);
+
+        const solutionBytes = encode(solution.join(''));
+        const fillBytes = encode(solution.map(ch => ch === this.config.blackSquare ? ch : this.config.emptySquare).join(''));
+
+        const titleBytes = encode(strings.title);
+        const authorBytes = encode(strings.author);
+        const copyrightBytes = encode(strings.copyright);
+        const clueBytes = clues.map(encode);
+        const notesBytes = encode(strings.notes);
+
+        // Заголовок
+        const header = new Uint8Array(this.config.headerSize);
+        this.writeAscii(header, this.offsets.magic, this.config.magic + '\0');
+        this.writeAscii(header, this.offsets.version, this.config.version + '\0');
+        header[this.offsets.width] = width;
+        header[this.offsets.height] = height;
+        this.writeUint16(header, this.offsets.clueCount, clues.length);
+        this.writeUint16(header, this.offsets.bitmask, 0x0001);
+        this.writeUint16(header, this.offsets.scrambledTag, 0);
+
+        // Контрольні суми
+        const cib = this.checksumRegion(header.subarray(this.offsets.width, this.offsets.width + 8), 0);
+        const solutionSum = this.checksumRegion(solutionBytes, 0);
+        const fillSum = this.checksumRegion(fillBytes, 0);
+        const stringsSum = this.checksumStrings(titleBytes, authorBytes, copyrightBytes, clueBytes, notesBytes, 0);
+
+        let overall = cib;
+        overall = this.checksumRegion(solutionBytes, overall);
+        overall = this.checksumRegion(fillBytes, overall);
+        overall = this.checksumStrings(titleBytes, authorBytes, copyrightBytes, clueBytes, notesBytes, overall);
+
+        this.writeUint16(header, this.offsets.checksum, overall);
+        this.writeUint16(header, this.offsets.cibChecksum, cib);
+        this.writeMaskedChecksums(header, [cib, solutionSum, fillSum, stringsSum]);
+
+        // Збирання файлу
+        const parts = [header, solutionBytes, fillBytes];
+        [titleBytes, authorBytes, copyrightBytes, ...clueBytes, notesBytes].forEach(bytes => {
+            parts.push(bytes, new Uint8Array([0]));
+        });
+
+        if (rebus.hasRebus) {
+            parts.push(this.buildSection('GRBS', rebus.board));
+            parts.push(this.buildSection('RTBL', encode(rebus.table.join(''))));
+        }
+
+        const gext = this.collectGext(puzzle.grid, width, height);
+        if (gext) {
+            parts.push(this.buildSection('GEXT', gext));
+        }
+
+        return { data: this.concatBytes(parts), encoding, warnings };
+    }
+
+    /**
+     * Читання файлу .puz
+     * @param {ArrayBuffer|Uint8Array} buffer - вміст файлу
+     * @param {Object} options - { encoding: 'auto' | 'latin1' | 'cp1251' }
+     * @returns {Object} { width, height, grid, words, title, author, copyright, notes, encoding, warnings }
+     */
+    readPuz(buffer, options = {}) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const warnings = [];
+
+        const magicOffset = this.findMagic(bytes);
+        if (magicOffset === -1) {
+            throw new Error('Файл не є кросвордом формату .puz');
+        }
+
+        // Деякі файли мають додаткові байти перед заголовком
+        const start = magicOffset - this.offsets.magic;
+        const data = bytes.subarray(start);
+
+        if (data.length < this.config.headerSize) {
+            throw new Error('Файл .puz пошкоджено: неповний заголовок');
+        }
+
+        const width = data[this.offsets.width];
+        const height = data[this.offsets.height];
+        const clueCount = this.readUint16(data, this.offsets.clueCount);
+        const scrambled = this.readUint16(data, this.offsets.scrambledTag);
+        const size = width * height;
+
+        if (scrambled & 0x0004) {
+            throw new Error('Зашифровані файли .puz не підтримуються');
+        }
+
+        let offset = this.config.headerSize;
+        const solutionBytes = data.subarray(offset, offset + size);
+        offset += size;
+        const fillBytes = data.subarray(offset, offset + size);
+        offset += size;
+
+        if (solutionBytes.length < size || fillBytes.length < size) {
+            throw new Error('Файл .puz пошкоджено: неповна сітка');
+        }
+
+        // Рядки
+        const rawStrings = [];
+        for (let i = 0; i < 3 + clueCount + 1; i++) {
+            const end = data.indexOf(0, offset);
+            if (end === -1) {
+                if (i < 3 + clueCount) throw new Error('Файл .puz пошкоджено: неповний список підказок');
+                rawStrings.push(data.subarray(offset));
+                offset = data.length;
+                break;
+            }
+            rawStrings.push(data.subarray(offset, end));
+            offset = end + 1;
+        }
+
+        const [titleBytes, authorBytes, copyrightBytes] = rawStrings;
+        const clueBytes = rawStrings.slice(3, 3 + clueCount);
+        const notesBytes = rawStrings[3 + clueCount] || new Uint8Array(0);
+
+        const encoding = options.encoding && options.encoding !== 'auto'
+            ? options.encoding
+            : this.detectEncoding(solutionBytes, rawStrings);
+
+        if (encoding === 'cp1251') {
+            warnings.push('Файл прочитано в кодуванні Windows-1251 (кирилиця)');
+        }
+
+        this.verifyChecksums(data, solutionBytes, fillBytes, titleBytes, authorBytes, copyrightBytes, clueBytes, notesBytes, warnings);
+
+        const sections = this.readSections(data, offset, warnings);
+        const decode = raw => this.decodeString(raw, encoding);
+        const solution = decode(solutionBytes).split('');
+
+        const grid = this.buildGrid(solution, width, height, sections, decode, warnings);
+        const entries = this.deriveEntries(solution, width, height);
+
+        if (entries.length !== clueCount) {
+            warnings.push(`Кількість підказок (${clueCount}) не відповідає кількості слів у сітці (${entries.length})`);
+        }
+
+        const words = entries.map((entry, index) => {
+            const word = entry.cells.map(({ row, col }) => grid[row][col].letter).join('');
+            return {
+                id: window.WordHelper.generateWordId(),
+                word,
+                clue: clueBytes[index] ? decode(clueBytes[index]) : '',
+                direction: entry.direction,
+                startRow: entry.row,
+                startCol: entry.col,
+                number: entry.number
+            };
+        });
+
+        words.forEach(wordData => window.GridHelper.registerWord(grid, wordData));
+
+        return {
+            width,
+            height,
+            grid,
+            words,
+            title: decode(titleBytes || new Uint8Array(0)),
+            author: decode(authorBytes || new Uint8Array(0)),
+            copyright: decode(copyrightBytes || new Uint8Array(0)),
+            notes: decode(notesBytes),
+            encoding,
+            warnings
+        };
+    }
+
+    /**
+     * Побудова дошки розв'язку зі слів (рядок символів, "." - чорна клітинка)
+     * @param {Object} puzzle - дані кросворду
+     * @param {Array} warnings - масив попереджень
+     * @returns {Array} масив символів довжиною width * height
+     */
+    buildSolution(puzzle, warnings) {
+        const { width, height } = puzzle;
+        const solution = new Array(width * height).fill(this.config.blackSquare);
+
+        puzzle.words.forEach(wordData => {
+            for (let i = 0; i < wordData.word.length; i++) {
+                const row = wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow;
+                const col = wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol;
+
+                if (row < 0 || row >= height || col < 0 || col >= width) {
+                    warnings.push(`Слово "${wordData.word}" виходить за межі сітки`);
+                    break;
+                }
+
+                solution[row * width + col] = wordData.word[i].toUpperCase();
+            }
+        });
+
+        return solution;
+    }
+
+    /**
+     * Визначення слів за стандартними правилами .puz:
+     * слово починається у білій клітинці, перед якою чорна клітинка або край, і має щонайменше 2 літери.
+     * Нумерація - построково, один номер на клітинку; горизонтальні перед вертикальними
+     * @param {Array} solution - дошка розв'язку
+     * @param {number} width - ширина
+     * @param {number} height - висота
+     * @returns {Array} слова {number, row, col, direction, cells}
+     */
+    deriveEntries(solution, width, height) {
+        const isWhite = (row, col) =>
+            row >= 0 && row < height && col >= 0 && col < width &&
+            solution[row * width + col] !== this.config.blackSquare;
+
+        const across = [];
+        const down = [];
+        let number = 0;
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (!isWhite(row, col)) continue;
+
+                const startsAcross = !isWhite(row, col - 1) && isWhite(row, col + 1);
+                const startsDown = !isWhite(row - 1, col) && isWhite(row + 1, col);
+                if (!startsAcross && !startsDown) continue;
+
+                number++;
+
+                if (startsAcross) {
+                    const cells = [];
+                    for (let c = col; isWhite(row, c); c++) cells.push({ row, col: c });
+                    across.push({ number, row, col, direction: 'horizontal', cells });
+                }
+
+                if (startsDown) {
+                    const cells = [];
+                    for (let r = row; isWhite(r, col); r++) cells.push({ row: r, col });
+                    down.push({ number, row, col, direction: 'vertical', cells });
+                }
+            }
+        }
+
+        // Порядок підказок у файлі: за номером, горизонтальна перед вертикальною
+        return [...across, ...down].sort((a, b) =>
+            a.number - b.number || (a.direction === 'horizontal' ? -1 : 1)
+        );
+    }
+
+    /**
+     * Зіставлення слів .puz з нашими словами для отримання підказок у правильному порядку
+     * @param {Array} entries - слова з deriveEntries
+     * @param {Array} words - наші слова
+     * @param {Array} warnings - масив попереджень
+     * @returns {Array} підказки в порядку файлу
+     */
+    matchClues(entries, words, warnings) {
+        const byStart = new Map();
+        words.forEach(wordData => {
+            byStart.set(`${wordData.startRow}:${wordData.startCol}:${wordData.direction}`, wordData);
+        });
+
+        const used = new Set();
+        const clues = entries.map(entry => {
+            const wordData = byStart.get(`${entry.row}:${entry.col}:${entry.direction}`);
+
+            if (!wordData) {
+                warnings.push(`Випадкова послідовність літер ${entry.number} (${entry.direction === 'horizontal' ? 'горизонтально' : 'вертикально'}) не має підказки`);
+                return '';
+            }
+
+            if (wordData.word.length !== entry.cells.length) {
+                warnings.push(`Слово "${wordData.word}" зливається з сусідніми літерами і в .puz має довжину ${entry.cells.length}`);
+            }
+
+            used.add(wordData);
+            return wordData.clue || '';
+        });
+
+        words.forEach(wordData => {
+            if (!used.has(wordData)) {
+                warnings.push(`Слово "${wordData.word}" не є окремим словом у форматі .puz і його підказку втрачено`);
+            }
+        });
+
+        return clues;
+    }
+
+    /**
+     * Збирання ребус-клітинок з cell.metadata.rebus
+     * @param {Array} grid - сітка
+     * @param {number} width - ширина
+     * @param {number} height - висота
+     * @returns {Object} { hasRebus, board, table }
+     */
+    collectRebus(grid, width, height) {
+        const board = new Uint8Array(width * height);
+        const keys = new Map();
+        const table = [];
+
+        if (!grid) return { hasRebus: false, board, table };
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const rebus = grid[row]?.[col]?.metadata?.rebus;
+                if (!rebus || rebus.length < 2) continue;
+
+                if (!keys.has(rebus)) {
+                    const key = keys.size;
+                    keys.set(rebus, key);
+                    table.push(`${String(key).padStart(2, ' ')}:${rebus};`);
+                }
+                board[row * width + col] = keys.get(rebus) + 1;
+            }
+        }
+
+        return { hasRebus: keys.size > 0, board, table };
+    }
+
+    /**
+     * Збирання розширення GEXT (обведені клітинки з cell.metadata.circled)
+     * @param {Array} grid - сітка
+     * @param {number} width - ширина
+     * @param {number} height - висота
+     * @returns {Uint8Array|null} дані розширення або null
+     */
+    collectGext(grid, width, height) {
+        if (!grid) return null;
+
+        const gext = new Uint8Array(width * height);
+        let hasFlags = false;
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (grid[row]?.[col]?.metadata?.circled) {
+                    gext[row * width + col] = this.gextFlags.CIRCLED;
+                    hasFlags = true;
+                }
+            }
+        }
+
+        return hasFlags ? gext : null;
+    }
+
+    /**
+     * Побудова нашої сітки з дошки розв'язку та розширень
+     * @param {Array} solution - дошка розв'язку
+     * @param {number} width - ширина
+     * @param {number} height - висота
+     * @param {Map} sections - розширення
+     * @param {Function} decode - функція декодування
+     * @param {Array} warnings - масив попереджень
+     * @returns {Array} сітка
+     */
+    buildGrid(solution, width, height, sections, decode, warnings) {
+        const rebusTable = this.parseRebusTable(sections.get('RTBL'), decode);
+        const rebusBoard = sections.get('GRBS');
+        const gext = sections.get('GEXT');
+        let rebusCount = 0;
+
+        const grid = [];
+        for (let row = 0; row < height; row++) {
+            grid[row] = [];
+            for (let col = 0; col < width; col++) {
+                const index = row * width + col;
+                const cell = window.GridHelper.createEmptyCell(row, col);
+                const symbol = solution[index];
+
+                if (symbol === this.config.blackSquare) {
+                    cell.blocked = true;
+                } else {
+                    cell.letter = symbol.toUpperCase();
+                }
+
+                const rebusKey = rebusBoard ? rebusBoard[index] : 0;
+                if (rebusKey && rebusTable.has(rebusKey - 1)) {
+                    cell.metadata.rebus = rebusTable.get(rebusKey - 1);
+                    rebusCount++;
+                }
+
+                if (gext && (gext[index] & this.gextFlags.CIRCLED)) {
+                    cell.metadata.circled = true;
+                }
+
+                grid[row][col] = cell;
+            }
+        }
+
+        if (rebusCount > 0) {
+            warnings.push(`Ребус-клітинок: ${rebusCount}. Повне значення збережено в клітинці, у слові використано першу літеру`);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Розбір таблиці ребусів RTBL (" 0:ABC; 1:XYZ;")
+     * @param {Uint8Array} data - дані розширення
+     * @param {Function} decode - функція декодування
+     * @returns {Map} ключ -> значення ребуса
+     */
+    parseRebusTable(data, decode) {
+        const table = new Map();
+        if (!data) return table;
+
+        decode(data).split(';').forEach(item => {
+            const [key, value] = item.split(':');
+            if (value !== undefined && key.trim() !== '') {
+                table.set(parseInt(key.trim(), 10), value.toUpperCase());
+            }
+        });
+
+        return table;
+    }
+
+    /**
+     * Читання розширень після рядків
+     * @param {Uint8Array} data - файл
+     * @param {number} offset - початок розширень
+     * @param {Array} warnings - масив попереджень
+     * @returns {Map} назва -> дані
+     */
+    readSections(data, offset, warnings) {
+        const sections = new Map();
+
+        while (offset + 8 <= data.length) {
+            const name = String.fromCharCode(...data.subarray(offset, offset + 4));
+            const length = this.readUint16(data, offset + 4);
+            const checksum = this.readUint16(data, offset + 6);
+            const body = data.subarray(offset + 8, offset + 8 + length);
+
+            if (body.length < length) {
+                warnings.push(`Розширення ${name} пошкоджено`);
+                break;
+            }
+
+            if (this.checksumRegion(body, 0) !== checksum) {
+                warnings.push(`Невірна контрольна сума розширення ${name}`);
+            }
+
+            sections.set(name, body);
+            offset += 8 + length + 1; // +1 - завершальний нульовий байт
+        }
+
+        return sections;
+    }
+
+    /**
+     * Перевірка контрольних сум файлу (невідповідність - лише попередження)
+     */
+    verifyChecksums(data, solutionBytes, fillBytes, titleBytes, authorBytes, copyrightBytes, clueBytes, notesBytes, warnings) {
+        const cib = this.checksumRegion(data.subarray(this.offsets.width, this.offsets.width + 8), 0);
+        if (cib !== this.readUint16(data, this.offsets.cibChecksum)) {
+            warnings.push('Невірна контрольна сума заголовка');
+        }
+
+        const empty = new Uint8Array(0);
+        let overall = cib;
+        overall = this.checksumRegion(solutionBytes, overall);
+        overall = this.checksumRegion(fillBytes, overall);
+        overall = this.checksumStrings(titleBytes || empty, authorBytes || empty, copyrightBytes || empty, clueBytes, notesBytes, overall);
+
+        if (overall !== this.readUint16(data, this.offsets.checksum)) {
+            warnings.push('Невірна загальна контрольна сума файлу');
+        }
+    }
+
+    /**
+     * Контрольна сума області (алгоритм Across Lite)
+     * @param {Uint8Array} bytes - дані
+     * @param {number} checksum - початкове значення
+     * @returns {number} 16-бітна контрольна сума
+     */
+    checksumRegion(bytes, checksum) {
+        for (let i = 0; i < bytes.length; i++) {
+            checksum = (checksum & 1) ? (checksum >> 1) + 0x8000 : checksum >> 1;
+            checksum = (checksum + bytes[i]) & 0xFFFF;
+        }
+        return checksum;
+    }
+
+    /**
+     * Контрольна сума рядків: назва, автор, копірайт і нотатки - з нульовим байтом,
+     * підказки - без нього; порожні рядки не враховуються
+     */
+    checksumStrings(titleBytes, authorBytes, copyrightBytes, clueBytes, notesBytes, checksum) {
+        const zero = new Uint8Array([0]);
+        const withTerminator = bytes => {
+            if (bytes.length > 0) {
+                checksum = this.checksumRegion(bytes, checksum);
+                checksum = this.checksumRegion(zero, checksum);
+            }
+        };
+
+        withTerminator(titleBytes);
+        withTerminator(authorBytes);
+        withTerminator(copyrightBytes);
+        clueBytes.forEach(bytes => {
+            checksum = this.checksumRegion(bytes, checksum);
+        });
+        withTerminator(notesBytes);
+
+        return checksum;
+    }
+
+    /**
+     * Запис замаскованих контрольних сум ("ICHEATED")
+     * @param {Uint8Array} header - заголовок
+     * @param {Array} sums - [cib, solution, fill, strings]
+     */
+    writeMaskedChecksums(header, sums) {
+        const mask = 'ICHEATED';
+        sums.forEach((sum, i) => {
+            header[this.offsets.maskedLow + i] = mask.charCodeAt(i) ^ (sum & 0xFF);
+            header[this.offsets.maskedHigh + i] = mask.charCodeAt(i + 4) ^ (sum >> 8);
+        });
+    }
+
+    /**
+     * Побудова секції розширення
+     * @param {string} name - назва (4 символи)
+     * @param {Uint8Array} body - дані
+     * @returns {Uint8Array} секція
+     */
+    buildSection(name, body) {
+        const section = new Uint8Array(8 + body.length + 1);
+        this.writeAscii(section, 0, name);
+        this.writeUint16(section, 4, body.length);
+        this.writeUint16(section, 6, this.checksumRegion(body, 0));
+        section.set(body, 8);
+        return section;
+    }
+
+    /**
+     * Вибір кодування для запису
+     * @param {string} encoding - запитане кодування
+     * @param {string} text - весь текст кросворду
+     * @param {Array} warnings - масив попереджень
+     * @returns {string} 'latin1' або 'cp1251'
+     */
+    resolveEncoding(encoding, text, warnings) {
+        const fitsLatin1 = [...text].every(char => char.charCodeAt(0) <= 0xFF);
+
+        if (encoding === 'auto') {
+            if (fitsLatin1) return 'latin1';
+            warnings.push('Кросворд містить кирилицю: файл записано в кодуванні Windows-1251. Across Lite відобразить такі літери некоректно');
+            return 'cp1251';
+        }
+
+        if (encoding === 'latin1' && !fitsLatin1) {
+            warnings.push('Символи поза Latin-1 замінено на "?"');
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Кодування рядка в байти
+     * @param {string} text - рядок
+     * @param {string} encoding - 'latin1' або 'cp1251'
+     * @param {Array} warnings - масив попереджень
+     * @returns {Uint8Array} байти
+     */
+    encodeString(text, encoding, warnings) {
+        const bytes = new Uint8Array(text.length);
+        let replaced = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            let byte;
+
+            if (code < 0x80) {
+                byte = code;
+            } else if (encoding === 'cp1251') {
+                byte = this.encodeCp1251Char(text[i]);
+            } else {
+                byte = code <= 0xFF ? code : -1;
+            }
+
+            if (byte === -1) {
+                byte = 0x3F; // "?"
+                replaced = true;
+            }
+            bytes[i] = byte;
+        }
+
+        if (replaced && encoding === 'cp1251' && !warnings.includes('Деякі символи не представлені у Windows-1251 і замінені на "?"')) {
+            warnings.push('Деякі символи не представлені у Windows-1251 і замінені на "?"');
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Декодування байтів у рядок
+     * @param {Uint8Array} bytes - байти
+     * @param {string} encoding - 'latin1' або 'cp1251'
+     * @returns {string} рядок
+     */
+    decodeString(bytes, encoding) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            if (byte < 0x80 || encoding !== 'cp1251') {
+                text += String.fromCharCode(byte);
+            } else if (byte >= 0xC0) {
+                text += String.fromCharCode(0x0410 + byte - 0xC0);
+            } else {
+                text += this.cp1251High[byte - 0x80];
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Визначення кодування файлу при читанні
+     * @param {Uint8Array} solutionBytes - дошка розв'язку
+     * @param {Array} stringBytes - байти рядків
+     * @returns {string} 'latin1' або 'cp1251'
+     */
+    detectEncoding(solutionBytes, stringBytes) {
+        if (solutionBytes.some(byte => byte >= 0x80)) return 'cp1251';
+
+        let asciiLetters = 0;
+        let highLetters = 0;
+        stringBytes.forEach(bytes => {
+            bytes.forEach(byte => {
+                if ((byte >= 0x41 && byte <= 0x5A) || (byte >= 0x61 && byte <= 0x7A)) asciiLetters++;
+                else if (byte >= 0xC0) highLetters++;
+            });
+        });
+
+        return highLetters > asciiLetters ? 'cp1251' : 'latin1';
+    }
+
+    /**
+     * Кодування одного символу у Windows-1251
+     * @param {string} char - символ
+     * @returns {number} байт або -1
+     */
+    encodeCp1251Char(char) {
+        const code = char.charCodeAt(0);
+        if (code >= 0x0410 && code <= 0x044F) {
+            return 0xC0 + code - 0x0410;
+        }
+        const index = this.cp1251High.indexOf(char);
+        return index === -1 ? -1 : 0x80 + index;
+    }
+
+    /**
+     * Пошук сигнатури "ACROSS&DOWN"
+     * @param {Uint8Array} bytes - файл
+     * @returns {number} зміщення сигнатури або -1
+     */
+    findMagic(bytes) {
+        const magic = this.config.magic;
+        outer:
+        for (let i = this.offsets.magic; i <= bytes.length - magic.length; i++) {
+            for (let j = 0; j < magic.length; j++) {
+                if (bytes[i + j] !== magic.charCodeAt(j)) continue outer;
+            }
+            return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Низькорівневі утиліти
+     */
+    readUint16(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8);
+    }
+
+    writeUint16(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >> 8) & 0xFF;
+    }
+
+    writeAscii(bytes, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            bytes[offset + i] = text.charCodeAt(i);
+        }
+    }
+
+    concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+// Створення глобального екземпляра
+window.PuzHelper = new PuzHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PuzHelper;
+}
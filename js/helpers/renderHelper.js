@@ -12,22 +12,33 @@ class RenderHelper {
             letterFontSize: 14,
             animationDuration: 300,
             highlightDuration: 150,
+            // Стрілки клітинок-підказок сканворду: напрямок -> символ
+            clueArrows: {
+                right: '▸',
+                down: '▾',
+                'down-right': '↳',
+                'right-down': '⤵'
+            },
             themes: {
                 light: {
                     cellBg: '#ffffff',
                     cellBorder: '#e2e8f0',
                     blockedBg: '#374151',
+                    clueBg: '#f1f5f9',
                     activeBg: '#dbeafe',
                     numberColor: '#64748b',
-                    letterColor: '#1e293b'
+                    letterColor: '#1e293b',
+                    overlayColor: '#f59e0b'
                 },
                 dark: {
                     cellBg: '#1e293b',
                     cellBorder: '#475569',
                     blockedBg: '#0f172a',
+                    clueBg: '#334155',
                     activeBg: '#1e40af',
                     numberColor: '#94a3b8',
-                    letterColor: '#f1f5f9'
+                    letterColor: '#f1f5f9',
+                    overlayColor: '#fbbf24'
                 }
             }
         };
@@ -41,6 +52,10 @@ class RenderHelper {
         // Обробники анімацій
         this.animationQueue = [];
         this.isAnimating = false;
+
+        // Контекстне меню: дані, передані разом з дією, та обробник з постійним посиланням
+        this.contextMenuContext = null;
+        this.handleContextMenuClick = this.handleContextMenuClick.bind(this);
     }
 
     /**
@@ -123,6 +138,19 @@ class RenderHelper {
             cellDiv.appendChild(numberSpan);
         }
 
+        // Порядковий номер ключової клітинки
+        if (cell.metadata?.keyIndex) {
+            const keySpan = document.createElement('span');
+            keySpan.className = 'key-index';
+            keySpan.textContent = cell.metadata.keyIndex;
+            cellDiv.appendChild(keySpan);
+        }
+
+        // Текст підказок сканворду
+        if (cell.metadata?.clues) {
+            cellDiv.insertAdjacentHTML('beforeend', this.getClueCellHTML(cell));
+        }
+
         // Додати поле введення
         if (!cell.blocked && config.editable) {
             const input = document.createElement('input');
@@ -163,6 +191,8 @@ class RenderHelper {
         const classes = ['grid-cell'];
 
         if (cell.blocked) classes.push('blocked');
+        if (cell.metadata?.clues) classes.push('clue-cell');
+        if (cell.metadata?.circled) classes.push('circled');
         if (cell.selected) classes.push('active');
         if (cell.highlighted) classes.push('highlighted');
         if (cell.letter) classes.push('filled');
@@ -182,6 +212,21 @@ class RenderHelper {
         return classes.join(' ');
     }
 
+    /**
+     * Вміст клітинки-підказки сканворду: одна чи дві підказки дрібним шрифтом зі стрілками
+     * @param {Object} cell - клітинка з metadata.clues
+     * @returns {string} HTML
+     */
+    getClueCellHTML(cell) {
+        const escape = window.CrosswordUtils.escapeHTML;
+
+        return (cell.metadata.clues || []).map(clue => `
+            <span class="cell-clue arrow-${clue.arrow}" data-word-id="${escape(clue.wordId)}" title="${escape(clue.text)}">
+                <span class="cell-clue-text">${escape(clue.text)}</span>
+                <span class="cell-clue-arrow">${this.config.clueArrows[clue.arrow] || ''}</span>
+            </span>`).join('');
+    }
+
     /**
      * Оновлення клітинки
      * @param {HTMLElement} gridElement - елемент сітки
@@ -389,11 +434,13 @@ class RenderHelper {
      * @param {Array} menuItems - елементи меню
      * @param {number} x - координата X
      * @param {number} y - координата Y
+     * @param {*} context - дані, що повертаються в події contextMenuAction (detail.context)
      * @returns {HTMLElement} елемент меню
      */
-    createContextMenu(menuItems, x, y) {
+    createContextMenu(menuItems, x, y, context = null) {
         // Видалити існуюче меню
         this.removeContextMenu();
+        this.contextMenuContext = context;
 
         const menu = document.createElement('div');
         menu.className = 'context-menu show';
@@ -409,9 +456,9 @@ class RenderHelper {
             const icon = item.icon ? `<i class="${item.icon}"></i>` : '';
             
             return `
-                <div class="context-menu-item ${disabled}" data-action="${item.action}">
+                <div class="context-menu-item ${disabled}" data-action="${window.CrosswordUtils.escapeHTML(item.action)}">
                     ${icon}
-                    ${item.label}
+                    ${window.CrosswordUtils.escapeHTML(item.label)}
                 </div>
             `;
         }).join('');
@@ -419,9 +466,18 @@ class RenderHelper {
         menu.innerHTML = menuHTML;
         document.body.appendChild(menu);
 
+        // Не виходити за межі вікна
+        const rect = menu.getBoundingClientRect();
+        if (rect.right > window.innerWidth) {
+            menu.style.left = `${Math.max(0, window.innerWidth - rect.width)}px`;
+        }
+        if (rect.bottom > window.innerHeight) {
+            menu.style.top = `${Math.max(0, window.innerHeight - rect.height)}px`;
+        }
+
         // Додати обробник для закриття меню
         setTimeout(() => {
-            document.addEventListener('click', this.handleContextMenuClick.bind(this));
+            document.addEventListener('click', this.handleContextMenuClick);
         }, 10);
 
         return menu;
@@ -436,6 +492,7 @@ class RenderHelper {
             existingMenu.remove();
             document.removeEventListener('click', this.handleContextMenuClick);
         }
+        this.contextMenuContext = null;
     }
 
     /**
@@ -452,11 +509,12 @@ class RenderHelper {
         const menuItem = event.target.closest('.context-menu-item');
         if (menuItem && !menuItem.classList.contains('disabled')) {
             const action = menuItem.dataset.action;
+            const context = this.contextMenuContext;
             this.removeContextMenu();
             
             // Відправити подію з дією
             document.dispatchEvent(new CustomEvent('contextMenuAction', {
-                detail: { action: action }
+                detail: { action: action, context: context }
             }));
         }
     }
@@ -635,14 +693,17 @@ class RenderHelper {
     /**
      * Налаштування обробників подій для підказок
      * @param {HTMLElement} container - контейнер підказок
-     * @param {Array} words - масив слів
+     * @param {Array|Function} words - масив слів або функція, що повертає поточні слова
      */
     attachCluesEventListeners(container, words) {
         container.addEventListener('click', (event) => {
+            // Кнопки дій у підказці мають власні обробники
+            if (event.target.closest('[data-action]')) return;
+
             const clueItem = event.target.closest('.clue-item');
             if (clueItem) {
                 const wordId = clueItem.dataset.wordId;
-                const word = words.find(w => w.id === wordId);
+                const word = (typeof words === 'function' ? words() : words).find(w => w.id === wordId);
                 
                 if (word) {
                     document.dispatchEvent(new CustomEvent('clueClick', {
@@ -673,23 +734,301 @@ class RenderHelper {
     }
 
     /**
-     * Експорт сітки як зображення
-     * @param {HTMLElement} gridElement - елемент сітки
-     * @param {string} format - формат ('png', 'jpeg')
+     * Експорт сітки як зображення без сторонніх бібліотек
+     * @param {Array} grid - сітка (з відповідями в cell.letter)
+     * @param {string} format - формат ('svg', 'png', 'jpeg')
+     * @param {Object} options - див. getGridShapes; для растрових форматів ще dpi
      * @returns {Promise<Blob>} зображення у вигляді Blob
      */
-    async exportAsImage(gridElement, format = 'png') {
-        // Використовуємо html2canvas для конвертації DOM в зображення
-        // Це потребує підключення додаткової бібліотеки
-        try {
-            const canvas = await html2canvas(gridElement);
-            return new Promise(resolve => {
-                canvas.toBlob(resolve, `image/${format}`);
+    async exportAsImage(grid, format = 'png', options = {}) {
+        if (format === 'svg') {
+            return new Blob([this.renderGridSVG(grid, options)], { type: 'image/svg+xml;charset=utf-8' });
+        }
+
+        const canvas = this.renderGridCanvas(grid, options);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error(`Не вдалося створити зображення ${format}`));
+            }, `image/${format}`);
+        });
+    }
+
+    /**
+     * Сітка у вигляді SVG (векторна, для друку)
+     * @param {Array} grid - сітка
+     * @param {Object} options - див. getGridShapes; units - одиниці розміру ('px', 'mm')
+     * @returns {string} SVG
+     */
+    renderGridSVG(grid, options = {}) {
+        const { width, height, shapes } = this.getGridShapes(grid, options);
+        const units = options.units || 'px';
+        const escape = window.CrosswordUtils.escapeHTML;
+
+        const elements = shapes.map(shape => {
+            if (shape.type === 'rect') {
+                const stroke = shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth}"` : '';
+                return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${shape.fill}"${stroke}/>`;
+            }
+            if (shape.type === 'circle') {
+                return `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" fill="none" stroke="${shape.stroke}" stroke-width="${shape.strokeWidth}"/>`;
+            }
+            if (shape.type === 'line') {
+                return `<line x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}" stroke="${shape.stroke}" ` +
+                    `stroke-width="${shape.strokeWidth}" stroke-linecap="round" stroke-opacity="${shape.opacity}"/>`;
+            }
+
+            return `<text x="${shape.x}" y="${shape.y}" font-size="${shape.size}" fill="${shape.color}" ` +
+                `text-anchor="${{ center: 'middle', end: 'end' }[shape.align] || 'start'}"${shape.bold ? ' font-weight="bold"' : ''}>${escape(shape.text)}</text>`;
+        });
+
+        return `<svg class="${options.className || 'grid-image'}" xmlns="http://www.w3.org/2000/svg" ` +
+            `width="${width}${units}" height="${height}${units}" viewBox="0 0 ${width} ${height}" ` +
+            `font-family="${options.fontFamily || 'Arial, sans-serif'}">${elements.join('')}</svg>`;
+    }
+
+    /**
+     * Сітка на Canvas
+     * @param {Array} grid - сітка
+     * @param {Object} options - див. getGridShapes; dpi - щільність (96 - розмір 1:1)
+     * @returns {HTMLCanvasElement}
+     */
+    renderGridCanvas(grid, options = {}) {
+        const { width, height, shapes } = this.getGridShapes(grid, options);
+        const scale = (options.dpi || 96) / 96;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * scale);
+        canvas.height = Math.ceil(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.textBaseline = 'alphabetic';
+
+        shapes.forEach(shape => {
+            if (shape.type === 'rect') {
+                context.fillStyle = shape.fill;
+                context.fillRect(shape.x, shape.y, shape.width, shape.height);
+                if (shape.stroke) {
+                    context.strokeStyle = shape.stroke;
+                    context.lineWidth = shape.strokeWidth;
+                    context.strokeRect(shape.x, shape.y, shape.width, shape.height);
+                }
+                return;
+            }
+            if (shape.type === 'circle') {
+                context.beginPath();
+                context.arc(shape.cx, shape.cy, shape.r, 0, Math.PI * 2);
+                context.strokeStyle = shape.stroke;
+                context.lineWidth = shape.strokeWidth;
+                context.stroke();
+                return;
+            }
+            if (shape.type === 'line') {
+                context.save();
+                context.globalAlpha = shape.opacity;
+                context.lineCap = 'round';
+                context.beginPath();
+                context.moveTo(shape.x1, shape.y1);
+                context.lineTo(shape.x2, shape.y2);
+                context.strokeStyle = shape.stroke;
+                context.lineWidth = shape.strokeWidth;
+                context.stroke();
+                context.restore();
+                return;
+            }
+
+            context.fillStyle = shape.color;
+            context.textAlign = { center: 'center', end: 'right' }[shape.align] || 'left';
+            context.font = `${shape.bold ? 'bold ' : ''}${shape.size}px ${options.fontFamily || 'Arial, sans-serif'}`;
+            context.fillText(shape.text, shape.x, shape.y);
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Геометрія зображення сітки, спільна для SVG та Canvas
+     * Малюються блоки та клітинки слів; якщо в сітці є блоки, порожні білі клітинки теж
+     * Обведені клітинки (metadata.circled) отримують коло, ключові - ще й свій порядковий номер
+     * @param {Array} grid - сітка
+     * @param {Object} options - параметри
+     * @param {number} options.cellSize - розмір клітинки (одиниці зображення)
+     * @param {boolean} options.showNumbers - номери слів (за замовчуванням true)
+     * @param {boolean} options.showLetters - літери відповідей (за замовчуванням false)
+     * @param {string} options.theme - тема з config.themes
+     * @param {Object} options.colors - перевизначення кольорів теми
+     * @param {string} options.blockedColor - колір заблокованих клітинок
+     * @param {boolean} options.crop - обрізати порожні краї вільної сітки
+     * @param {string} options.background - фон поза клітинками (за замовчуванням прозорий)
+     * @param {Object} options.codeword - шифр кейворду { key, starters }: у клітинках числа
+     *                                    замість номерів слів, стартові літери завжди видно
+     * @param {Array} options.overlay - напівпрозорі смуги поверх сітки (відповіді філворду):
+     *                                  [{ from: {row, col}, to: {row, col} }]
+     * @returns {Object} { width, height, shapes }
+     */
+    getGridShapes(grid, options = {}) {
+        const theme = {
+            ...this.config.themes[options.theme] || this.config.themes.light,
+            ...options.colors
+        };
+        const blockedColor = options.blockedColor || theme.blockedBg;
+        const cellSize = options.cellSize || this.config.cellSize;
+        const border = this.config.cellBorderWidth * cellSize / this.config.cellSize;
+        const bounds = options.crop
+            ? this.getGridBounds(grid)
+            : { minRow: 0, maxRow: grid.length - 1, minCol: 0, maxCol: (grid[0]?.length || 1) - 1 };
+
+        const hasBlocks = grid.some(row => row.some(cell => cell.blocked));
+        const round = value => Math.round(value * 100) / 100;
+        const shapes = [];
+
+        const width = round((bounds.maxCol - bounds.minCol + 1) * cellSize + border);
+        const height = round((bounds.maxRow - bounds.minRow + 1) * cellSize + border);
+        if (options.background) {
+            shapes.push({ type: 'rect', x: 0, y: 0, width, height, fill: options.background });
+        }
+
+        for (let row = bounds.minRow; row <= bounds.maxRow; row++) {
+            for (let col = bounds.minCol; col <= bounds.maxCol; col++) {
+                const cell = grid[row][col];
+                const x = round((col - bounds.minCol) * cellSize + border / 2);
+                const y = round((row - bounds.minRow) * cellSize + border / 2);
+
+                if (cell.metadata?.clues) {
+                    shapes.push({ type: 'rect', x, y, width: cellSize, height: cellSize, fill: theme.clueBg || theme.cellBg, stroke: theme.cellBorder, strokeWidth: border });
+                    shapes.push(...this.getClueCellShapes(cell.metadata.clues, x, y, cellSize, theme));
+                    continue;
+                }
+                if (cell.blocked) {
+                    shapes.push({ type: 'rect', x, y, width: cellSize, height: cellSize, fill: blockedColor, stroke: theme.cellBorder, strokeWidth: border });
+                    continue;
+                }
+                if (!cell.letter && !cell.wordIds?.length && !hasBlocks) continue;
+
+                shapes.push({ type: 'rect', x, y, width: cellSize, height: cellSize, fill: theme.cellBg, stroke: theme.cellBorder, strokeWidth: border });
+
+                // Обведена (ключова) клітинка: коло та порядковий номер у куті
+                if (cell.metadata?.circled) {
+                    shapes.push({
+                        type: 'circle', cx: round(x + cellSize / 2), cy: round(y + cellSize / 2),
+                        r: round(cellSize * 0.42), stroke: theme.letterColor, strokeWidth: round(border * 1.5)
+                    });
+                }
+                if (cell.metadata?.keyIndex && options.showNumbers !== false) {
+                    shapes.push({
+                        type: 'text', text: String(cell.metadata.keyIndex), color: theme.numberColor, align: 'end',
+                        x: round(x + cellSize * 0.94), y: round(y + cellSize * 0.94), size: round(cellSize * 0.22)
+                    });
+                }
+
+                const number = options.codeword ? options.codeword.key[cell.letter] : cell.number;
+                if (number && options.showNumbers !== false) {
+                    shapes.push({
+                        type: 'text', text: String(number), color: theme.numberColor,
+                        x: round(x + cellSize * 0.08), y: round(y + cellSize * 0.3), size: round(cellSize * 0.28)
+                    });
+                }
+                if (cell.letter && (options.showLetters || options.codeword?.starters.includes(cell.letter))) {
+                    shapes.push({
+                        type: 'text', text: cell.letter, color: theme.letterColor, align: 'center', bold: true,
+                        x: round(x + cellSize / 2), y: round(y + cellSize * 0.78), size: round(cellSize * 0.6)
+                    });
+                }
+            }
+        }
+
+        (options.overlay || []).forEach(({ from, to }) => {
+            const center = (index, min) => round((index - min) * cellSize + border / 2 + cellSize / 2);
+            shapes.push({
+                type: 'line',
+                x1: center(from.col, bounds.minCol), y1: center(from.row, bounds.minRow),
+                x2: center(to.col, bounds.minCol), y2: center(to.row, bounds.minRow),
+                stroke: theme.overlayColor, strokeWidth: round(cellSize * 0.7), opacity: 0.4
             });
-        } catch (error) {
-            console.error('Помилка експорту зображення:', error);
-            throw error;
+        });
+
+        return { width, height, shapes };
+    }
+
+    /**
+     * Текст підказок сканворду в клітинці: кожна підказка займає свою частку висоти,
+     * рядки переносяться за словами, а те, що не вміщується, обрізається трикрапкою
+     * @param {Array} clues - підказки { text, arrow }
+     * @param {number} x - лівий край клітинки
+     * @param {number} y - верхній край клітинки
+     * @param {number} cellSize - розмір клітинки
+     * @param {Object} theme - кольори
+     * @returns {Array} фігури text
+     */
+    getClueCellShapes(clues, x, y, cellSize, theme) {
+        const round = value => Math.round(value * 100) / 100;
+        const size = cellSize * 0.13;
+        const lineHeight = size * 1.1;
+        const maxChars = Math.max(3, Math.floor(cellSize * 0.92 / (size * 0.55)));
+        const partHeight = cellSize / clues.length;
+        const maxLines = Math.max(1, Math.floor((partHeight - size * 1.5) / lineHeight));
+        const shapes = [];
+
+        clues.forEach((clue, index) => {
+            const lines = [];
+            String(clue.text).split(/\s+/).filter(Boolean).forEach(word => {
+                const last = lines[lines.length - 1];
+                if (last !== undefined && (last + ' ' + word).length <= maxChars) {
+                    lines[lines.length - 1] = `${last} ${word}`;
+                } else {
+                    lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}-` : word);
+                }
+            });
+            if (lines.length > maxLines) {
+                lines.length = maxLines;
+                lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+            }
+
+            const top = y + partHeight * index;
+            lines.forEach((line, lineIndex) => {
+                shapes.push({
+                    type: 'text', text: line, color: theme.numberColor, align: 'center',
+                    x: round(x + cellSize / 2), y: round(top + size * 0.2 + lineHeight * (lineIndex + 1) - size * 0.1),
+                    size: round(size)
+                });
+            });
+
+            const arrow = this.config.clueArrows[clue.arrow];
+            if (!arrow) return;
+            const atRight = clue.arrow === 'right' || clue.arrow === 'right-down';
+            shapes.push({
+                type: 'text', text: arrow, color: theme.letterColor, bold: true,
+                align: atRight ? 'start' : 'center',
+                x: round(atRight ? x + cellSize - size * 0.9 : x + (clue.arrow === 'down' ? cellSize / 2 : cellSize * 0.15)),
+                y: round(atRight ? top + partHeight / 2 + size * 0.4 : top + partHeight - size * 0.15),
+                size: round(size * 1.3)
+            });
+        });
+
+        return shapes;
+    }
+
+    /**
+     * Межі використаної частини сітки (клітинки з літерами та блоки)
+     * @returns {Object} { minRow, maxRow, minCol, maxCol }
+     */
+    getGridBounds(grid) {
+        const bounds = { minRow: Infinity, maxRow: -1, minCol: Infinity, maxCol: -1 };
+
+        grid.forEach((rowCells, row) => rowCells.forEach((cell, col) => {
+            if (!cell.blocked && !cell.letter) return;
+
+            bounds.minRow = Math.min(bounds.minRow, row);
+            bounds.maxRow = Math.max(bounds.maxRow, row);
+            bounds.minCol = Math.min(bounds.minCol, col);
+            bounds.maxCol = Math.max(bounds.maxCol, col);
+        }));
+
+        if (bounds.maxRow === -1) {
+            return { minRow: 0, maxRow: grid.length - 1, minCol: 0, maxCol: (grid[0]?.length || 1) - 1 };
         }
+
+        return bounds;
     }
 
     /**
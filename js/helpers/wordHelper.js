@@ -9,6 +9,7 @@ class WordHelper {
             minLength: 2,
             maxLength: 25,
             allowedChars: /^[А-ЯІЇЄґA-Z\s\-']+$/i,
+            separatorChars: /[\s\-']/g, // дозволені в слові символи, що не є літерами (не входять у нумерацію)
             ukrainianChars: /[А-ЯІЇЄґ]/,
             englishChars: /[A-Z]/,
             autoNumbering: true
@@ -179,6 +180,15 @@ class WordHelper {
             .replace(/[–—]/g, '-');
     }
 
+    /**
+     * Кількість літер відповіді для нумерації "(5,3)": розділювачі (дефіс, апостроф, пробіл) не рахуються
+     * @param {string} word - слово
+     * @returns {number} кількість літер
+     */
+    countLetters(word) {
+        return this.normalizeWord(String(word ?? '')).replace(this.config.separatorChars, '').length;
+    }
+
     /**
      * Генерація унікального ID для слова
      * @returns {string} унікальний ID
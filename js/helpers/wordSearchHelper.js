@@ -0,0 +1,363 @@
+/**
+ * WordSearchHelper - філворд (пошук слів): слова кросворду розміщуються прямими лініями
+ * у вибраних напрямках на сітці літер, решта клітинок заповнюється випадковими літерами
+ *
+ * Випадкові літери добираються з частотами мови слів, змішаними з частотами літер самих
+ * слів (як у GridValidator.analyzeLetterFrequency), тож заповнення не виділяється на тлі слів.
+ *
+ * Кожне слово має читатися в сітці рівно один раз: позиції, що створюють друге прочитання
+ * вже розміщеного слова, відкидаються, а повтори, які не вдалося усунути перезаповненням
+ * випадкових літер, повертаються у warnings.
+ *
+ * Головоломка: { width, height, directions, grid: [[літера]],
+ *                placements: [{ wordId, word, row, col, direction, cells: [{row, col}] }],
+ *                unplaced: [{ wordId, word, reason }], warnings: [текст] }
+ */
+class WordSearchHelper {
+    constructor() {
+        this.config = {
+            // Напрямок -> крок [рядок, стовпець]
+            directions: {
+                right: [0, 1],
+                down: [1, 0],
+                'down-right': [1, 1],
+                'up-right': [-1, 1],
+                left: [0, -1],
+                up: [-1, 0],
+                'up-left': [-1, -1],
+                'down-left': [1, -1]
+            },
+            defaultDirections: ['right', 'down', 'down-right', 'up-right'],
+            fillAttempts: 20, // спроби перезаповнення, якщо слово випадково з'явилося вдруге
+            density: 0.6,     // частка клітинок, яку займають слова, для розміру за замовчуванням
+            // Частоти літер мов (%)
+            letterFrequencies: {
+                uk: {
+                    'А': 7.2, 'Б': 1.7, 'В': 5.2, 'Г': 1.6, 'Ґ': 0.1, 'Д': 3.5, 'Е': 4.7, 'Є': 0.8,
+                    'Ж': 0.9, 'З': 2.3, 'И': 6.1, 'І': 5.7, 'Ї': 0.6, 'Й': 1.1, 'К': 3.5, 'Л': 3.6,
+                    'М': 3.1, 'Н': 6.5, 'О': 9.4, 'П': 2.9, 'Р': 4.7, 'С': 4.1, 'Т': 5.5, 'У': 4.0,
+                    'Ф': 0.3, 'Х': 1.2, 'Ц': 1.0, 'Ч': 1.8, 'Ш': 0.8, 'Щ': 0.6, 'Ь': 2.9, 'Ю': 0.8,
+                    'Я': 2.9
+                },
+                en: {
+                    'A': 8.2, 'B': 1.5, 'C': 2.8, 'D': 4.3, 'E': 12.7, 'F': 2.2, 'G': 2.0, 'H': 6.1,
+                    'I': 7.0, 'J': 0.2, 'K': 0.8, 'L': 4.0, 'M': 2.4, 'N': 6.7, 'O': 7.5, 'P': 1.9,
+                    'Q': 0.1, 'R': 6.0, 'S': 6.3, 'T': 9.1, 'U': 2.8, 'V': 1.0, 'W': 2.4, 'X': 0.2,
+                    'Y': 2.0, 'Z': 0.1
+                }
+            }
+        };
+    }
+
+    /**
+     * Генерація філворду
+     * @param {Array} words - слова { id, word }
+     * @param {Object} options - { width, height, directions: назви з config.directions, seed }
+     * @returns {Object} головоломка
+     */
+    generate(words, options = {}) {
+        const { width, height } = options;
+        const directions = (options.directions || this.config.defaultDirections)
+            .filter(direction => this.config.directions[direction]);
+        if (directions.length === 0) throw new Error('Виберіть хоча б один напрямок');
+
+        const random = window.LayoutHelper.createRandom(options.seed);
+        const grid = Array.from({ length: height }, () => Array(width).fill(''));
+        const placements = [];
+        const unplaced = [];
+
+        // Довші слова першими: їм складніше знайти місце
+        const entries = words
+            .map(({ id, word }) => ({ wordId: id, word: word.toUpperCase() }))
+            .sort((a, b) => b.word.length - a.word.length);
+
+        entries.forEach(entry => {
+            if (entry.word.length > Math.max(width, height)) {
+                unplaced.push({ ...entry, reason: 'Довше за сітку' });
+                return;
+            }
+
+            const position = this.findPosition(grid, entry.word, directions, placements, random);
+            if (!position) {
+                unplaced.push({ ...entry, reason: 'Немає місця' });
+                return;
+            }
+
+            position.cells.forEach(({ row, col }, index) => {
+                grid[row][col] = entry.word[index];
+            });
+            placements.push({ ...entry, ...position });
+        });
+
+        const puzzle = { width, height, directions, grid, placements, unplaced, warnings: [] };
+        this.fillEmptyCells(puzzle, words, random).forEach(({ word }) => {
+            puzzle.warnings.push(`Слово ${word} читається в сітці більше одного разу`);
+        });
+
+        return puzzle;
+    }
+
+    /**
+     * Розмір квадратної сітки для слів: літери слів займають близько config.density клітинок,
+     * а найдовше слово вміщується в рядок
+     * @param {Array} words - слова { word }
+     * @returns {number} сторона сітки
+     */
+    suggestSize(words) {
+        const letters = words.reduce((sum, { word }) => sum + word.length, 0);
+        const longest = Math.max(0, ...words.map(({ word }) => word.length));
+        return Math.max(longest, Math.ceil(Math.sqrt(letters / this.config.density)));
+    }
+
+    /**
+     * Випадкова позиція слова, що не створює другого прочитання жодного
+     * розміщеного слова (та самого себе). Кандидати перевіряються у випадковому
+     * порядку до першого придатного
+     * @param {Array} placements - уже розміщені слова
+     * @returns {Object|null} { row, col, direction, cells }
+     */
+    findPosition(grid, word, directions, placements, random) {
+        const candidates = window.LayoutHelper.shuffle(this.findPositions(grid, word, directions), random);
+
+        return candidates.find(({ cells }) => {
+            const written = cells.filter(cell => grid[cell.row][cell.col] === '');
+
+            // Пробний запис літер: нове прочитання обов'язково проходить через нову клітинку
+            written.forEach(cell => { grid[cell.row][cell.col] = word[cells.indexOf(cell)]; });
+            const repeated = this.hasRepeatedReading(grid, written, [...placements, { word, cells }], directions);
+            written.forEach(cell => { grid[cell.row][cell.col] = ''; });
+
+            return !repeated;
+        }) || null;
+    }
+
+    /**
+     * Можливі позиції слова: літери не суперечать уже розміщеним, а слово
+     * не лежить повністю на клітинках іншого слова
+     * @returns {Array} { row, col, direction, cells }
+     */
+    findPositions(grid, word, directions) {
+        const positions = [];
+
+        grid.forEach((rowCells, row) => rowCells.forEach((_, col) => {
+            directions.forEach(direction => {
+                const cells = this.getCells(row, col, direction, word.length);
+                const fits = cells.every((cell, index) => {
+                    const letter = grid[cell.row]?.[cell.col];
+                    return letter !== undefined && (letter === '' || letter === word[index]);
+                });
+
+                if (fits && cells.some(cell => grid[cell.row][cell.col] === '')) {
+                    positions.push({ row, col, direction, cells });
+                }
+            });
+        }));
+
+        return positions;
+    }
+
+    /**
+     * Чи читається якесь слово через клітинки cells в іншому місці, ніж його розміщення
+     * @param {Array} grid - сітка
+     * @param {Array} cells - клітинки, через які шукати прочитання
+     * @param {Array} placements - розміщення { word, cells }
+     * @param {Array} directions - дозволені напрямки
+     * @returns {boolean}
+     */
+    hasRepeatedReading(grid, cells, placements, directions) {
+        const own = new Map(); // слово -> ключі ліній його розміщень
+        const byLetter = new Map(); // літера -> [{ word, index }]
+        placements.forEach(({ word, cells: line }) => {
+            if (!own.has(word)) {
+                own.set(word, new Set());
+                [...word].forEach((letter, index) => {
+                    (byLetter.get(letter) || byLetter.set(letter, []).get(letter)).push({ word, index });
+                });
+            }
+            own.get(word).add(this.getLineKey(line));
+        });
+
+        return cells.some(({ row, col }) => (byLetter.get(grid[row][col]) || []).some(({ word, index }) =>
+            directions.some(direction => {
+                const [dRow, dCol] = this.config.directions[direction];
+                const line = this.getCells(row - dRow * index, col - dCol * index, direction, word.length);
+                return line.every((cell, i) => grid[cell.row]?.[cell.col] === word[i]) &&
+                    !own.get(word).has(this.getLineKey(line));
+            })));
+    }
+
+    /**
+     * Ключ лінії за її кінцями (однаковий для обох напрямків читання)
+     */
+    getLineKey(cells) {
+        return [cells[0], cells[cells.length - 1]].map(cell => `${cell.row}:${cell.col}`).sort().join('-');
+    }
+
+    /**
+     * Клітинки відрізка від (row, col) у напрямку
+     */
+    getCells(row, col, direction, length) {
+        const [dRow, dCol] = this.config.directions[direction];
+        return Array.from({ length }, (_, index) => ({ row: row + dRow * index, col: col + dCol * index }));
+    }
+
+    /**
+     * Заповнення порожніх клітинок випадковими літерами; якщо слово після цього
+     * читається в сітці більше одного разу, заповнення повторюється.
+     * Залишається спроба з найменшою кількістю повторів
+     * @returns {Array} розміщення слів, що все ж читаються більше одного разу
+     */
+    fillEmptyCells(puzzle, words, random) {
+        const empty = [];
+        puzzle.grid.forEach((rowCells, row) => rowCells.forEach((letter, col) => {
+            if (!letter) empty.push({ row, col });
+        }));
+
+        const pickLetter = this.createLetterPicker(this.getFillWeights(puzzle, words), random);
+        let best = null;
+
+        for (let attempt = 0; attempt < this.config.fillAttempts; attempt++) {
+            const letters = empty.map(() => pickLetter());
+            empty.forEach(({ row, col }, index) => {
+                puzzle.grid[row][col] = letters[index];
+            });
+
+            const repeated = this.findRepeatedWords(puzzle);
+            if (!best || repeated.length < best.repeated.length) best = { letters, repeated };
+            if (repeated.length === 0) break;
+        }
+
+        empty.forEach(({ row, col }, index) => {
+            puzzle.grid[row][col] = best.letters[index];
+        });
+
+        return best.repeated;
+    }
+
+    /**
+     * Розміщення слів, що читаються в сітці частіше, ніж розміщені
+     * (одне слово може бути розміщене кілька разів, якщо воно повторюється в кросворді)
+     */
+    findRepeatedWords(puzzle) {
+        const counts = new Map();
+        puzzle.placements.forEach(({ word }) => counts.set(word, (counts.get(word) || 0) + 1));
+
+        return puzzle.placements.filter(({ word }, index) =>
+            puzzle.placements.findIndex(placement => placement.word === word) === index &&
+            this.countOccurrences(puzzle.grid, word, puzzle.directions) > counts.get(word));
+    }
+
+    /**
+     * Ваги випадкових літер: частоти мови слів разом із частотами літер розміщених слів
+     * @returns {Object} літера -> вага
+     */
+    getFillWeights(puzzle, words) {
+        const base = this.config.letterFrequencies[this.detectLanguage(words)];
+        const cells = puzzle.grid.map(row => row.map(letter => ({ letter, blocked: false })));
+        const { total, distribution } = window.GridValidator.analyzeLetterFrequency(cells);
+
+        const weights = {};
+        Object.entries(base).forEach(([letter, percentage]) => {
+            weights[letter] = percentage / 100 + (total > 0 ? (distribution[letter] || 0) / total : 0);
+        });
+
+        return weights;
+    }
+
+    /**
+     * Мова слів: українська, якщо є кирилиця, інакше англійська
+     */
+    detectLanguage(words) {
+        return words.some(({ word }) => /[А-ЯІЇЄҐ]/i.test(word)) ? 'uk' : 'en';
+    }
+
+    /**
+     * @param {Object} weights - літера -> вага
+     * @param {Function} random - генератор випадкових чисел
+     * @returns {Function} функція, що повертає випадкову літеру
+     */
+    createLetterPicker(weights, random) {
+        const letters = Object.keys(weights);
+        const cumulative = [];
+        let sum = 0;
+        letters.forEach(letter => {
+            sum += weights[letter];
+            cumulative.push(sum);
+        });
+
+        return () => {
+            const value = random() * sum;
+            const index = cumulative.findIndex(bound => value < bound);
+            return letters[index === -1 ? letters.length - 1 : index];
+        };
+    }
+
+    /**
+     * Скільки разів слово читається в сітці в дозволених напрямках
+     * (паліндром, прочитаний в обидва боки на тих самих клітинках, рахується один раз)
+     */
+    countOccurrences(grid, word, directions) {
+        const found = new Set();
+        grid.forEach((rowCells, row) => rowCells.forEach((_, col) => {
+            directions.forEach(direction => {
+                const cells = this.getCells(row, col, direction, word.length);
+                if (!cells.every((cell, index) => grid[cell.row]?.[cell.col] === word[index])) return;
+
+                found.add(this.getLineKey(cells));
+            });
+        }));
+
+        return found.size;
+    }
+
+    /**
+     * Клітинки прямої лінії між двома клітинками (горизонталь, вертикаль чи діагональ)
+     * @returns {Array|null} клітинки або null, якщо клітинки не на одній лінії
+     */
+    getLine(start, end) {
+        const dRow = end.row - start.row;
+        const dCol = end.col - start.col;
+        if (dRow !== 0 && dCol !== 0 && Math.abs(dRow) !== Math.abs(dCol)) return null;
+
+        const length = Math.max(Math.abs(dRow), Math.abs(dCol)) + 1;
+        return Array.from({ length }, (_, index) => ({
+            row: start.row + Math.sign(dRow) * index,
+            col: start.col + Math.sign(dCol) * index
+        }));
+    }
+
+    /**
+     * Слово, виділене від start до end (у будь-якому з двох напрямків)
+     * @returns {Object|null} розміщення слова
+     */
+    findSelectedWord(puzzle, start, end) {
+        const line = this.getLine(start, end);
+        if (!line) return null;
+
+        const same = (a, b) => a.length === b.length && a.every((cell, i) => cell.row === b[i].row && cell.col === b[i].col);
+        return puzzle.placements.find(({ cells }) => same(cells, line) || same(cells, line.slice().reverse())) || null;
+    }
+
+    /**
+     * Сітка філворду у форматі клітинок кросворду (для RenderHelper)
+     */
+    toGridCells(puzzle) {
+        return puzzle.grid.map(row => row.map(letter => ({ letter, blocked: false, wordIds: [], metadata: {} })));
+    }
+
+    /**
+     * Лінії відповідей для накладання на сітку (RenderHelper, options.overlay)
+     * @returns {Array} { from: {row, col}, to: {row, col} }
+     */
+    getAnswerLines(puzzle) {
+        return puzzle.placements.map(({ cells }) => ({ from: cells[0], to: cells[cells.length - 1] }));
+    }
+}
+
+// Створення глобального екземпляра
+window.WordSearchHelper = new WordSearchHelper();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordSearchHelper;
+}
@@ -22,9 +22,15 @@ class CrosswordApp {
             grid: [], // двомірний масив
             selectedCell: null,
             selectedWord: null,
+            cursorDirection: 'horizontal', // напрямок курсора розв'язувача
             isGridGenerated: false,
             hasUnsavedChanges: false,
-            lastSaveTime: null
+            lastSaveTime: null,
+            currentCrosswordId: null, // ID запису в бібліотеці
+            metadata: this.createDefaultMetadata(),
+            gameTimerId: null, // інтервал оновлення таймера гри
+            solveSaveTimer: null, // відкладене збереження прогресу розв'язку
+            wordSearch: null // філворд: { puzzle, source, found: Set<wordId>, selection: { start, end } }
         };
 
         // DOM елементи
@@ -40,7 +46,9 @@ class CrosswordApp {
     init() {
         this.cacheDOM();
         this.setupEventListeners();
+        this.registerHistoryCommands();
         this.initializeComponents();
+        this.loadDictionary();
         this.loadFromLocalStorage();
         this.setupAutoSave();
         
@@ -62,6 +70,7 @@ class CrosswordApp {
         this.elements.gridWidth = document.getElementById('grid-width');
         this.elements.gridHeight = document.getElementById('grid-height');
         this.elements.generateGrid = document.getElementById('generate-grid');
+        this.elements.resizeGrid = document.getElementById('resize-grid');
 
         // Контроли слів
         this.elements.wordInput = document.getElementById('word-input');
@@ -69,14 +78,73 @@ class CrosswordApp {
         this.elements.directionInputs = document.querySelectorAll('input[name="direction"]');
         this.elements.addWord = document.getElementById('add-word');
 
+        // Словник
+        this.elements.dictionaryPattern = document.getElementById('dictionary-pattern');
+        this.elements.dictionarySearch = document.getElementById('dictionary-search');
+        this.elements.dictionaryFromGrid = document.getElementById('dictionary-from-grid');
+        this.elements.dictionaryImport = document.getElementById('dictionary-import');
+        this.elements.dictionaryClear = document.getElementById('dictionary-clear');
+        this.elements.dictionaryFile = document.getElementById('dictionary-file');
+        this.elements.dictionaryStatus = document.getElementById('dictionary-status');
+        this.elements.dictionaryResults = document.getElementById('dictionary-results');
+
+        // Автозаповнення
+        this.elements.blockPaint = document.getElementById('block-paint');
+        this.elements.blockSymmetry = document.getElementById('block-symmetry');
+        this.elements.blockReport = document.getElementById('block-report');
+        this.elements.autofillGrid = document.getElementById('autofill-grid');
+        this.elements.autofillClear = document.getElementById('autofill-clear');
+        this.elements.autofillReport = document.getElementById('autofill-report');
+
+        // Генерація зі списку слів
+        this.elements.wordListInput = document.getElementById('word-list-input');
+        this.elements.layoutObjective = document.getElementById('layout-objective');
+        this.elements.keyWordInput = document.getElementById('key-word-input');
+        this.elements.keyWordColumn = document.getElementById('key-word-column');
+        this.elements.keyWordStatus = document.getElementById('key-word-status');
+        this.elements.keyWordBox = document.getElementById('key-word-box');
+        this.elements.keyWordAnswer = document.getElementById('key-word-answer');
+        this.elements.checkKeyWord = document.getElementById('check-key-word');
+        this.elements.generateFromList = document.getElementById('generate-from-list');
+        this.elements.regenerateLayout = document.getElementById('regenerate-layout');
+        this.elements.layoutReport = document.getElementById('layout-report');
+
+        // Історія змін
+        this.elements.undo = document.getElementById('undo');
+        this.elements.redo = document.getElementById('redo');
+        this.elements.historyList = document.getElementById('history-list');
+
         // Кнопки управління
         this.elements.newCrossword = document.getElementById('new-crossword');
         this.elements.saveCrossword = document.getElementById('save-crossword');
         this.elements.loadCrossword = document.getElementById('load-crossword');
+        this.elements.openSettings = document.getElementById('open-settings');
+        this.elements.importCrossword = document.getElementById('import-crossword');
+        this.elements.importFile = document.getElementById('import-file');
+        this.elements.exportFormat = document.getElementById('export-format');
+        this.elements.exportCrossword = document.getElementById('export-crossword');
+        this.elements.printCrossword = document.getElementById('print-crossword');
+        this.elements.openWordSearch = document.getElementById('open-wordsearch');
+        this.elements.wordSearchModal = document.getElementById('wordsearch-modal');
+        this.elements.wordSearchWidth = document.getElementById('wordsearch-width');
+        this.elements.wordSearchHeight = document.getElementById('wordsearch-height');
+        this.elements.wordSearchDirections = document.querySelectorAll('input[name="wordsearch-direction"]');
+        this.elements.wordSearchGenerate = document.getElementById('wordsearch-generate');
+        this.elements.wordSearchBoard = document.getElementById('wordsearch-board');
+        this.elements.wordSearchWords = document.getElementById('wordsearch-words');
+        this.elements.wordSearchShowAnswers = document.getElementById('wordsearch-show-answers');
+        this.elements.wordSearchPrint = document.getElementById('wordsearch-print');
         this.elements.startGame = document.getElementById('start-game');
         this.elements.checkAnswers = document.getElementById('check-answers');
         this.elements.showAnswers = document.getElementById('show-answers');
         this.elements.backToEditor = document.getElementById('back-to-editor');
+        this.elements.pauseGame = document.getElementById('pause-game');
+        this.elements.newSolve = document.getElementById('new-solve');
+        this.elements.gameTimer = document.getElementById('game-timer');
+        this.elements.bestTime = document.getElementById('best-time');
+        this.elements.hintButtons = document.querySelectorAll('[data-hint]');
+        this.elements.skipFilled = document.getElementById('skip-filled');
+        this.elements.gameScore = document.getElementById('game-score');
 
         // Статистика гри
         this.elements.completedWords = document.getElementById('completed-words');
@@ -85,6 +153,53 @@ class CrosswordApp {
         // Модальні вікна
         this.elements.modalOverlay = document.getElementById('modal-overlay');
         this.elements.settingsModal = document.getElementById('settings-modal');
+        this.elements.libraryModal = document.getElementById('library-modal');
+        this.elements.librarySearch = document.getElementById('library-search');
+        this.elements.libraryDifficulty = document.getElementById('library-difficulty');
+        this.elements.libraryList = document.getElementById('library-list');
+        this.elements.reportModal = document.getElementById('report-modal');
+        this.elements.reportTitle = document.getElementById('report-title');
+        this.elements.reportContent = document.getElementById('report-content');
+        this.elements.clueModal = document.getElementById('clue-modal');
+        this.elements.clueModalTitle = document.getElementById('clue-modal-title');
+        this.elements.clueText = document.getElementById('clue-text');
+        this.elements.clueEnumeration = document.getElementById('clue-enumeration');
+        this.elements.clueType = document.getElementById('clue-type');
+        this.elements.clueParse = document.getElementById('clue-parse');
+        this.elements.clueDefinition = document.getElementById('clue-definition');
+        this.elements.clueIndicator = document.getElementById('clue-indicator');
+        this.elements.clueFodder = document.getElementById('clue-fodder');
+        this.elements.clueCheck = document.getElementById('clue-check');
+        this.elements.saveClue = document.getElementById('save-clue');
+        this.elements.printModal = document.getElementById('print-modal');
+        this.elements.printPaper = document.getElementById('print-paper');
+        this.elements.printCellSize = document.getElementById('print-cell-size');
+        this.elements.printFont = document.getElementById('print-font');
+        this.elements.printFontSize = document.getElementById('print-font-size');
+        this.elements.printTwoPerPage = document.getElementById('print-two-per-page');
+        this.elements.printAnswerKey = document.getElementById('print-answer-key');
+        this.elements.printRun = document.getElementById('print-run');
+        this.elements.printDownload = document.getElementById('print-download');
+        this.elements.imageExportModal = document.getElementById('image-export-modal');
+        this.elements.imageExportTitle = document.getElementById('image-export-title');
+        this.elements.imageShowNumbers = document.getElementById('image-show-numbers');
+        this.elements.imageShowLetters = document.getElementById('image-show-letters');
+        this.elements.imageTheme = document.getElementById('image-theme');
+        this.elements.imageBlockedColor = document.getElementById('image-blocked-color');
+        this.elements.imageCellSize = document.getElementById('image-cell-size');
+        this.elements.imageDpi = document.getElementById('image-dpi');
+        this.elements.imageExportRun = document.getElementById('image-export-run');
+        this.elements.saveSettings = document.getElementById('save-settings');
+        this.elements.crosswordTitle = document.getElementById('crossword-title');
+        this.elements.crosswordAuthor = document.getElementById('crossword-author');
+        this.elements.crosswordCopyright = document.getElementById('crossword-copyright');
+        this.elements.crosswordTheme = document.getElementById('crossword-theme');
+        this.elements.difficulty = document.getElementById('difficulty');
+        this.elements.puzzleType = document.getElementById('puzzle-type');
+        this.elements.codewordPanel = document.getElementById('codeword-panel');
+        this.elements.codewordPreview = document.getElementById('codeword-preview');
+        this.elements.codewordShuffle = document.getElementById('codeword-shuffle');
+        this.elements.codewordKey = document.getElementById('codeword-key');
         this.elements.notifications = document.getElementById('notifications');
     }
 
@@ -94,6 +209,7 @@ class CrosswordApp {
     setupEventListeners() {
         // Генерація сітки
         this.elements.generateGrid?.addEventListener('click', () => this.generateGrid());
+        this.elements.resizeGrid?.addEventListener('click', () => this.resizeGrid());
         
         // Зміна розмірів сітки
         this.elements.gridWidth?.addEventListener('change', () => this.updateGridSize());
@@ -105,16 +221,159 @@ class CrosswordApp {
             if (e.key === 'Enter') this.addWord();
         });
 
+        // Структурована підказка: перевірка під час введення
+        this.elements.clueModal?.addEventListener('input', () => this.updateClueCheck());
+        this.elements.saveClue?.addEventListener('click', () => this.saveClue());
+
+        // Дії з підказками в редакторі
+        [this.elements.horizontalClues, this.elements.verticalClues].forEach(list => {
+            list?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const item = e.target.closest('[data-word-id]');
+                if (!button || !item) return;
+
+                if (button.dataset.action === 'edit-clue') this.editClue(item.dataset.wordId);
+                if (button.dataset.action === 'remove-word') this.removeWord(item.dataset.wordId);
+                if (button.dataset.action === 'toggle-lock') this.toggleWordLock(item.dataset.wordId);
+            });
+        });
+
+        // Клік по підказці вибирає її слово на сітці
+        [this.elements.horizontalClues, this.elements.verticalClues].forEach(list => {
+            if (list) window.RenderHelper.attachCluesEventListeners(list, () => Array.from(this.state.words.values()));
+        });
+        document.addEventListener('clueClick', (e) => this.focusEntry(e.detail.word.id));
+
+        // Перетягування слів на сітці
+        this.setupWordDragging();
+
+        // Словник
+        this.elements.dictionarySearch?.addEventListener('click', () => this.searchDictionary());
+        this.elements.dictionaryPattern?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.searchDictionary();
+        });
+        this.elements.dictionaryFromGrid?.addEventListener('click', () => this.suggestFillersForSlot());
+        this.elements.dictionaryImport?.addEventListener('click', () => this.elements.dictionaryFile?.click());
+        this.elements.dictionaryFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importDictionaryFile(file);
+            e.target.value = '';
+        });
+        this.elements.dictionaryClear?.addEventListener('click', () => this.clearUserDictionary());
+        this.elements.dictionaryResults?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-word]');
+            if (item) this.useDictionaryWord(item.dataset.word, item.dataset.clue);
+        });
+
+        // Історія змін
+        this.elements.undo?.addEventListener('click', () => this.undo());
+        this.elements.redo?.addEventListener('click', () => this.redo());
+        this.elements.historyList?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-position]');
+            if (item) this.goToHistory(parseInt(item.dataset.position));
+        });
+
+        // Автозаповнення сітки з чорними клітинками
+        this.elements.blockPaint?.addEventListener('change', () => this.renderGrid());
+        this.elements.autofillGrid?.addEventListener('click', () => this.autofillGrid());
+        this.elements.autofillClear?.addEventListener('click', () => this.clearAutofill());
+
+        // Генерація зі списку слів
+        this.elements.generateFromList?.addEventListener('click', () => this.generateFromWordList());
+        this.elements.regenerateLayout?.addEventListener('click', () => this.generateFromWordList({ regenerate: true }));
+
+        // Ключове слово в грі
+        this.elements.checkKeyWord?.addEventListener('click', () => this.checkKeyWord());
+        this.elements.keyWordAnswer?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.checkKeyWord();
+        });
+
+        // Кейворд: новий шифр у редакторі, таблиця ключа в грі
+        this.elements.codewordShuffle?.addEventListener('click', () => this.shuffleCodeword());
+        this.elements.codewordKey?.addEventListener('input', (e) => {
+            const input = e.target.closest('input[data-number]');
+            if (input) this.handleCodewordKeyInput(parseInt(input.dataset.number), input);
+        });
+
         // Управління застосунком
         this.elements.newCrossword?.addEventListener('click', () => this.newCrossword());
         this.elements.saveCrossword?.addEventListener('click', () => this.saveCrossword());
-        this.elements.loadCrossword?.addEventListener('click', () => this.loadCrossword());
+        this.elements.loadCrossword?.addEventListener('click', () => this.openLibrary());
+
+        // Бібліотека
+        this.elements.librarySearch?.addEventListener('input', () => this.renderLibrary());
+        this.elements.libraryDifficulty?.addEventListener('change', () => this.renderLibrary());
+        this.elements.libraryList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('.library-item');
+            if (button && item) {
+                this.handleLibraryAction(button.dataset.action, item.dataset.id);
+            }
+        });
+
+        // Імпорт та експорт
+        this.elements.importCrossword?.addEventListener('click', () => this.elements.importFile?.click());
+        this.elements.importFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importCrossword(file);
+            e.target.value = '';
+        });
+        this.elements.exportCrossword?.addEventListener('click', () => this.exportCrossword());
+
+        // Друк
+        this.elements.printCrossword?.addEventListener('click', () => this.openPrintModal());
+        this.elements.printRun?.addEventListener('click', () => this.printCrossword());
+        this.elements.printDownload?.addEventListener('click', () => this.printCrossword({ download: true }));
+
+        // Філворд: виділення слова протягуванням від першої до останньої літери
+        this.elements.openWordSearch?.addEventListener('click', () => this.openWordSearchModal());
+        this.elements.wordSearchGenerate?.addEventListener('click', () => this.generateWordSearch());
+        this.elements.wordSearchShowAnswers?.addEventListener('change', () => this.renderWordSearch());
+        this.elements.wordSearchPrint?.addEventListener('click', () => this.printWordSearch());
+        this.elements.wordSearchBoard?.addEventListener('pointerdown', (e) => {
+            const cell = e.target.closest('[data-row]');
+            if (!cell) return;
+            e.preventDefault();
+            this.elements.wordSearchBoard.setPointerCapture?.(e.pointerId);
+            this.startWordSearchSelection(parseInt(cell.dataset.row), parseInt(cell.dataset.col));
+        });
+        this.elements.wordSearchBoard?.addEventListener('pointermove', (e) => {
+            // Під час захоплення вказівника target - сама дошка, тож клітинку шукаємо за координатами
+            const cell = document.elementFromPoint(e.clientX, e.clientY)?.closest('#wordsearch-board [data-row]');
+            if (cell) this.updateWordSearchSelection(parseInt(cell.dataset.row), parseInt(cell.dataset.col));
+        });
+        this.elements.wordSearchBoard?.addEventListener('pointerup', () => this.finishWordSearchSelection());
+        this.elements.wordSearchBoard?.addEventListener('pointercancel', () => this.finishWordSearchSelection());
+
+        // Експорт зображення
+        this.elements.imageTheme?.addEventListener('change', () => {
+            const theme = window.RenderHelper.config.themes[this.elements.imageTheme.value];
+            if (theme && this.elements.imageBlockedColor) this.elements.imageBlockedColor.value = theme.blockedBg;
+        });
+        this.elements.imageExportRun?.addEventListener('click', () => this.exportImage());
+
+        // Налаштування кросворду
+        this.elements.openSettings?.addEventListener('click', () => this.openSettingsModal());
+        this.elements.saveSettings?.addEventListener('click', () => this.saveSettings());
 
         // Режими гри
         this.elements.startGame?.addEventListener('click', () => this.switchToGameMode());
         this.elements.backToEditor?.addEventListener('click', () => this.switchToEditorMode());
         this.elements.checkAnswers?.addEventListener('click', () => this.checkAnswers());
         this.elements.showAnswers?.addEventListener('click', () => this.showAnswers());
+        this.elements.pauseGame?.addEventListener('click', () => this.toggleGamePause());
+        this.elements.newSolve?.addEventListener('click', () => this.startNewSolve());
+        this.elements.hintButtons.forEach(button => {
+            // mousedown забрав би фокус з клітинки до кліку
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.addEventListener('click', () => this.useHint(button.dataset.hint));
+        });
+
+        // Таймер гри зупиняється, поки вкладку приховано
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+
+        // Завершення розв'язку
+        document.addEventListener('crosswordCompleted', (e) => this.showGameResult(e.detail));
 
         // Модальні вікна
         this.elements.modalOverlay?.addEventListener('click', (e) => {
@@ -128,6 +387,11 @@ class CrosswordApp {
             btn.addEventListener('click', () => this.closeModal());
         });
 
+        // Дії контекстного меню клітинок
+        document.addEventListener('contextMenuAction', (e) => {
+            this.handleContextMenuAction(e.detail.action, e.detail.context);
+        });
+
         // Глобальні клавіші
         document.addEventListener('keydown', (e) => this.handleGlobalKeyPress(e));
 
@@ -147,7 +411,7 @@ class CrosswordApp {
         // Ініціалізація буде залежати від наявності інших файлів
         // Поки що базова ініціалізація
         this.updateGridSizeInputs();
-        this.updateUI();
+        this.renderHistory();
     }
 
     /**
@@ -162,12 +426,16 @@ class CrosswordApp {
             return;
         }
 
+        const before = this.createSnapshot();
+
         this.state.gridSize = { width, height };
         this.state.grid = this.createEmptyGrid(width, height);
         this.state.words.clear();
         this.state.isGridGenerated = true;
         this.state.hasUnsavedChanges = true;
 
+        this.recordBulkChange(before, `Нова сітка ${width}×${height}`);
+
         this.renderGrid();
         this.updateCluesPanel();
         this.updateUI();
@@ -189,7 +457,8 @@ class CrosswordApp {
                     blocked: false,
                     wordIds: [], // ID слів, що проходять через цю клітинку
                     isStart: false,
-                    directions: [] // 'horizontal' та/або 'vertical'
+                    directions: [], // 'horizontal' та/або 'vertical'
+                    metadata: {} // ребус, обведена клітинка тощо
                 };
             }
         }
@@ -209,6 +478,9 @@ class CrosswordApp {
         this.elements.gridContainer.style.gridTemplateColumns = `repeat(${width}, 1fr)`;
         
         this.setupGridEventListeners();
+
+        if (this.isBlockPainting()) this.showBlockPatternIssues();
+        this.highlightActiveWord();
     }
 
     /**
@@ -221,17 +493,25 @@ class CrosswordApp {
             for (let col = 0; col < width; col++) {
                 const cell = this.state.grid[row][col];
                 const cellClasses = this.getCellClasses(cell);
-                const cellNumber = cell.number ? `<span class="cell-number">${cell.number}</span>` : '';
+                const code = this.getCellCode(cell);
+                const cellNumber = code
+                    ? `<span class="cell-number cell-code">${code}</span>`
+                    : cell.number ? `<span class="cell-number">${cell.number}</span>` : '';
+                const cellClues = cell.metadata.clues ? window.RenderHelper.getClueCellHTML(cell) : '';
+                const keyIndex = cell.metadata.keyIndex ? `<span class="key-index">${cell.metadata.keyIndex}</span>` : '';
                 
                 html += `
                     <div class="grid-cell ${cellClasses}" 
                          data-row="${row}" 
                          data-col="${col}">
                         ${cellNumber}
+                        ${keyIndex}
+                        ${cellClues}
                         <input type="text" 
                                maxlength="1" 
                                value="${cell.letter}"
-                               ${cell.blocked ? 'disabled' : ''}>
+                               ${cell.blocked ? 'disabled' : ''}
+                               ${cell.revealed || cell.given ? 'readonly' : ''}>
                     </div>
                 `;
             }
@@ -247,8 +527,12 @@ class CrosswordApp {
         const classes = [];
         
         if (cell.blocked) classes.push('blocked');
+        if (cell.metadata.clues) classes.push('clue-cell');
+        if (cell.metadata.circled) classes.push('circled');
         if (cell.letter) classes.push('filled');
         if (cell.isStart) classes.push('start');
+        if (cell.revealed) classes.push('revealed');
+        if (cell.given) classes.push('given');
         
         return classes.join(' ');
     }
@@ -264,14 +548,29 @@ class CrosswordApp {
             const col = parseInt(cell.dataset.col);
             const input = cell.querySelector('input');
 
-            // Клік по клітинці
-            cell.addEventListener('click', () => this.selectCell(row, col));
+            // Повторний клік по вибраній клітинці в грі змінює напрямок курсора.
+            // Стан запам'ятовується до фокусу, який сам вибирає клітинку
+            let wasSelected = false;
+            cell.addEventListener('pointerdown', () => {
+                wasSelected = this.isSelectedCell(row, col);
+            });
+
+            // Клік по клітинці (у режимі малювання - блокування, по підказці сканворду - перехід до слова)
+            cell.addEventListener('click', (e) => {
+                const clue = e.target.closest?.('.cell-clue');
+                if (this.isBlockPainting()) this.paintBlock(row, col);
+                else if (clue) this.focusEntry(clue.dataset.wordId);
+                else if (this.state.currentMode === 'game' && wasSelected) this.toggleCursorDirection();
+                else this.selectCell(row, col);
+            });
             
             // Введення тексту
             if (input) {
                 input.addEventListener('input', (e) => this.handleCellInput(row, col, e));
                 input.addEventListener('keydown', (e) => this.handleCellKeydown(row, col, e));
-                input.addEventListener('focus', () => this.selectCell(row, col));
+                input.addEventListener('focus', () => {
+                    if (!this.isSelectedCell(row, col)) this.selectCell(row, col);
+                });
             }
 
             // Контекстне меню
@@ -296,10 +595,154 @@ class CrosswordApp {
             `[data-row="${row}"][data-col="${col}"]`
         );
         cell?.classList.add('active');
+
+        this.setActiveWord(row, col);
         
-        // Фокус на інпут
+        // Фокус на інпут; виділений текст замінюється новою літерою
         const input = cell?.querySelector('input');
         input?.focus();
+        input?.select?.();
+    }
+
+    isSelectedCell(row, col) {
+        return this.state.selectedCell?.row === row && this.state.selectedCell?.col === col;
+    }
+
+    /**
+     * Активне слово курсора розв'язувача
+     * @returns {Object|null} дані слова
+     */
+    getActiveWord() {
+        return this.state.words.get(this.state.selectedWord) || null;
+    }
+
+    /**
+     * Вибір активного слова клітинки: слово в напрямку курсора, інакше будь-яке
+     */
+    setActiveWord(row, col) {
+        const words = (this.state.grid[row]?.[col]?.wordIds || [])
+            .map(id => this.state.words.get(id))
+            .filter(Boolean);
+        const wordData = words.find(w => w.direction === this.state.cursorDirection) || words[0] || null;
+
+        if (wordData) this.state.cursorDirection = wordData.direction;
+        this.state.selectedWord = wordData?.id || null;
+        this.highlightActiveWord();
+    }
+
+    /**
+     * Підсвічування активного слова на сітці, його підказки (з прокручуванням до неї)
+     * та підказки слова, що перетинає його у вибраній клітинці
+     */
+    highlightActiveWord() {
+        const gridElement = this.elements.gridContainer;
+        const clueLists = [this.elements.horizontalClues, this.elements.verticalClues].filter(Boolean);
+        const findClue = wordId => clueLists
+            .map(list => list.querySelector(`li[data-word-id="${CSS.escape(wordId)}"]`))
+            .find(Boolean);
+
+        gridElement.querySelectorAll('.word-highlight').forEach(cell => cell.classList.remove('word-highlight'));
+        gridElement.querySelectorAll('.cell-clue.active').forEach(clue => clue.classList.remove('active'));
+        clueLists.forEach(list => list.querySelectorAll('li.active, li.crossing').forEach(item => {
+            item.classList.remove('active', 'crossing');
+        }));
+
+        const wordData = this.getActiveWord();
+        if (!wordData) return;
+
+        window.RenderHelper.highlightWord(gridElement, wordData);
+        gridElement.querySelector(`.cell-clue[data-word-id="${CSS.escape(wordData.id)}"]`)?.classList.add('active');
+
+        const activeClue = findClue(wordData.id);
+        activeClue?.classList.add('active');
+        activeClue?.scrollIntoView?.({ block: 'nearest' });
+
+        const { row, col } = this.state.selectedCell || {};
+        const crossingId = this.state.grid[row]?.[col]?.wordIds.find(id => id !== wordData.id);
+        if (crossingId) findClue(crossingId)?.classList.add('crossing');
+    }
+
+    /**
+     * Позначення розв'язаних слів у списках підказок (лише в режимі гри)
+     */
+    updateSolvedClues() {
+        const isGame = this.state.currentMode === 'game';
+
+        [this.elements.horizontalClues, this.elements.verticalClues].filter(Boolean).forEach(list => {
+            list.querySelectorAll('li[data-word-id]').forEach(item => {
+                const wordData = this.state.words.get(item.dataset.wordId);
+                const solved = isGame && Boolean(wordData) && this.getAnswerCells(wordData)
+                    .every(({ cell, expected }) => cell.letter === expected);
+                item.classList.toggle('solved', solved);
+            });
+        });
+    }
+
+    /**
+     * Вибір слова: курсор стає на його першу порожню клітинку
+     * @param {string} wordId - ID слова
+     */
+    focusEntry(wordId) {
+        const wordData = this.state.words.get(wordId);
+        if (!wordData) return;
+
+        const cells = this.getAnswerCells(wordData);
+        const target = cells.find(({ cell }) => !cell.letter) || cells[0];
+        if (!target) return;
+
+        this.state.cursorDirection = wordData.direction;
+        this.state.selectedWord = wordData.id;
+        this.selectCell(target.row, target.col);
+    }
+
+    /**
+     * Перемикання напрямку курсора, якщо через клітинку проходить слово іншого напрямку
+     */
+    toggleCursorDirection() {
+        const { row, col } = this.state.selectedCell || {};
+        const cell = this.state.grid[row]?.[col];
+        if (!cell) return;
+
+        const other = this.state.cursorDirection === 'horizontal' ? 'vertical' : 'horizontal';
+        const hasOther = cell.wordIds.some(id => this.state.words.get(id)?.direction === other);
+        if (!hasOther) return;
+
+        this.state.cursorDirection = other;
+        this.setActiveWord(row, col);
+    }
+
+    isSkippingFilled() {
+        return Boolean(this.elements.skipFilled?.checked);
+    }
+
+    /**
+     * Слова в порядку списків підказок: спершу горизонтальні, потім вертикальні
+     * @returns {Array} дані слів
+     */
+    getEntryOrder() {
+        const words = Array.from(this.state.words.values());
+        const byNumber = (a, b) => a.number - b.number;
+
+        return [
+            ...words.filter(w => w.direction === 'horizontal').sort(byNumber),
+            ...words.filter(w => w.direction === 'vertical').sort(byNumber)
+        ];
+    }
+
+    /**
+     * Перехід до наступного (step = 1) або попереднього (step = -1) слова,
+     * курсор стає на першу порожню клітинку слова
+     */
+    moveToEntry(step) {
+        const order = this.getEntryOrder();
+        if (order.length === 0) return;
+
+        const index = order.findIndex(w => w.id === this.state.selectedWord);
+        const nextIndex = index === -1
+            ? (step > 0 ? 0 : order.length - 1)
+            : (index + step + order.length) % order.length;
+
+        this.focusEntry(order[nextIndex].id);
     }
 
     /**
@@ -317,22 +760,37 @@ class CrosswordApp {
     handleCellInput(row, col, event) {
         const value = event.target.value.toUpperCase();
         
-        // Оновити стан
+        // Оновити стан; прогрес гри зберігається окремо від кросворду
         if (this.state.grid[row] && this.state.grid[row][col]) {
             this.state.grid[row][col].letter = value;
-            this.state.hasUnsavedChanges = true;
+            if (this.state.currentMode === 'editor') this.state.hasUnsavedChanges = true;
+            else if (this.isCodeword()) this.propagateCodewordLetter(row, col);
         }
         
         // Автоматично перейти до наступної клітинки
         if (value && this.state.currentMode === 'game') {
+            if (window.GameHelper.start()) this.updateGameTimer();
             this.moveToNextCell(row, col);
         }
+
+        if (this.state.currentMode === 'game') {
+            this.updateGameStats();
+            this.scheduleSolveSave();
+            this.checkGameCompletion();
+        }
     }
 
     /**
      * Обробка натискань клавіш в клітинці
      */
     handleCellKeydown(row, col, event) {
+        const isGame = this.state.currentMode === 'game';
+
+        // Стрілки задають і напрямок курсора розв'язувача
+        if (isGame && event.key.startsWith('Arrow')) {
+            this.state.cursorDirection = ['ArrowUp', 'ArrowDown'].includes(event.key) ? 'vertical' : 'horizontal';
+        }
+
         switch (event.key) {
             case 'ArrowUp':
                 event.preventDefault();
@@ -350,6 +808,18 @@ class CrosswordApp {
                 event.preventDefault();
                 this.moveCell(row, col + 1);
                 break;
+            case ' ':
+                if (isGame) {
+                    event.preventDefault();
+                    this.toggleCursorDirection();
+                }
+                break;
+            case 'Tab':
+                if (isGame) {
+                    event.preventDefault();
+                    this.moveToEntry(event.shiftKey ? -1 : 1);
+                }
+                break;
             case 'Backspace':
                 if (!event.target.value) {
                     this.moveToPreviousCell(row, col);
@@ -407,21 +877,193 @@ class CrosswordApp {
             direction: direction,
             startRow: this.state.selectedCell.row,
             startCol: this.state.selectedCell.col,
-            number: this.getNextWordNumber()
+            number: null // призначається під час перенумерації
         };
 
-        this.state.words.set(wordId, wordData);
-        this.placeWordOnGrid(wordData);
-        this.state.hasUnsavedChanges = true;
+        if (!this.executeCommand('addWord', { wordData }, `Додано слово "${word}"`)) {
+            return;
+        }
 
         // Очистити форму
         this.elements.wordInput.value = '';
         this.elements.clueInput.value = '';
 
-        // Оновити UI
+        this.showNotification(`Слово "${word}" додано`, 'success');
+    }
+
+    /**
+     * Генерація кросворду зі списку слів
+     * @param {Object} options - { regenerate: true } для пошуку іншого компонування
+     */
+    generateFromWordList(options = {}) {
+        const { entries, errors } = window.CrosswordUtils.parseWordList(this.elements.wordListInput?.value || '');
+
+        if (entries.length === 0) {
+            this.showNotification('Список слів порожній', 'error');
+            return;
+        }
+
+        if (!options.regenerate && this.state.words.size > 0 &&
+            !confirm('Поточні слова буде замінено. Продовжити?')) {
+            return;
+        }
+
+        // Валідація: кожне слово перевіряється з урахуванням попередніх (для пошуку дублікатів)
+        const validations = window.WordValidator.validateBatch(entries.map((entry, index) => ({
+            word: entry.word,
+            clue: entry.clue,
+            context: { existingWords: entries.slice(0, index).map(e => e.word) }
+        })));
+
+        const invalidEntries = [...errors];
+        const validEntries = [];
+
+        entries.forEach((entry, index) => {
+            const validation = validations[index];
+            if (validation.isValid) {
+                validEntries.push({ ...entry, id: this.generateWordId() });
+            } else {
+                invalidEntries.push({ line: entry.line, word: entry.word, message: validation.errors.join('; ') });
+            }
+        });
+
+        if (validEntries.length === 0) {
+            this.renderLayoutReport(null, invalidEntries);
+            this.showNotification('Жодне слово не пройшло перевірку', 'error');
+            return;
+        }
+
+        const before = this.createSnapshot();
+
+        if (!this.state.isGridGenerated) {
+            this.state.grid = this.createEmptyGrid(this.state.gridSize.width, this.state.gridSize.height);
+            this.state.isGridGenerated = true;
+        }
+
+        const { width, height } = this.state.gridSize;
+        const keyWord = this.elements.keyWordInput?.value.trim() || '';
+        const keyColumn = parseInt(this.elements.keyWordColumn?.value, 10);
+        let layout;
+        try {
+            layout = keyWord
+                ? window.LayoutHelper.generateKeywordLayout(validEntries, {
+                    width,
+                    height,
+                    keyWord,
+                    column: Number.isNaN(keyColumn) ? undefined : keyColumn - 1,
+                    randomize: Boolean(options.regenerate)
+                })
+                : window.LayoutHelper.generateLayout(validEntries, {
+                    width,
+                    height,
+                    grid: this.state.grid,
+                    objective: this.elements.layoutObjective?.value || 'intersections',
+                    randomize: Boolean(options.regenerate),
+                    scanword: this.isScanword()
+                });
+        } catch (error) {
+            this.showNotification(keyWord ? error.message : 'Помилка автоматичного розміщення', 'error');
+            console.error('Layout error:', error);
+            return;
+        }
+
+        this.applyLayout(layout);
+        this.recordBulkChange(before, `Згенеровано зі списку (${layout.placedWords.length} сл.)`);
+        this.renderLayoutReport(layout, invalidEntries);
+
+        if (this.elements.regenerateLayout) this.elements.regenerateLayout.disabled = false;
+
+        const type = layout.success ? 'success' : 'warning';
+        this.showNotification(`Розміщено слів: ${layout.placedWords.length}/${validEntries.length}`, type);
+    }
+
+    /**
+     * Перенесення результату компонування у стан застосунку
+     * Слова додаються так само, як і при ручному додаванні
+     * @param {Object} layout - результат LayoutHelper.generateLayout
+     */
+    applyLayout(layout) {
+        const { width, height } = this.state.gridSize;
+        const blocked = this.state.grid.map(row => row.map(cell => cell.blocked && !cell.metadata.clues));
+
+        this.state.grid = this.createEmptyGrid(width, height);
+        blocked.forEach((row, rowIndex) => {
+            row.forEach((isBlocked, colIndex) => {
+                if (isBlocked) this.state.grid[rowIndex][colIndex].blocked = true;
+            });
+        });
+        this.state.words.clear();
+
+        layout.placedWords.forEach(placedWord => {
+            this.state.words.set(placedWord.id, {
+                id: placedWord.id,
+                word: placedWord.word,
+                clue: placedWord.clue,
+                direction: placedWord.direction,
+                startRow: placedWord.startRow,
+                startCol: placedWord.startCol,
+                number: null
+            });
+        });
+
+        this.numberWords();
+        this.state.words.forEach(wordData => this.placeWordOnGrid(wordData));
+        this.updateClueCells();
+
+        (layout.keyCells || []).forEach(({ row, col }, index) => {
+            Object.assign(this.state.grid[row][col].metadata, { circled: true, keyIndex: index + 1 });
+        });
+
+        this.state.hasUnsavedChanges = true;
+
         this.renderGrid();
         this.updateCluesPanel();
-        this.showNotification(`Слово "${word}" додано`, 'success');
+        this.updateUI();
+    }
+
+    /**
+     * Відображення звіту про розміщення слів
+     * @param {Object|null} layout - результат компонування
+     * @param {Array} invalidEntries - рядки, що не пройшли перевірку
+     */
+    renderLayoutReport(layout, invalidEntries = []) {
+        const container = this.elements.layoutReport;
+        if (!container) return;
+
+        const escape = window.CrosswordUtils.escapeHTML;
+        let html = '';
+
+        if (layout) {
+            html += `<p class="layout-summary">Розміщено: ${layout.placedWords.length}, ` +
+                `пересічень: ${layout.intersections}</p>`;
+
+            if (layout.placedWords.length > 0) {
+                html += '<ul class="layout-list placed">' + layout.placedWords.map(word =>
+                    `<li>${escape(word.word)}</li>`
+                ).join('') + '</ul>';
+            }
+
+            if (layout.missingLetters?.length > 0) {
+                html += '<p class="layout-summary">Немає слів для літер ключового слова: ' +
+                    layout.missingLetters.map(({ index, letter }) => `${escape(letter)} (${index + 1})`).join(', ') + '</p>';
+            }
+
+            if (layout.unplacedWords.length > 0) {
+                html += '<p class="layout-summary">Не вдалось розмістити:</p>';
+                html += '<ul class="layout-list unplaced">' + layout.unplacedWords.map(word =>
+                    `<li>${escape(word.word)} — ${escape(word.reason)}</li>`
+                ).join('') + '</ul>';
+            }
+        }
+
+        if (invalidEntries.length > 0) {
+            html += '<p class="layout-summary">Рядки з помилками:</p>';
+            html += '<ul class="layout-list invalid">' + invalidEntries.map(entry =>
+                `<li>Рядок ${entry.line}${entry.word ? ` (${escape(entry.word)})` : ''}: ${escape(entry.message)}</li>`
+            ).join('') + '</ul>';
+        }
+
+        container.innerHTML = html;
     }
 
     /**
@@ -435,14 +1077,15 @@ class CrosswordApp {
             const col = direction === 'horizontal' ? startCol + i : startCol;
             
             // Перевірка меж
-            if (row >= height || col >= width) return false;
+            if (row < 0 || col < 0 || row >= height || col >= width) return false;
             
-            // Перевірка на заблоковані клітинки
-            if (this.state.grid[row][col].blocked) return false;
+            const cell = this.state.grid[row][col];
+
+            // Перевірка на заблоковані клітинки (підказки сканворду розставляються наново)
+            if (cell.blocked && !cell.metadata.clues) return false;
             
             // Перевірка на конфлікти літер
-            const existingLetter = this.state.grid[row][col].letter;
-            if (existingLetter && existingLetter !== word[i]) return false;
+            if (cell.letter && cell.letter !== word[i]) return false;
         }
         
         return true;
@@ -472,297 +1115,2727 @@ class CrosswordApp {
     }
 
     /**
-     * Оновлення панелі підказок
+     * Видалення слова
+     * @param {string} wordId - ID слова
      */
-    updateCluesPanel() {
-        const horizontalWords = [];
-        const verticalWords = [];
-        
-        this.state.words.forEach(wordData => {
-            if (wordData.direction === 'horizontal') {
-                horizontalWords.push(wordData);
-            } else {
-                verticalWords.push(wordData);
-            }
-        });
-        
-        // Сортування за номерами
-        horizontalWords.sort((a, b) => a.number - b.number);
-        verticalWords.sort((a, b) => a.number - b.number);
-        
-        this.renderClues(this.elements.horizontalClues, horizontalWords);
-        this.renderClues(this.elements.verticalClues, verticalWords);
+    removeWord(wordId) {
+        this.removeWords([wordId]);
     }
 
     /**
-     * Рендеринг списку підказок
+     * Видалення кількох слів однією дією історії
+     * @param {Array} wordIds - ID слів
      */
-    renderClues(container, words) {
-        if (!container) return;
-        
-        const html = words.map(wordData => 
-            `<li data-word-id="${wordData.id}">
-                <span class="clue-number">${wordData.number}.</span>
-                ${wordData.clue}
-            </li>`
-        ).join('');
-        
-        container.innerHTML = html;
+    removeWords(wordIds) {
+        const words = wordIds.map(id => this.state.words.get(id)).filter(Boolean);
+        if (words.length === 0) return;
+
+        const list = words.map(wordData => `"${wordData.word}"`).join(', ');
+        const label = words.length === 1 ? `Видалено слово ${list}` : `Видалено слова ${list}`;
+
+        if (this.changeWords(words.map(wordData => wordData.id), [], label)) {
+            this.showNotification(words.length === 1 ? `Слово ${list} видалено` : `Слова ${list} видалено`, 'success');
+        }
     }
 
     /**
-     * Перемикання в режим гри
+     * Переміщення слова на нову початкову клітинку
+     * @param {string} wordId - ID слова
+     * @param {number} startRow - новий рядок початку
+     * @param {number} startCol - нова колонка початку
+     * @returns {boolean} чи переміщено слово
      */
-    switchToGameMode() {
-        if (this.state.words.size === 0) {
-            this.showNotification('Додайте слова перед початком гри', 'error');
-            return;
+    moveWord(wordId, startRow, startCol) {
+        const wordData = this.state.words.get(wordId);
+        if (!wordData) return false;
+        if (wordData.startRow === startRow && wordData.startCol === startCol) return false;
+
+        const check = this.checkWordMove(wordData, startRow, startCol, wordData.direction);
+        if (!check.canPlace) {
+            this.showNotification(`Слово "${wordData.word}" не можна перемістити: ${check.reason}`, 'error');
+            return false;
         }
 
-        this.state.currentMode = 'game';
-        this.clearGridLetters();
-        this.elements.gameMode.style.display = 'block';
-        this.elements.gridContainer.classList.add('game-mode');
-        
-        this.updateGameStats();
-        this.showNotification('Режим гри активовано', 'info');
+        return this.changeWords([], [{ ...wordData, startRow, startCol }], `Переміщено слово "${wordData.word}"`);
     }
 
     /**
-     * Перемикання в режим редактора
+     * Поворот слова між горизонталлю та вертикаллю навколо однієї з його літер
+     * @param {string} wordId - ID слова
+     * @param {number} anchorIndex - індекс літери, що залишається на місці
+     * @returns {boolean} чи повернуто слово
      */
-    switchToEditorMode() {
-        this.state.currentMode = 'editor';
-        this.restoreGridLetters();
-        this.elements.gameMode.style.display = 'none';
-        this.elements.gridContainer.classList.remove('game-mode');
-        
-        this.showNotification('Режим редактора активовано', 'info');
+    flipWord(wordId, anchorIndex = 0) {
+        const wordData = this.state.words.get(wordId);
+        if (!wordData) return false;
+
+        const isHorizontal = wordData.direction === 'horizontal';
+        const anchorRow = isHorizontal ? wordData.startRow : wordData.startRow + anchorIndex;
+        const anchorCol = isHorizontal ? wordData.startCol + anchorIndex : wordData.startCol;
+
+        const direction = isHorizontal ? 'vertical' : 'horizontal';
+        const startRow = isHorizontal ? anchorRow - anchorIndex : anchorRow;
+        const startCol = isHorizontal ? anchorCol : anchorCol - anchorIndex;
+
+        const check = this.checkWordMove(wordData, startRow, startCol, direction);
+        if (!check.canPlace) {
+            this.showNotification(`Слово "${wordData.word}" не можна повернути навколо літери "${wordData.word[anchorIndex]}": ${check.reason}`, 'error');
+            return false;
+        }
+
+        return this.changeWords([], [{ ...wordData, direction, startRow, startCol }],
+            `Повернуто слово "${wordData.word}"`);
     }
 
     /**
-     * Очищення літер з сітки для режиму гри
+     * Перевірка нової позиції слова, що вже стоїть на сітці (переміщення, поворот):
+     * правила GridHelper.canPlaceWord і сусідства LayoutHelper на сітці без самого слова
+     * @param {Object} wordData - слово
+     * @param {number} startRow - новий рядок початку
+     * @param {number} startCol - нова колонка початку
+     * @param {string} direction - новий напрямок
+     * @returns {Object} { canPlace, reason }
      */
-    clearGridLetters() {
-        this.state.grid.forEach(row => {
-            row.forEach(cell => {
-                if (cell.wordIds.length > 0) {
-                    cell.gameValue = cell.letter; // Зберегти правильну відповідь
-                    cell.letter = ''; // Очистити для гри
-                }
-            });
+    checkWordMove(wordData, startRow, startCol, direction) {
+        const gridHelper = window.GridHelper;
+        const { width, height } = this.state.gridSize;
+        const grid = gridHelper.createEmptyGrid(width, height);
+
+        // Клітинки-підказки сканворду не переносяться: вони розставляються наново під час перебудови
+        window.LayoutHelper.copyBlocks(this.state.grid, grid);
+        this.state.words.forEach(other => {
+            if (other.id !== wordData.id) gridHelper.registerWord(grid, other);
         });
-        this.renderGrid();
+
+        const check = gridHelper.canPlaceWord(grid, wordData.word, startRow, startCol, direction);
+        if (check.canPlace && !window.LayoutHelper.isPlacementAllowed(grid, wordData.word, startRow, startCol, direction, this.isScanword())) {
+            return { ...check, canPlace: false, reason: 'Слово торкається інших слів або продовжує їх' };
+        }
+
+        return check;
+    }
+
+    /**
+     * Зміна набору слів однією командою історії.
+     * Номери не зберігаються в команді: сітка перенумеровується під час перебудови
+     * @param {Array} removedIds - ID слів, що видаляються
+     * @param {Array} updatedWords - змінені слова
+     * @param {string} label - підпис для історії
+     * @returns {boolean} чи виконано зміну
+     */
+    changeWords(removedIds, updatedWords, label) {
+        const changedIds = [...removedIds, ...updatedWords.map(wordData => wordData.id)];
+        const before = changedIds.map(id => this.state.words.get(id)).filter(Boolean);
+
+        return this.executeCommand('changeWords', { before, after: updatedWords, removedIds }, label);
+    }
+
+    /**
+     * Стандартна нумерація: клітинки початку слів нумеруються в порядку читання
+     * (зверху вниз, зліва направо), а горизонтальне та вертикальне слово,
+     * що починаються в одній клітинці, отримують спільний номер
+     */
+    numberWords() {
+        const starts = new Map(); // "рядок:колонка" -> { row, col }
+
+        this.state.words.forEach(wordData => {
+            starts.set(`${wordData.startRow}:${wordData.startCol}`, { row: wordData.startRow, col: wordData.startCol });
+        });
+
+        const numbers = new Map();
+        Array.from(starts.entries())
+            .sort(([, a], [, b]) => a.row - b.row || a.col - b.col)
+            .forEach(([key], index) => numbers.set(key, index + 1));
+
+        this.state.words.forEach(wordData => {
+            wordData.number = numbers.get(`${wordData.startRow}:${wordData.startCol}`);
+        });
+    }
+
+    /**
+     * Слово в клітинці для перетягування: вибране слово або перше, що проходить через клітинку
+     * @returns {string|null} ID слова
+     */
+    getWordAtCell(row, col) {
+        const cell = this.state.grid[row]?.[col];
+        if (!cell || cell.wordIds.length === 0) return null;
+
+        return cell.wordIds.includes(this.state.selectedWord) ? this.state.selectedWord : cell.wordIds[0];
+    }
+
+    /**
+     * Перетягування слів мишею в редакторі
+     */
+    setupWordDragging() {
+        this.dragState = null;
+
+        this.elements.gridContainer?.addEventListener('pointerdown', (e) => this.startWordDrag(e));
+        document.addEventListener('pointermove', (e) => this.updateWordDrag(e));
+        document.addEventListener('pointerup', () => this.finishWordDrag());
+    }
+
+    startWordDrag(event) {
+        if (this.state.currentMode !== 'editor' || event.button !== 0 || this.isBlockPainting()) return;
+
+        const cellElement = event.target.closest('.grid-cell');
+        if (!cellElement) return;
+
+        const row = parseInt(cellElement.dataset.row);
+        const col = parseInt(cellElement.dataset.col);
+        const wordId = this.getWordAtCell(row, col);
+        if (!wordId) return;
+
+        this.state.selectedWord = wordId;
+        this.dragState = { wordId, origin: { row, col }, target: null };
+    }
+
+    updateWordDrag(event) {
+        if (!this.dragState) return;
+
+        const cellElement = document.elementFromPoint(event.clientX, event.clientY)?.closest('.grid-cell');
+        if (!cellElement || !this.elements.gridContainer.contains(cellElement)) return;
+
+        const target = { row: parseInt(cellElement.dataset.row), col: parseInt(cellElement.dataset.col) };
+        const { origin } = this.dragState;
+
+        // Перетягування починається лише після переходу на іншу клітинку
+        if (!this.dragState.target && target.row === origin.row && target.col === origin.col) return;
+
+        event.preventDefault();
+        this.dragState.target = target;
+        this.showWordDragPreview();
+    }
+
+    finishWordDrag() {
+        if (!this.dragState) return;
+
+        const { wordId, origin, target } = this.dragState;
+        this.dragState = null;
+        this.clearWordDragPreview();
+
+        if (!target) return;
+
+        const wordData = this.state.words.get(wordId);
+        if (wordData) {
+            this.moveWord(wordId, wordData.startRow + target.row - origin.row, wordData.startCol + target.col - origin.col);
+        }
+    }
+
+    /**
+     * Підсвічування клітинок нової позиції слова під час перетягування
+     */
+    showWordDragPreview() {
+        this.clearWordDragPreview();
+
+        const { wordId, origin, target } = this.dragState;
+        const wordData = this.state.words.get(wordId);
+        if (!wordData) return;
+
+        const startRow = wordData.startRow + target.row - origin.row;
+        const startCol = wordData.startCol + target.col - origin.col;
+        const isValid = this.checkWordMove(wordData, startRow, startCol, wordData.direction).canPlace;
+
+        this.elements.gridContainer.classList.add('dragging-word');
+
+        for (let i = 0; i < wordData.word.length; i++) {
+            const row = wordData.direction === 'vertical' ? startRow + i : startRow;
+            const col = wordData.direction === 'horizontal' ? startCol + i : startCol;
+            this.elements.gridContainer
+                .querySelector(`[data-row="${row}"][data-col="${col}"]`)
+                ?.classList.add(isValid ? 'preview' : 'preview-invalid');
+        }
+    }
+
+    clearWordDragPreview() {
+        this.elements.gridContainer.classList.remove('dragging-word');
+        this.elements.gridContainer.querySelectorAll('.preview, .preview-invalid').forEach(cell => {
+            cell.classList.remove('preview', 'preview-invalid');
+        });
+    }
+
+    /**
+     * Звіт валідації слова (WordValidator) у модальному вікні
+     * @param {string} wordId - ID слова
+     */
+    showWordReport(wordId) {
+        const wordData = this.state.words.get(wordId);
+        if (!wordData) return;
+
+        const existingWords = Array.from(this.state.words.values())
+            .filter(other => other.id !== wordId)
+            .map(other => other.word);
+        const result = window.WordValidator.validateWord(wordData.word, wordData.clue, {
+            existingWords,
+            theme: this.state.metadata.theme,
+            difficulty: this.state.metadata.difficulty
+        });
+        const structured = window.WordValidator.validateStructuredClue(wordData.word, this.getClueDetails(wordData));
+
+        const escape = window.CrosswordUtils.escapeHTML;
+        const list = (title, items, className) => items.length === 0 ? '' :
+            `<h4>${title}</h4><ul class="report-list ${className}">${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+
+        const html = `
+            <p class="report-summary">
+                ${result.isValid && structured.isValid ? 'Слово коректне' : 'Слово містить помилки'} · оцінка ${Math.round(result.score)}/100
+            </p>
+            <p class="report-clue">${this.formatClue(wordData)}</p>
+            ${list('Помилки', [...result.errors, ...structured.errors], 'errors')}
+            ${list('Попередження', [...result.warnings, ...structured.warnings], 'warnings')}
+            ${list('Рекомендації', result.suggestions, 'suggestions')}
+        `;
+
+        this.showReport(`Звіт: ${wordData.number}. ${wordData.word}`, html);
+    }
+
+    /**
+     * Показ звіту в модальному вікні
+     * @param {string} title - заголовок
+     * @param {string} html - вміст (вже екранований)
+     */
+    showReport(title, html) {
+        if (this.elements.reportTitle) this.elements.reportTitle.textContent = title;
+        if (this.elements.reportContent) this.elements.reportContent.innerHTML = html;
+        this.openModal(this.elements.reportModal);
+    }
+
+    /**
+     * Підготовка форми для нового слова, що починається в клітинці
+     */
+    startWordAt(row, col, direction) {
+        this.selectCell(row, col);
+        this.elements.directionInputs.forEach(input => {
+            input.checked = input.value === direction;
+        });
+        this.elements.wordInput?.focus();
+    }
+
+    /**
+     * Редагування підказки слова: текст, нумерація, тип і криптичний розбір
+     * @param {string} wordId - ID слова
+     */
+    editClue(wordId) {
+        const wordData = this.state.words.get(wordId);
+        const modal = this.elements.clueModal;
+        if (!wordData || !modal) return;
+
+        const parse = wordData.clueParse || {};
+        modal.dataset.wordId = wordId;
+        if (this.elements.clueModalTitle) {
+            this.elements.clueModalTitle.textContent = `Підказка: ${wordData.number}. ${wordData.word}`;
+        }
+        this.elements.clueText.value = wordData.clue;
+        this.elements.clueEnumeration.value = wordData.enumeration || '';
+        this.elements.clueEnumeration.placeholder = String(wordData.word.length);
+        this.elements.clueType.value = wordData.clueType || window.WordValidator.suggestClueType(wordData.clue);
+        this.elements.clueDefinition.value = parse.definition || '';
+        this.elements.clueIndicator.value = parse.indicator || '';
+        this.elements.clueFodder.value = parse.fodder || '';
+
+        this.updateClueCheck();
+        this.openModal(modal);
+    }
+
+    /**
+     * Структурована підказка слова (лише задані поля)
+     * @returns {Object} { clue, enumeration?, clueType?, clueParse? }
+     */
+    getClueDetails(wordData) {
+        const details = { clue: wordData.clue };
+        ['enumeration', 'clueType', 'clueParse'].forEach(field => {
+            if (wordData[field] !== undefined) details[field] = wordData[field];
+        });
+        return details;
+    }
+
+    /**
+     * Структурована підказка з полів вікна редагування; розбір - лише для криптичних типів
+     */
+    readClueForm() {
+        const enumerationText = this.elements.clueEnumeration.value.trim();
+        const enumeration = window.WordValidator.parseEnumeration(enumerationText);
+        const clueType = this.elements.clueType.value;
+        const details = { clue: this.elements.clueText.value.trim(), clueType };
+
+        if (enumerationText) details.enumeration = enumeration ? enumeration.text : enumerationText;
+
+        if (window.WordValidator.rules.crypticClueTypes.includes(clueType)) {
+            const parse = {};
+            [['definition', this.elements.clueDefinition], ['indicator', this.elements.clueIndicator],
+                ['fodder', this.elements.clueFodder]].forEach(([field, input]) => {
+                if (input.value.trim()) parse[field] = input.value.trim();
+            });
+            if (Object.keys(parse).length > 0) details.clueParse = parse;
+        }
+
+        return details;
+    }
+
+    /**
+     * Перевірка підказки у вікні редагування (WordValidator.validateStructuredClue)
+     */
+    updateClueCheck() {
+        const wordData = this.state.words.get(this.elements.clueModal?.dataset.wordId);
+        if (!wordData) return;
+
+        const details = this.readClueForm();
+        const isCryptic = window.WordValidator.rules.crypticClueTypes.includes(details.clueType);
+        if (this.elements.clueParse) this.elements.clueParse.style.display = isCryptic ? '' : 'none';
+        if (!this.elements.clueCheck) return;
+
+        const result = window.WordValidator.validateStructuredClue(wordData.word, details);
+        const escape = window.CrosswordUtils.escapeHTML;
+        const list = (items, className) => items.length === 0 ? '' :
+            `<ul class="report-list ${className}">${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+
+        this.elements.clueCheck.innerHTML = result.errors.length + result.warnings.length === 0
+            ? `<p class="clue-check-ok">${details.clueParse ? 'Розбір відповідає відповіді' : 'Помилок не знайдено'}</p>`
+            : list(result.errors, 'errors') + list(result.warnings, 'warnings');
+    }
+
+    /**
+     * Збереження підказки з вікна редагування як команди історії
+     */
+    saveClue() {
+        const wordData = this.state.words.get(this.elements.clueModal?.dataset.wordId);
+        if (!wordData) return;
+
+        const after = this.readClueForm();
+        if (!after.clue) {
+            this.showNotification('Підказка не може бути порожньою', 'error');
+            return;
+        }
+
+        const result = window.WordValidator.validateStructuredClue(wordData.word, after);
+        if (!result.isValid) {
+            this.showNotification(result.errors[0], 'error');
+            return;
+        }
+
+        const before = this.getClueDetails(wordData);
+        this.closeModal();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.executeCommand('editClue', { wordId: wordData.id, before, after },
+            `Змінено підказку до "${wordData.word}"`);
+    }
+
+    /**
+     * Текст підказки з нумерацією відповіді, наприклад "Столиця України (4)"
+     * @returns {string} HTML
+     */
+    formatClue(wordData) {
+        const clue = window.CrosswordUtils.escapeHTML(wordData.clue);
+        return wordData.enumeration ? `${clue} <span class="clue-enumeration">(${wordData.enumeration})</span>` : clue;
+    }
+
+    /**
+     * Блокування / розблокування клітинки
+     * Слова, що проходять через клітинку, видаляються разом з блокуванням
+     */
+    toggleCellBlock(row, col) {
+        const cell = this.state.grid[row]?.[col];
+        if (!cell) return;
+
+        const position = `(${row + 1}, ${col + 1})`;
+
+        if (cell.metadata.clues) {
+            this.showNotification('Клітинку з підказками сканворду не можна розблокувати', 'warning');
+            return;
+        }
+
+        if (cell.blocked) {
+            this.executeCommand('unblockCell', { row, col }, `Розблоковано клітинку ${position}`);
+            return;
+        }
+
+        const removedWords = [...new Set(cell.wordIds)]
+            .map(id => this.state.words.get(id))
+            .filter(Boolean);
+
+        if (removedWords.length > 0 &&
+            !confirm(`Клітинка входить у слова: ${removedWords.map(w => w.word).join(', ')}. Видалити їх?`)) {
+            return;
+        }
+
+        this.executeCommand('blockCell', { row, col, removedWords }, `Заблоковано клітинку ${position}`);
+    }
+
+    /**
+     * Ключові клітинки (обведені, з порядковим номером) за порядком літер ключового слова
+     * @returns {Array} { row, col, index, cell }
+     */
+    getKeyCells() {
+        const keyCells = [];
+        this.state.grid.forEach((rowCells, row) => rowCells.forEach((cell, col) => {
+            if (cell.metadata?.keyIndex) keyCells.push({ row, col, index: cell.metadata.keyIndex, cell });
+        }));
+
+        return keyCells.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Позначення клітинки ключовою (наступний номер) або зняття позначки з перенумерацією решти
+     */
+    toggleKeyCell(row, col) {
+        const cell = this.state.grid[row]?.[col];
+        if (!cell || cell.blocked) return;
+
+        const keyCells = this.getKeyCells();
+        const removedIndex = cell.metadata.keyIndex;
+        const changes = [];
+        const change = (target, after) => changes.push({
+            row: target.row,
+            col: target.col,
+            before: { ...target.cell.metadata },
+            after
+        });
+
+        if (removedIndex) {
+            const { circled, keyIndex, ...rest } = cell.metadata;
+            change({ row, col, cell }, rest);
+            keyCells
+                .filter(item => item.index > removedIndex)
+                .forEach(item => change(item, { ...item.cell.metadata, keyIndex: item.index - 1 }));
+        } else {
+            const next = keyCells.length > 0 ? keyCells[keyCells.length - 1].index + 1 : 1;
+            change({ row, col, cell }, { ...cell.metadata, circled: true, keyIndex: next });
+        }
+
+        const label = removedIndex
+            ? `Знято ключову клітинку ${removedIndex}`
+            : `Ключова клітинка ${changes[0].after.keyIndex}`;
+        this.executeCommand('setCellMetadata', { cells: changes }, label);
+    }
+
+    /**
+     * Ключове слово з обведених клітинок у редакторі
+     */
+    updateKeyWordStatus() {
+        const status = this.elements.keyWordStatus;
+        if (!status) return;
+
+        const keyCells = this.getKeyCells();
+        status.textContent = keyCells.length > 0
+            ? `Ключове слово: ${keyCells.map(({ cell }) => cell.gameValue || cell.letter || '_').join('')}`
+            : '';
+    }
+
+    /**
+     * Чи увімкнено малювання чорних клітинок кліком
+     */
+    isBlockPainting() {
+        return this.state.currentMode === 'editor' && Boolean(this.elements.blockPaint?.checked);
+    }
+
+    /**
+     * Малювання чорної клітинки з дзеркальними копіями за вибраною симетрією
+     */
+    paintBlock(row, col) {
+        const cell = this.state.grid[row]?.[col];
+        if (!cell || cell.metadata.clues) return;
+
+        const blocked = !cell.blocked;
+        const symmetry = this.elements.blockSymmetry?.value || 'none';
+        // Клітинки з підказками сканворду залишаються заблокованими (див. toggleCellBlock)
+        const cells = window.GridHelper.getSymmetricCells(this.state.grid, row, col, symmetry)
+            .filter(position => {
+                const target = this.state.grid[position.row][position.col];
+                return target.blocked !== blocked && !target.metadata.clues;
+            });
+
+        const removedIds = blocked
+            ? new Set(cells.flatMap(position => this.state.grid[position.row][position.col].wordIds))
+            : new Set();
+        const removedWords = [...removedIds].map(id => this.state.words.get(id)).filter(Boolean);
+
+        if (removedWords.length > 0 &&
+            !confirm(`Клітинки входять у слова: ${removedWords.map(w => w.word).join(', ')}. Видалити їх?`)) {
+            return;
+        }
+
+        const label = `${blocked ? 'Заблоковано' : 'Розблоковано'} клітинки: ` +
+            cells.map(position => `(${position.row + 1}, ${position.col + 1})`).join(', ');
+        this.executeCommand('paintBlocks', { cells, blocked, removedWords }, label);
+    }
+
+    /**
+     * Перевірка візерунка чорних клітинок з підсвічуванням проблемних клітинок
+     */
+    showBlockPatternIssues() {
+        const validation = window.GridValidator.validateBlockPattern(this.state.grid);
+        const { uncheckedCells, shortSlots, regions, symmetry } = validation.details;
+
+        const mark = (cells, className) => cells.forEach(({ row, col }) => {
+            this.elements.gridContainer
+                .querySelector(`[data-row="${row}"][data-col="${col}"]`)
+                ?.classList.add(className);
+        });
+
+        mark(uncheckedCells, 'unchecked');
+        shortSlots.forEach(slot => mark(slot.cells, 'short-slot'));
+
+        // Усі області, крім найбільшої, вважаються відокремленими
+        regions
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .slice(1)
+            .forEach(region => mark(region, 'detached'));
+
+        if (!this.elements.blockReport) return;
+
+        const percent = value => `${Math.round(value * 100)}%`;
+        const issues = [...validation.errors, ...validation.warnings];
+        this.elements.blockReport.innerHTML =
+            `<p class="layout-summary">Симетрія: поворот ${percent(symmetry.rotational)}, ` +
+            `верх-низ ${percent(symmetry.horizontal)}, ліво-право ${percent(symmetry.vertical)}` +
+            `${this.state.gridSize.width === this.state.gridSize.height ? `, діагональ ${percent(symmetry.diagonal)}` : ''}</p>` +
+            (issues.length > 0
+                ? `<ul class="layout-list skipped">${issues.map(issue => `<li>${window.CrosswordUtils.escapeHTML(issue)}</li>`).join('')}</ul>`
+                : '<p class="layout-summary">Візерунок коректний</p>');
+    }
+
+    /**
+     * Закріплення або відкріплення слова для автозаповнення
+     * (слова без позначки вважаються закріпленими - їх додано вручну)
+     * @param {string} wordId - ID слова
+     */
+    toggleWordLock(wordId) {
+        const wordData = this.state.words.get(wordId);
+        if (!wordData) return;
+
+        const locked = wordData.locked === false;
+        this.changeWords([], [{ ...wordData, locked }],
+            `${locked ? 'Закріплено' : 'Відкріплено'} слово "${wordData.word}"`);
+    }
+
+    /**
+     * Автозаповнення всіх слотів сітки словами зі словника.
+     * Закріплені слова залишаються, незакріплені замінюються
+     */
+    async autofillGrid() {
+        if (!this.state.isGridGenerated) {
+            this.showNotification('Спочатку створіть сітку', 'error');
+            return;
+        }
+        if (this.state.currentMode !== 'editor') return;
+        if (window.DictionaryHelper.getSize() === 0) {
+            this.showNotification('Словник порожній - додайте список слів', 'error');
+            return;
+        }
+
+        const { width, height } = this.state.gridSize;
+        const locked = Array.from(this.state.words.values()).filter(wordData => wordData.locked !== false);
+
+        // Робоча сітка: лише чорні клітинки та закріплені слова
+        const grid = window.GridHelper.createEmptyGrid(width, height);
+        this.state.grid.forEach((rowCells, row) => rowCells.forEach((cell, col) => {
+            if (cell.blocked) grid[row][col].blocked = true;
+        }));
+        locked.forEach(wordData => window.GridHelper.registerWord(grid, wordData));
+
+        // Пошук повертає керування браузеру між частинами сітки: поки він триває,
+        // повторний запуск заблоковано, а зміни сітки скасовують результат
+        const started = JSON.stringify(this.createSnapshot());
+        if (this.elements.autofillGrid) this.elements.autofillGrid.disabled = true;
+
+        let result;
+        try {
+            result = await window.AutofillHelper.fill(grid, { locked });
+        } finally {
+            if (this.elements.autofillGrid) this.elements.autofillGrid.disabled = false;
+        }
+
+        if (JSON.stringify(this.createSnapshot()) !== started || this.state.currentMode !== 'editor') {
+            this.showNotification('Сітку змінено під час автозаповнення - запустіть його ще раз', 'warning');
+            return;
+        }
+
+        this.renderAutofillReport(result);
+
+        if (!result.success) {
+            this.highlightUnfillable(result.unfillable);
+            this.showNotification('Сітку не вдалося заповнити - див. звіт автозаповнення', 'error');
+            return;
+        }
+
+        const before = this.createSnapshot();
+
+        this.state.words = new Map(locked.map(wordData => [wordData.id, wordData]));
+        result.fills.forEach(({ slot, word }) => {
+            const wordData = {
+                id: this.generateWordId(),
+                word,
+                clue: window.DictionaryHelper.getEntry(word)?.clue || '',
+                direction: slot.direction,
+                startRow: slot.startRow,
+                startCol: slot.startCol,
+                number: null,
+                locked: false
+            };
+            this.state.words.set(wordData.id, wordData);
+        });
+
+        this.rebuildGrid();
+        this.state.hasUnsavedChanges = true;
+        this.renderGrid();
+        this.updateCluesPanel();
+        this.recordBulkChange(before, `Автозаповнення (${result.fills.length} слів)`);
+
+        this.showNotification(`Сітку заповнено: ${result.fills.length} слів`, 'success');
+    }
+
+    /**
+     * Видалення незакріплених (автозаповнених) слів
+     */
+    clearAutofill() {
+        const unlocked = Array.from(this.state.words.values()).filter(wordData => wordData.locked === false);
+        if (unlocked.length === 0) {
+            this.showNotification('Незакріплених слів немає', 'info');
+            return;
+        }
+
+        this.changeWords(unlocked.map(wordData => wordData.id), [], `Прибрано незакріплені слова (${unlocked.length})`);
+    }
+
+    /**
+     * Звіт автозаповнення: статистика та незаповнювані частини сітки
+     * @param {Object} result - результат AutofillHelper.fill
+     */
+    renderAutofillReport(result) {
+        const container = this.elements.autofillReport;
+        if (!container) return;
+
+        const describe = slot => `${slot.direction === 'horizontal' ? '→' : '↓'} (${slot.startRow + 1}, ${slot.startCol + 1}), ${slot.length} літ.`;
+        let html = `<p class="layout-summary">Слотів: ${result.stats.slots}, спроб: ${result.stats.steps}, ` +
+            `час: ${result.stats.time} мс</p>`;
+
+        if (result.unfillable.length > 0) {
+            html += '<ul class="layout-list skipped">' + result.unfillable.map(region => {
+                const hardest = region.hardest.length > 0
+                    ? `; найважчі: ${region.hardest.map(describe).join(', ')}`
+                    : '';
+                return `<li>${region.slots.length === 1 ? describe(region.slots[0]) : `Частина з ${region.slots.length} слотів`}: ` +
+                    `${window.CrosswordUtils.escapeHTML(region.reason)}${hardest}</li>`;
+            }).join('') + '</ul>';
+        }
+
+        container.innerHTML = html;
+    }
+
+    highlightUnfillable(regions) {
+        regions.forEach(region => region.cells.forEach(({ row, col }) => {
+            this.elements.gridContainer
+                .querySelector(`[data-row="${row}"][data-col="${col}"]`)
+                ?.classList.add('unfillable');
+        }));
+    }
+
+    /**
+     * Зміна розміру існуючої сітки зі збереженням слів, що в неї вміщуються
+     */
+    resizeGrid() {
+        const width = parseInt(this.elements.gridWidth.value);
+        const height = parseInt(this.elements.gridHeight.value);
+
+        if (!this.validateGridSize(width, height)) {
+            this.showNotification('Некоректний розмір сітки', 'error');
+            return;
+        }
+
+        if (!this.state.isGridGenerated) {
+            this.generateGrid();
+            return;
+        }
+
+        const before = { ...this.state.gridSize };
+        if (before.width === width && before.height === height) return;
+
+        const fits = wordData => {
+            const length = wordData.word.length - 1;
+            const endRow = wordData.direction === 'vertical' ? wordData.startRow + length : wordData.startRow;
+            const endCol = wordData.direction === 'horizontal' ? wordData.startCol + length : wordData.startCol;
+            return endRow < height && endCol < width;
+        };
+
+        const removedWords = Array.from(this.state.words.values()).filter(wordData => !fits(wordData));
+        const removedCells = window.DocumentHelper.collectCells(this.state.grid)
+            .filter(cell => cell.row >= height || cell.col >= width);
+
+        if (removedWords.length > 0 &&
+            !confirm(`Слова не вмістяться в сітку ${width}×${height}: ${removedWords.map(w => w.word).join(', ')}. Продовжити?`)) {
+            this.updateGridSizeInputs();
+            return;
+        }
+
+        const label = `Розмір ${before.width}×${before.height} → ${width}×${height}`;
+        if (this.executeCommand('resizeGrid', { before, after: { width, height }, removedWords, removedCells }, label)) {
+            this.showNotification(`Розмір сітки змінено на ${width}×${height}`, 'success');
+        }
+    }
+
+    /**
+     * Реєстрація команд історії змін.
+     * Обробники змінюють лише слова, розмір та клітинки, після чого сітка перебудовується
+     */
+    registerHistoryCommands() {
+        const history = window.HistoryHelper;
+        const setWords = words => words.forEach(wordData => this.state.words.set(wordData.id, wordData));
+        const deleteWords = words => words.forEach(wordData => this.state.words.delete(wordData.id));
+
+        history.registerCommand('addWord', {
+            apply: ({ wordData }) => {
+                setWords([wordData]);
+                this.rebuildGrid();
+            },
+            revert: ({ wordData }) => {
+                deleteWords([wordData]);
+                this.rebuildGrid();
+            }
+        });
+
+        // Видалення, переміщення та поворот слів разом з перенумерацією (див. changeWords)
+        history.registerCommand('changeWords', {
+            apply: ({ removedIds, after }) => {
+                removedIds.forEach(id => this.state.words.delete(id));
+                setWords(after);
+                this.rebuildGrid();
+            },
+            revert: ({ before, after }) => {
+                deleteWords(after);
+                setWords(before);
+                this.rebuildGrid();
+            }
+        });
+
+        // before/after - структурована підказка (див. getClueDetails)
+        const setClue = (wordId, details) => {
+            const wordData = this.state.words.get(wordId);
+            if (!wordData) return;
+
+            wordData.clue = details.clue;
+            ['enumeration', 'clueType', 'clueParse'].forEach(field => {
+                if (details[field] === undefined) delete wordData[field];
+                else wordData[field] = details[field];
+            });
+
+            // Клітинки-підказки сканворду зберігають текст підказки - оновити його
+            this.updateClueCells();
+        };
+
+        history.registerCommand('editClue', {
+            apply: ({ wordId, after }) => setClue(wordId, after),
+            revert: ({ wordId, before }) => setClue(wordId, before)
+        });
+
+        history.registerCommand('blockCell', {
+            apply: ({ row, col, removedWords }) => {
+                deleteWords(removedWords);
+                this.rebuildGrid();
+                window.GridHelper.blockCell(this.state.grid, row, col);
+            },
+            revert: ({ row, col, removedWords }) => {
+                window.GridHelper.unblockCell(this.state.grid, row, col);
+                setWords(removedWords);
+                this.rebuildGrid();
+            }
+        });
+
+        // Малювання блоків із симетрією: кілька клітинок однією дією
+        history.registerCommand('paintBlocks', {
+            apply: ({ cells, blocked, removedWords }) => {
+                deleteWords(removedWords);
+                cells.forEach(({ row, col }) => {
+                    if (blocked) window.GridHelper.blockCell(this.state.grid, row, col);
+                    else window.GridHelper.unblockCell(this.state.grid, row, col);
+                });
+                this.rebuildGrid();
+            },
+            revert: ({ cells, blocked, removedWords }) => {
+                cells.forEach(({ row, col }) => {
+                    if (blocked) window.GridHelper.unblockCell(this.state.grid, row, col);
+                    else window.GridHelper.blockCell(this.state.grid, row, col);
+                });
+                setWords(removedWords);
+                this.rebuildGrid();
+            }
+        });
+
+        // Метадані клітинок (ключові клітинки тощо): cells = [{ row, col, before, after }]
+        history.registerCommand('setCellMetadata', {
+            apply: ({ cells }) => cells.forEach(({ row, col, after }) => {
+                this.state.grid[row][col].metadata = { ...after };
+            }),
+            revert: ({ cells }) => cells.forEach(({ row, col, before }) => {
+                this.state.grid[row][col].metadata = { ...before };
+            })
+        });
+
+        history.registerCommand('unblockCell', {
+            apply: ({ row, col }) => window.GridHelper.unblockCell(this.state.grid, row, col),
+            revert: ({ row, col }) => window.GridHelper.blockCell(this.state.grid, row, col)
+        });
+
+        history.registerCommand('resizeGrid', {
+            apply: ({ after, removedWords }) => {
+                deleteWords(removedWords);
+                this.state.gridSize = { ...after };
+                this.rebuildGrid();
+            },
+            revert: ({ before, removedWords, removedCells }) => {
+                this.state.gridSize = { ...before };
+                setWords(removedWords);
+                this.rebuildGrid(removedCells);
+            }
+        });
+
+        // Масові операції: нова сітка, генерація, імпорт, новий кросворд, автозаповнення, зміна типу головоломки
+        history.registerCommand('replaceCrossword', {
+            apply: ({ after }) => this.restoreSnapshot(after),
+            revert: ({ before }) => this.restoreSnapshot(before)
+        });
+
+        history.onChange(() => this.renderHistory());
+    }
+
+    /**
+     * Виконання команди редактора через історію змін
+     * @returns {boolean} чи виконано команду
+     */
+    executeCommand(type, payload, label) {
+        if (this.state.currentMode !== 'editor') {
+            this.showNotification('Зміни доступні лише в режимі редактора', 'warning');
+            return false;
+        }
+
+        try {
+            window.HistoryHelper.execute(type, payload, label);
+        } catch (error) {
+            this.showNotification(`Помилка: ${error.message}`, 'error');
+            console.error('Command error:', error);
+            return false;
+        }
+
+        this.refreshAfterHistoryChange();
+        return true;
+    }
+
+    /**
+     * Запис масової зміни, яку вже застосовано до стану
+     * @param {Object} before - знімок стану до зміни (createSnapshot)
+     * @param {string} label - підпис для історії
+     */
+    recordBulkChange(before, label) {
+        window.HistoryHelper.record('replaceCrossword', { before, after: this.createSnapshot() }, label);
+        this.updateUI();
+    }
+
+    undo() {
+        if (this.state.currentMode !== 'editor') return;
+
+        let entry;
+        try {
+            entry = window.HistoryHelper.undo();
+        } catch (error) {
+            this.showNotification(`Помилка: ${error.message}`, 'error');
+            console.error('History error:', error);
+            return;
+        }
+
+        if (entry) {
+            this.refreshAfterHistoryChange();
+            this.showNotification(`Скасовано: ${entry.label}`, 'info');
+        }
+    }
+
+    redo() {
+        if (this.state.currentMode !== 'editor') return;
+
+        let entry;
+        try {
+            entry = window.HistoryHelper.redo();
+        } catch (error) {
+            this.showNotification(`Помилка: ${error.message}`, 'error');
+            console.error('History error:', error);
+            return;
+        }
+
+        if (entry) {
+            this.refreshAfterHistoryChange();
+            this.showNotification(`Повторено: ${entry.label}`, 'info');
+        }
+    }
+
+    /**
+     * Перехід до вибраного запису історії
+     * @param {number} position - кількість застосованих команд
+     */
+    goToHistory(position) {
+        if (this.state.currentMode !== 'editor') return;
+
+        try {
+            window.HistoryHelper.goTo(position);
+        } catch (error) {
+            // Кроки до помилки вже застосовано, тому інтерфейс оновлюється в будь-якому разі
+            this.showNotification(`Помилка: ${error.message}`, 'error');
+            console.error('History error:', error);
+        }
+
+        this.refreshAfterHistoryChange();
+    }
+
+    refreshAfterHistoryChange() {
+        const { width, height } = this.state.gridSize;
+        const selected = this.state.selectedCell;
+        if (selected && (selected.row >= height || selected.col >= width)) {
+            this.state.selectedCell = null;
+        }
+
+        this.state.hasUnsavedChanges = true;
+
+        this.updateGridSizeInputs();
+        if (this.state.isGridGenerated) {
+            this.renderGrid();
+        } else {
+            this.elements.gridContainer.innerHTML = '';
+        }
+        this.updateCluesPanel();
+        this.updateUI();
+    }
+
+    /**
+     * Відображення списку історії змін
+     */
+    renderHistory() {
+        if (!this.elements.historyList) return;
+
+        const { entries, position } = window.HistoryHelper.getEntries();
+        const escape = window.CrosswordUtils.escapeHTML;
+        const item = (index, label, className) =>
+            `<li class="history-item ${className}${index === position ? ' current' : ''}" data-position="${index}">${escape(label)}</li>`;
+
+        this.elements.historyList.innerHTML = [
+            item(0, 'Початковий стан', ''),
+            ...entries.map((entry, index) => item(index + 1, entry.label, entry.applied ? 'applied' : 'undone'))
+        ].join('');
+
+        this.elements.historyList.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+        this.updateUI();
+    }
+
+    /**
+     * Знімок кросворду для масових операцій історії
+     */
+    createSnapshot() {
+        return {
+            gridSize: { ...this.state.gridSize },
+            isGridGenerated: this.state.isGridGenerated,
+            words: Array.from(this.state.words.values()),
+            cells: window.DocumentHelper.collectCells(this.state.grid),
+            metadata: { ...this.state.metadata }
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.state.gridSize = { ...snapshot.gridSize };
+        this.state.isGridGenerated = snapshot.isGridGenerated;
+        this.state.words = new Map(snapshot.words.map(wordData => [wordData.id, wordData]));
+        this.state.metadata = { ...this.createDefaultMetadata(), ...snapshot.metadata };
+        this.state.grid = [];
+
+        if (snapshot.isGridGenerated) {
+            this.rebuildGrid(snapshot.cells);
+        }
+    }
+
+    /**
+     * Перебудова сітки зі слів (блоки та метадані клітинок зберігаються)
+     * @param {Array} cells - клітинки {row, col, blocked, metadata}, що замінюють поточні
+     */
+    rebuildGrid(cells = []) {
+        const { width, height } = this.state.gridSize;
+        const previous = this.state.grid;
+        this.state.grid = this.createEmptyGrid(width, height);
+
+        const copyCell = (row, col, source) => {
+            const cell = this.state.grid[row]?.[col];
+            if (!cell) return;
+            cell.blocked = Boolean(source.blocked);
+            cell.metadata = { ...source.metadata };
+        };
+
+        previous.forEach((rowCells, row) => rowCells.forEach((cell, col) => copyCell(row, col, cell)));
+        cells.forEach(item => copyCell(item.row, item.col, item));
+
+        this.numberWords();
+        this.state.words.forEach(wordData => this.placeWordOnGrid(wordData));
+        this.updateClueCells();
+
+        if (this.isCodeword()) {
+            this.state.metadata.codeword = window.CodewordHelper.updateCipher(this.state.metadata.codeword, this.state.grid);
+        }
+    }
+
+    isScanword() {
+        return this.state.metadata.puzzleType === 'scanword';
+    }
+
+    /**
+     * Розстановка клітинок-підказок сканворду за поточними словами
+     * (для звичайного кросворду - прибирання підказок із сітки)
+     * @returns {Array} слова, для яких не знайшлося клітинки-підказки
+     */
+    updateClueCells() {
+        const words = this.isScanword() ? Array.from(this.state.words.values()) : [];
+        return window.GridHelper.assignClueCells(this.state.grid, words);
+    }
+
+    /**
+     * Завантаження словника (data/words.json та збережені списки користувача)
+     */
+    async loadDictionary() {
+        try {
+            await window.DictionaryHelper.load();
+        } catch (error) {
+            console.error('Dictionary error:', error);
+            this.showNotification(`Словник не завантажено: ${error.message}`, 'warning');
+        }
+
+        this.updateDictionaryStatus();
+    }
+
+    updateDictionaryStatus() {
+        if (!this.elements.dictionaryStatus) return;
+
+        const size = window.DictionaryHelper.getSize();
+        this.elements.dictionaryStatus.textContent = size > 0
+            ? `У словнику ${size} слів`
+            : 'Словник порожній - додайте свій список слів';
+    }
+
+    /**
+     * Пошук у словнику за шаблоном з поля вводу
+     */
+    searchDictionary() {
+        const pattern = this.elements.dictionaryPattern?.value.trim() || '';
+        if (!pattern) {
+            this.showNotification('Введіть шаблон, наприклад К?Т??', 'error');
+            return;
+        }
+
+        const results = window.DictionaryHelper.search(pattern, { exclude: this.getPlacedWords() });
+        this.renderDictionaryResults(results);
+    }
+
+    /**
+     * Підбір слів для слота від вибраної клітинки у вибраному напрямку
+     * (до краю сітки або заблокованої клітинки, з урахуванням наявних літер)
+     */
+    suggestFillersForSlot() {
+        if (!this.state.selectedCell) {
+            this.showNotification('Виберіть початкову клітинку', 'error');
+            return;
+        }
+
+        const direction = document.querySelector('input[name="direction"]:checked')?.value || 'horizontal';
+        const slot = this.getSlotPattern(this.state.selectedCell.row, this.state.selectedCell.col, direction);
+        if (slot.length < 2) {
+            this.showNotification('У цьому напрямку недостатньо місця для слова', 'error');
+            return;
+        }
+
+        if (this.elements.dictionaryPattern) this.elements.dictionaryPattern.value = slot;
+
+        const results = window.DictionaryHelper.suggestFillers(slot, { exclude: this.getPlacedWords() });
+        this.renderDictionaryResults(results);
+    }
+
+    /**
+     * Шаблон слота: літери сітки та "?" для порожніх клітинок
+     * @returns {string} шаблон
+     */
+    getSlotPattern(row, col, direction) {
+        const { width, height } = this.state.gridSize;
+        let pattern = '';
+
+        while (row < height && col < width && !this.state.grid[row][col].blocked) {
+            pattern += this.state.grid[row][col].letter || '?';
+            if (direction === 'vertical') row++;
+            else col++;
+        }
+
+        return pattern;
+    }
+
+    getPlacedWords() {
+        return Array.from(this.state.words.values(), wordData => wordData.word);
+    }
+
+    renderDictionaryResults(results) {
+        const container = this.elements.dictionaryResults;
+        if (!container) return;
+
+        if (results.length === 0) {
+            container.innerHTML = '<li class="dictionary-empty">Нічого не знайдено</li>';
+            return;
+        }
+
+        const escape = window.CrosswordUtils.escapeHTML;
+        container.innerHTML = results.map(result => `
+            <li data-word="${escape(result.word)}" data-clue="${escape(result.clue)}" title="${escape(result.clue)}">
+                <span class="dictionary-word">${escape(result.word)}</span>
+                <span class="dictionary-score">${result.score}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Вибране зі словника слово переноситься у форму додавання слова
+     */
+    useDictionaryWord(word, clue = '') {
+        if (this.elements.wordInput) this.elements.wordInput.value = word;
+        if (this.elements.clueInput && clue && !this.elements.clueInput.value.trim()) {
+            this.elements.clueInput.value = clue;
+        }
+
+        (clue ? this.elements.wordInput : this.elements.clueInput)?.focus();
+    }
+
+    /**
+     * Додавання списку слів користувача (.txt, .csv або .json)
+     * @param {File} file - файл
+     */
+    async importDictionaryFile(file) {
+        try {
+            await window.DictionaryHelper.load().catch(() => null);
+            const count = window.DictionaryHelper.importUserList(await file.text(), file.name);
+            this.showNotification(`До словника додано ${count} слів`, 'success');
+        } catch (error) {
+            this.showNotification(`Помилка читання списку: ${error.message}`, 'error');
+            console.error('Dictionary import error:', error);
+        }
+
+        this.updateDictionaryStatus();
+    }
+
+    clearUserDictionary() {
+        if (!confirm('Видалити всі слова, додані зі своїх списків?')) return;
+
+        window.DictionaryHelper.clearUserWords();
+        this.updateDictionaryStatus();
+        this.showNotification('Слова користувача видалено зі словника', 'info');
+    }
+
+    /**
+     * Оновлення панелі підказок
+     */
+    updateCluesPanel() {
+        const horizontalWords = [];
+        const verticalWords = [];
+        
+        this.state.words.forEach(wordData => {
+            if (wordData.direction === 'horizontal') {
+                horizontalWords.push(wordData);
+            } else {
+                verticalWords.push(wordData);
+            }
+        });
+        
+        // Сортування за стандартними номерами (див. numberWords)
+        horizontalWords.sort((a, b) => a.number - b.number);
+        verticalWords.sort((a, b) => a.number - b.number);
+        
+        this.renderClues(this.elements.horizontalClues, horizontalWords);
+        this.renderClues(this.elements.verticalClues, verticalWords);
+
+        this.highlightActiveWord();
+        this.updateSolvedClues();
+    }
+
+    /**
+     * Рендеринг списку підказок
+     */
+    renderClues(container, words) {
+        if (!container) return;
+        
+        const isEditor = this.state.currentMode === 'editor';
+        const actions = wordData => {
+            if (!isEditor) return '';
+
+            const locked = wordData.locked !== false;
+            return `<span class="clue-actions">
+                    <button class="clue-action ${locked ? 'active' : ''}" data-action="toggle-lock" title="${locked ? 'Відкріпити слово' : 'Закріпити слово'}">🔒</button>
+                    <button class="clue-action" data-action="edit-clue" title="Редагувати підказку">✎</button>
+                    <button class="clue-action" data-action="remove-word" title="Видалити слово">×</button>
+                </span>`;
+        };
+
+        const typeLabels = window.CrosswordConstants.CLUE_TYPE_LABELS;
+        const typeTag = wordData => isEditor && wordData.clueType
+            ? `<span class="clue-type-tag type-${wordData.clueType}">${typeLabels[wordData.clueType] || wordData.clueType}</span>`
+            : '';
+
+        const html = words.map(wordData => 
+            `<li class="clue-item" data-word-id="${window.CrosswordUtils.escapeHTML(wordData.id)}">
+                ${actions(wordData)}
+                <span class="clue-number">${wordData.number}.</span>
+                ${wordData.clue ? this.formatClue(wordData) : (isEditor ? `<span class="clue-missing">${window.CrosswordUtils.escapeHTML(wordData.word)} - без підказки</span>` : '')}
+                ${typeTag(wordData)}
+            </li>`
+        ).join('');
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * Перемикання в режим гри
+     */
+    async switchToGameMode() {
+        if (this.state.words.size === 0) {
+            this.showNotification('Додайте слова перед початком гри', 'error');
+            return;
+        }
+
+        const puzzleId = this.getPuzzleId();
+        const solve = await this.findSolveToResume(puzzleId, window.GameHelper.getFingerprint(this.getCrosswordData()));
+
+        this.state.currentMode = 'game';
+        this.state.selectedWord = null;
+        this.clearGridLetters();
+        if (solve) {
+            window.GameHelper.applySolveState(this.state.grid, solve);
+            this.renderGrid();
+        }
+        this.updateCluesPanel();
+        this.elements.gameMode.style.display = 'block';
+        this.elements.gridContainer.classList.add('game-mode');
+        this.elements.workspace?.classList.toggle('codeword', this.isCodeword());
+        this.renderCodewordKey();
+        this.renderKeyWordBox();
+
+        this.startGameSession(puzzleId, solve);
+        
+        this.updateGameStats();
+        this.showNotification(solve ? 'Розв\'язок продовжено' : 'Режим гри активовано', 'info');
+    }
+
+    /**
+     * Новий сеанс гри (або продовження збереженого розв'язку) з таймером
+     * @param {string} puzzleId - ідентифікатор кросворду
+     * @param {Object|null} solve - стан розв'язку для продовження
+     */
+    startGameSession(puzzleId, solve = null) {
+        const cells = this.state.grid.flat().filter(cell => cell.wordIds.length > 0).length;
+        const fingerprint = window.GameHelper.getFingerprint(this.getCrosswordData());
+        window.GameHelper.startSession(puzzleId, { cells, fingerprint, solve });
+
+        clearInterval(this.state.gameTimerId);
+        this.state.gameTimerId = setInterval(() => this.updateGameTimer(), 1000);
+        this.updateGameTimer();
+    }
+
+    /**
+     * Останній незавершений розв'язок кросворду, якщо гравець хоче його продовжити.
+     * Розв'язки іншої версії кросворду (інший відбиток вмісту або розв'язки без відбитка)
+     * пропускаються: їхні літери вже не відповідають сітці
+     * @param {string} puzzleId - ідентифікатор кросворду
+     * @param {string} fingerprint - відбиток поточного вмісту (GameHelper.getFingerprint)
+     * @returns {Promise<Object|null>} стан розв'язку
+     */
+    async findSolveToResume(puzzleId, fingerprint) {
+        try {
+            const solves = await window.LibraryHelper.listSolves(puzzleId);
+            const latest = solves.find(solve => solve.status === 'in-progress' && solve.fingerprint === fingerprint);
+            if (!latest) return null;
+
+            const time = window.GameHelper.formatTime(latest.elapsed);
+            return confirm(`Продовжити незавершений розв'язок (${time}, введено літер: ${latest.letters.length})?\n` +
+                'Скасувати - почати новий розв\'язок.') ? latest : null;
+        } catch (error) {
+            console.warn('Не вдалося прочитати збережені розв\'язки:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Новий розв'язок того ж кросворду; поточний залишається серед збережених
+     */
+    async startNewSolve() {
+        if (this.state.currentMode !== 'game') return;
+        if (!confirm('Почати розв\'язок заново? Поточний прогрес залишиться збереженим.')) return;
+
+        window.GameHelper.finish();
+        await this.saveSolveProgress();
+
+        this.state.grid.flat().forEach(cell => {
+            if (!cell.gameValue || cell.given) return;
+            cell.letter = '';
+            delete cell.revealed;
+        });
+
+        this.elements.gridContainer.classList.remove('paused');
+        this.startGameSession(window.GameHelper.session.puzzleId);
+        this.renderGrid();
+        this.renderCodewordKey();
+        this.renderKeyWordBox();
+        this.updateGameStats();
+    }
+
+    /**
+     * Відкладене збереження прогресу (після серії введень)
+     */
+    scheduleSolveSave() {
+        clearTimeout(this.state.solveSaveTimer);
+        this.state.solveSaveTimer = setTimeout(() => this.saveSolveProgress(), 1000);
+    }
+
+    /**
+     * Збереження прогресу розв'язку в бібліотеці
+     */
+    async saveSolveProgress() {
+        clearTimeout(this.state.solveSaveTimer);
+        this.state.solveSaveTimer = null;
+
+        const session = window.GameHelper.session;
+        const solve = window.GameHelper.createSolveState(this.state.grid);
+
+        // Порожній розв'язок без жодної дії не зберігається
+        if (!solve || (!session.started && solve.letters.length === 0)) return;
+
+        try {
+            await window.LibraryHelper.saveSolve(solve);
+        } catch (error) {
+            console.warn('Не вдалося зберегти прогрес розв\'язку:', error);
+        }
+    }
+
+    /**
+     * Перемикання в режим редактора
+     */
+    switchToEditorMode() {
+        this.stopGameTimer();
+        this.saveSolveProgress();
+        this.state.currentMode = 'editor';
+        this.restoreGridLetters();
+        this.updateCluesPanel();
+        this.elements.gameMode.style.display = 'none';
+        this.elements.gridContainer.classList.remove('game-mode');
+        this.elements.workspace?.classList.remove('codeword');
+        this.renderKeyWordBox();
+        
+        this.showNotification('Режим редактора активовано', 'info');
+    }
+
+    /**
+     * Очищення літер з сітки для режиму гри
+     */
+    clearGridLetters() {
+        this.state.grid.forEach(row => {
+            row.forEach(cell => {
+                if (cell.wordIds.length > 0) {
+                    cell.gameValue = cell.letter; // Зберегти правильну відповідь
+                    cell.letter = ''; // Очистити для гри
+                }
+            });
+        });
+        this.fillCodewordStarters();
+        this.renderGrid();
+    }
+
+    /**
+     * Відновлення літер після режиму гри
+     */
+    restoreGridLetters() {
+        this.state.grid.forEach(row => {
+            row.forEach(cell => {
+                if (cell.gameValue) {
+                    cell.letter = cell.gameValue;
+                    delete cell.gameValue;
+                }
+                delete cell.revealed;
+                delete cell.given;
+            });
+        });
+        this.renderGrid();
+    }
+
+    /**
+     * Перевірка відповідей
+     */
+    checkAnswers() {
+        let correctWords = 0;
+        const totalWords = this.state.words.size;
+
+        // Слово правильне, лише якщо правильні всі його літери
+        this.state.words.forEach(wordData => {
+            if (this.checkWordCells(wordData)) correctWords++;
+        });
+
+        if (this.isCodeword()) this.markCodewordKey();
+
+        window.GameHelper.recordCheck();
+        this.scheduleSolveSave();
+
+        // Показати результат для СЛІВ, а не символів
+        const percentage = totalWords > 0 ? Math.round((correctWords / totalWords) * 100) : 0;
+        this.showNotification(`Правильно: ${correctWords}/${totalWords} слів (${percentage}%)`, 'info');
+        this.updateGameStats();
+    }
+
+    /**
+     * Клітинки слова з очікуваними літерами
+     * @returns {Array} { row, col, expected, cell }
+     */
+    getAnswerCells(wordData) {
+        return window.GridHelper.getWordCells(this.state.grid, wordData).map(({ row, col, letterIndex }) => ({
+            row,
+            col,
+            expected: wordData.word[letterIndex],
+            cell: this.state.grid[row][col]
+        }));
+    }
+
+    /**
+     * Перевірка літер слова з позначенням клітинок
+     * @returns {boolean} чи все слово правильне
+     */
+    checkWordCells(wordData) {
+        const cells = this.getAnswerCells(wordData);
+        let isCorrect = cells.length === wordData.word.length;
+
+        cells.forEach(({ row, col, expected, cell }) => {
+            if (!this.markCellResult(row, col, cell.letter === expected)) isCorrect = false;
+        });
+
+        return isCorrect;
+    }
+
+    /**
+     * Позначення клітинки як правильної або помилкової
+     * @returns {boolean} isCorrect
+     */
+    markCellResult(row, col, isCorrect) {
+        const cellElement = this.elements.gridContainer.querySelector(
+            `[data-row="${row}"][data-col="${col}"]`
+        );
+
+        cellElement?.classList.toggle('correct', isCorrect);
+        cellElement?.classList.toggle('incorrect', !isCorrect);
+        return isCorrect;
+    }
+
+    /**
+     * Підказка в режимі гри для вибраної клітинки чи слова
+     * @param {string} type - 'checkLetter' | 'checkWord' | 'revealLetter' | 'revealWord' | 'revealRandom'
+     */
+    useHint(type) {
+        if (this.state.currentMode !== 'game' || window.GameHelper.session?.finished) return;
+
+        const answerCells = this.getHintCells(type);
+        if (!answerCells) {
+            this.showNotification('Спершу виберіть клітинку кросворду', 'warning');
+            return;
+        }
+
+        if (type.startsWith('check')) {
+            const wrong = answerCells.filter(({ row, col, expected, cell }) =>
+                !this.markCellResult(row, col, cell.letter === expected)).length;
+
+            window.GameHelper.recordHint(type);
+            this.showNotification(wrong === 0 ? 'Усе правильно' : `Помилок: ${wrong}`, wrong === 0 ? 'success' : 'warning');
+        } else {
+            const hidden = answerCells.filter(({ cell, expected }) => cell.letter !== expected);
+            if (hidden.length === 0) {
+                this.showNotification('Ці літери вже правильні', 'info');
+                return;
+            }
+
+            hidden.forEach(({ row, col, expected, cell }) => {
+                cell.letter = expected;
+                cell.revealed = true;
+                this.updateGameCell(row, col);
+                if (this.isCodeword()) this.propagateCodewordLetter(row, col);
+            });
+
+            window.GameHelper.start();
+            window.GameHelper.recordHint(type, hidden.length);
+            this.checkGameCompletion();
+        }
+
+        this.updateGameStats();
+        this.updateGameTimer();
+        this.scheduleSolveSave();
+    }
+
+    /**
+     * Клітинки, яких стосується підказка
+     * @returns {Array|null} { row, col, expected, cell } або null, якщо нічого не вибрано
+     */
+    getHintCells(type) {
+        if (type === 'revealRandom') {
+            const candidates = Array.from(this.state.words.values())
+                .flatMap(wordData => this.getAnswerCells(wordData))
+                .filter(({ cell, expected }) => cell.letter !== expected);
+
+            return candidates.length > 0
+                ? [candidates[Math.floor(Math.random() * candidates.length)]]
+                : [];
+        }
+
+        const { row, col } = this.state.selectedCell || {};
+        const wordId = this.state.selectedCell ? this.getWordAtCell(row, col) : null;
+        if (!wordId) return null;
+
+        const wordCells = this.getAnswerCells(this.state.words.get(wordId));
+        return type.endsWith('Word')
+            ? wordCells
+            : wordCells.filter(answer => answer.row === row && answer.col === col);
+    }
+
+    /**
+     * Оновлення однієї клітинки гри без перемальовування сітки
+     */
+    updateGameCell(row, col) {
+        const cell = this.state.grid[row][col];
+        const cellElement = this.elements.gridContainer.querySelector(
+            `[data-row="${row}"][data-col="${col}"]`
+        );
+        if (!cellElement) return;
+
+        const input = cellElement.querySelector('input');
+        if (input) {
+            input.value = cell.letter;
+            input.readOnly = Boolean(cell.revealed || cell.given);
+        }
+
+        cellElement.classList.toggle('filled', Boolean(cell.letter));
+        cellElement.classList.toggle('revealed', Boolean(cell.revealed));
+        cellElement.classList.remove('correct', 'incorrect');
+    }
+
+    /**
+     * Показ всіх відповідей
+     */
+    showAnswers() {
+        if (confirm('Показати всі відповіді? Це завершить гру.')) {
+            const hidden = this.state.grid.flat()
+                .filter(cell => cell.gameValue && cell.letter !== cell.gameValue).length;
+            window.GameHelper.recordReveal(hidden);
+            window.GameHelper.finish('revealed');
+            this.stopGameTimer();
+            this.saveSolveProgress();
+            this.restoreGridLetters();
+            this.updateGameStats();
+            this.showNotification('Всі відповіді показано', 'warning');
+        }
+    }
+
+    /**
+     * Ідентифікатор кросворду для рекордів: запис бібліотеки або відбиток вмісту
+     */
+    getPuzzleId() {
+        return this.state.currentCrosswordId || window.GameHelper.getPuzzleId(this.getCrosswordData());
+    }
+
+    /**
+     * Оновлення таймера та кнопки паузи
+     */
+    updateGameTimer() {
+        const game = window.GameHelper;
+        const session = game.session;
+
+        if (this.elements.gameTimer) {
+            this.elements.gameTimer.textContent = `⏱ ${game.formatTime(game.getElapsed())}`;
+        }
+        if (this.elements.bestTime) {
+            const best = session ? game.getBestTime(session.puzzleId) : null;
+            this.elements.bestTime.textContent = best !== null ? `Рекорд: ${game.formatTime(best)}` : '';
+        }
+        if (this.elements.pauseGame) {
+            this.elements.pauseGame.disabled = !session?.started || session.finished;
+            this.elements.pauseGame.textContent = game.isPaused() ? '▶ Продовжити' : '⏸ Пауза';
+        }
+    }
+
+    /**
+     * Пауза гри: таймер зупиняється, сітка розмивається
+     */
+    toggleGamePause() {
+        const game = window.GameHelper;
+
+        if (game.isPaused()) {
+            game.resume();
+        } else if (game.pause('user')) {
+            document.activeElement?.blur();
+            this.saveSolveProgress();
+        }
+
+        this.elements.gridContainer.classList.toggle('paused', game.isPaused());
+        this.updateGameTimer();
+    }
+
+    /**
+     * Приховування вкладки ставить гру на паузу, повернення - знімає лише цю паузу
+     */
+    handleVisibilityChange() {
+        if (this.state.currentMode !== 'game') return;
+
+        if (document.hidden) {
+            window.GameHelper.pause('hidden');
+            this.saveSolveProgress();
+        } else {
+            window.GameHelper.resume('hidden');
+        }
+        this.updateGameTimer();
+    }
+
+    /**
+     * Зупинка таймера без запису результату
+     */
+    stopGameTimer() {
+        clearInterval(this.state.gameTimerId);
+        this.state.gameTimerId = null;
+        window.GameHelper.finish();
+        this.elements.gridContainer.classList.remove('paused');
+        this.updateGameTimer();
+    }
+
+    /**
+     * Чи всі клітинки заповнено правильними літерами
+     */
+    isGameComplete() {
+        const cells = this.state.grid.flat().filter(cell => cell.wordIds.length > 0);
+        return cells.length > 0 && cells.every(cell => cell.gameValue && cell.letter === cell.gameValue);
+    }
+
+    /**
+     * Завершення гри, щойно всі клітинки збігаються з відповідями
+     */
+    checkGameCompletion() {
+        if (!this.isGameComplete()) return;
+
+        const result = window.GameHelper.complete();
+        if (!result) return;
+
+        clearInterval(this.state.gameTimerId);
+        this.state.gameTimerId = null;
+        this.updateGameTimer();
+        this.updateGameStats();
+        this.saveSolveProgress();
+
+        document.dispatchEvent(new CustomEvent('crosswordCompleted', { detail: result }));
+    }
+
+    /**
+     * Підсумок розв'язку
+     * @param {Object} result - { time, checks, reveals, bestTime, isRecord }
+     */
+    showGameResult(result) {
+        const game = window.GameHelper;
+        const rows = [
+            ['Час', game.formatTime(result.time)],
+            ['Перевірок', result.checks],
+            ['Відкрито літер', result.reveals],
+            ['Очки', `${result.score} з ${result.maxScore}`],
+            ['Рекорд', result.bestTime !== null ? game.formatTime(result.bestTime) : '—']
+        ];
+
+        const html = `
+            ${result.isRecord ? '<p class="layout-summary">🏆 Новий рекорд!</p>' : ''}
+            <ul class="layout-list">
+                ${rows.map(([label, value]) => `<li>${label}: <strong>${value}</strong></li>`).join('')}
+            </ul>
+            ${result.reveals > 0 ? '<p class="layout-summary">Розв\'язки з відкритими літерами не потрапляють у рекорди</p>' : ''}
+        `;
+
+        this.showReport('🎉 Кросворд розв\'язано!', html);
+    }
+
+    /**
+     * Оновлення статистики гри
+     */
+    updateGameStats() {
+        const completedWords = this.getCompletedWordsCount();
+        const totalWords = this.state.words.size;
+        
+        if (this.elements.completedWords) {
+            this.elements.completedWords.textContent = `Заповнено: ${completedWords}`;
+        }
+        if (this.elements.totalWords) {
+            this.elements.totalWords.textContent = `Всього слів: ${totalWords}`;
+        }
+        if (this.elements.gameScore) {
+            this.elements.gameScore.textContent = `Очки: ${window.GameHelper.getScore()}`;
+        }
+
+        this.updateSolvedClues();
+        this.updateCodewordKey();
+        this.updateKeyWordBox();
+    }
+
+    /**
+     * Підрахунок завершених слів
+     */
+   getCompletedWordsCount() {
+    let completed = 0;
+    
+    this.state.words.forEach(wordData => {
+        let wordCompleted = true;
+        
+        // Перевірити чи все слово заповнене правильно
+        for (let i = 0; i < wordData.word.length; i++) {
+            const row = wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow;
+            const col = wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol;
+            
+            if (row >= 0 && row < this.state.grid.length && 
+                col >= 0 && col < this.state.grid[0].length) {
+                
+                const cell = this.state.grid[row][col];
+                const expectedLetter = wordData.word[i];
+                
+                // Слово вважається завершеним тільки якщо всі літери правильні
+                if (!cell.letter || cell.letter !== expectedLetter) {
+                    wordCompleted = false;
+                    break;
+                }
+            } else {
+                wordCompleted = false;
+                break;
+            }
+        }
+        
+        if (wordCompleted) completed++;
+    });
+    
+    return completed;
+}
+
+    /**
+     * Створення нового кросворду
+     */
+    newCrossword() {
+        if (this.state.hasUnsavedChanges) {
+            if (!confirm('Є незбережені зміни. Створити новий кросворд?')) {
+                return;
+            }
+        }
+
+        const before = this.createSnapshot();
+
+        this.state.words.clear();
+        this.state.grid = [];
+        this.state.selectedCell = null;
+        this.state.isGridGenerated = false;
+        this.state.hasUnsavedChanges = false;
+        this.state.currentCrosswordId = null;
+        this.state.metadata = this.createDefaultMetadata();
+
+        // Випадково створений новий кросворд можна скасувати;
+        // окрема історія починається лише із завантаженням запису бібліотеки
+        this.recordBulkChange(before, 'Новий кросворд');
+        
+        this.elements.gridContainer.innerHTML = '';
+        this.updateCluesPanel();
+        this.updateUI();
+        
+        this.showNotification('Новий кросворд створено', 'success');
+    }
+
+    /**
+     * Збереження кросворду
+     */
+    async saveCrossword() {
+        try {
+            const crosswordDocument = window.DocumentHelper.createDocument({
+                ...this.getCrosswordData(),
+                history: window.HistoryHelper.serialize()
+            });
+            const record = await window.LibraryHelper.saveCrossword(crosswordDocument, {
+                id: this.state.currentCrosswordId
+            });
+
+            if (!this.state.currentCrosswordId) {
+                await this.moveSolvesToRecord(record.id);
+            }
+
+            this.state.currentCrosswordId = record.id;
+            this.state.hasUnsavedChanges = false;
+            this.state.lastSaveTime = new Date();
+            this.showNotification(`Кросворд "${record.title}" збережено`, 'success');
+
+            this.updateUI();
+        } catch (error) {
+            this.showNotification(`Помилка збереження: ${error.message}`, 'error');
+            console.error('Save error:', error);
+        }
+    }
+
+    /**
+     * Перше збереження: розв'язки, записані за відбитком вмісту, переходять до запису бібліотеки
+     * @param {string} id - ID нового запису
+     */
+    async moveSolvesToRecord(id) {
+        const contentId = window.GameHelper.getPuzzleId(this.getCrosswordData());
+        const session = window.GameHelper.session;
+        if (session?.puzzleId === contentId) session.puzzleId = id;
+
+        try {
+            await window.LibraryHelper.moveSolves(contentId, id);
+        } catch (error) {
+            console.warn('Не вдалося перенести розв\'язки до запису бібліотеки:', error);
+        }
+    }
+
+    /**
+     * Відкриття кросворду з бібліотеки
+     * @param {string} id - ID запису
+     */
+    async loadCrossword(id) {
+        try {
+            const record = await window.LibraryHelper.getCrossword(id);
+            if (!record) {
+                this.showNotification('Кросворд не знайдено в бібліотеці', 'warning');
+                return;
+            }
+
+            if (this.state.hasUnsavedChanges && !confirm('Є незбережені зміни. Відкрити інший кросворд?')) {
+                return;
+            }
+
+            const data = window.DocumentHelper.readDocument(record.document);
+
+            if (this.state.currentMode === 'game') {
+                this.switchToEditorMode();
+            }
+
+            this.applyCrosswordData(data);
+            window.HistoryHelper.restore(data.history);
+            this.state.currentCrosswordId = record.id;
+            this.state.hasUnsavedChanges = false;
+
+            data.warnings.forEach(warning => this.showNotification(warning, 'info'));
+            this.showNotification(`Кросворд "${record.title}" завантажено`, 'success');
+        } catch (error) {
+            this.showNotification(`Помилка завантаження: ${error.message}`, 'error');
+            console.error('Load error:', error);
+        }
     }
 
     /**
-     * Відновлення літер після режиму гри
+     * Відкриття бібліотеки (зі старого слоту localStorage кросворд переноситься автоматично)
      */
-    restoreGridLetters() {
-        this.state.grid.forEach(row => {
-            row.forEach(cell => {
-                if (cell.gameValue) {
-                    cell.letter = cell.gameValue;
-                    delete cell.gameValue;
-                }
+    async openLibrary() {
+        try {
+            const migrated = await window.LibraryHelper.migrateLegacySave();
+            if (migrated) {
+                this.showNotification(`Попереднє збереження перенесено в бібліотеку як "${migrated.title}"`, 'info');
+            }
+        } catch (error) {
+            this.showNotification(`Не вдалося перенести попереднє збереження: ${error.message}`, 'warning');
+            console.error('Migration error:', error);
+        }
+
+        this.openModal(this.elements.libraryModal);
+        await this.renderLibrary();
+    }
+
+    /**
+     * Відображення списку кросвордів з урахуванням пошуку та фільтра
+     */
+    async renderLibrary() {
+        if (!this.elements.libraryList) return;
+
+        let records;
+        try {
+            records = await window.LibraryHelper.listCrosswords({
+                query: this.elements.librarySearch?.value,
+                difficulty: this.elements.libraryDifficulty?.value
             });
-        });
-        this.renderGrid();
+        } catch (error) {
+            this.elements.libraryList.innerHTML = `<li class="library-empty">${window.CrosswordUtils.escapeHTML(error.message)}</li>`;
+            return;
+        }
+
+        if (records.length === 0) {
+            this.elements.libraryList.innerHTML = '<li class="library-empty">Кросвордів не знайдено</li>';
+            return;
+        }
+
+        const escape = window.CrosswordUtils.escapeHTML;
+        const difficulties = window.CrosswordConstants.DIFFICULTY_LABELS;
+
+        this.elements.libraryList.innerHTML = records.map(record => `
+            <li class="library-item${record.id === this.state.currentCrosswordId ? ' current' : ''}" data-id="${escape(record.id)}">
+                <img class="library-thumbnail" src="${record.thumbnail}" alt="">
+                <div class="library-info">
+                    <div class="library-title">${escape(record.title)}</div>
+                    <div class="library-details">
+                        ${record.theme ? `${escape(record.theme)} · ` : ''}${difficulties[record.difficulty] || ''} ·
+                        ${record.width}×${record.height} · слів: ${record.wordCount}
+                    </div>
+                    <div class="library-details">Змінено: ${new Date(record.updatedAt).toLocaleString('uk-UA')}</div>
+                </div>
+                <div class="library-actions">
+                    <button class="btn btn-primary btn-sm" data-action="open">Відкрити</button>
+                    <button class="btn btn-secondary btn-sm" data-action="duplicate">Копія</button>
+                    <button class="btn btn-secondary btn-sm" data-action="rename">Перейменувати</button>
+                    <button class="btn btn-danger btn-sm" data-action="delete">Видалити</button>
+                </div>
+            </li>
+        `).join('');
     }
 
     /**
-     * Перевірка відповідей
+     * Дії з записом бібліотеки
+     * @param {string} action - open | duplicate | rename | delete
+     * @param {string} id - ID запису
      */
-    checkAnswers() {
-    let correctWords = 0;
-    let totalWords = this.state.words.size;
-    
-    // Перевірити кожне слово окремо
-    this.state.words.forEach(wordData => {
-        let wordIsCompletelyCorrect = true;
-        
-        // Перевірити кожну літеру цього слова
-        for (let i = 0; i < wordData.word.length; i++) {
-            const row = wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow;
-            const col = wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol;
-            
-            if (row >= 0 && row < this.state.grid.length && col >= 0 && col < this.state.grid[0].length) {
-                const cell = this.state.grid[row][col];
-                const expectedLetter = wordData.word[i];
-                const cellElement = this.elements.gridContainer.querySelector(
-                    `[data-row="${row}"][data-col="${col}"]`
-                );
-                
-                // Порівняти введену літеру з правильною
-                if (cell.letter === expectedLetter) {
-                    cellElement?.classList.add('correct');
-                    cellElement?.classList.remove('incorrect');
-                } else {
-                    cellElement?.classList.add('incorrect');
-                    cellElement?.classList.remove('correct');
-                    wordIsCompletelyCorrect = false;
+    async handleLibraryAction(action, id) {
+        try {
+            switch (action) {
+                case 'open':
+                    await this.loadCrossword(id);
+                    if (this.state.currentCrosswordId === id) this.closeModal();
+                    return;
+
+                case 'duplicate': {
+                    const copy = await window.LibraryHelper.duplicateCrossword(id);
+                    this.showNotification(`Створено "${copy.title}"`, 'success');
+                    break;
+                }
+
+                case 'rename': {
+                    const record = await window.LibraryHelper.getCrossword(id);
+                    const title = prompt('Нова назва кросворду:', record?.title || '');
+                    if (!title || !title.trim()) return;
+
+                    await window.LibraryHelper.renameCrossword(id, title);
+                    if (id === this.state.currentCrosswordId) {
+                        this.state.metadata.title = title.trim();
+                    }
+                    break;
+                }
+
+                case 'delete': {
+                    if (!confirm('Видалити кросворд з бібліотеки? Цю дію не можна скасувати.')) return;
+
+                    await window.LibraryHelper.deleteCrossword(id);
+                    if (id === this.state.currentCrosswordId) {
+                        this.state.currentCrosswordId = null;
+                        this.state.hasUnsavedChanges = this.state.words.size > 0;
+                    }
+                    this.showNotification('Кросворд видалено', 'success');
+                    break;
                 }
-            } else {
-                wordIsCompletelyCorrect = false;
             }
+
+            await this.renderLibrary();
+        } catch (error) {
+            this.showNotification(`Помилка бібліотеки: ${error.message}`, 'error');
+            console.error('Library error:', error);
         }
-        
-        // Якщо все слово правильне, збільшити лічильник
-        if (wordIsCompletelyCorrect) {
-            correctWords++;
+    }
+
+    /**
+     * Метадані кросворду за замовчуванням
+     */
+    createDefaultMetadata() {
+        return {
+            title: '',
+            author: '',
+            copyright: '',
+            theme: '',
+            difficulty: 'medium',
+            puzzleType: 'crossword', // 'crossword' | 'scanword' | 'codeword'
+            notes: '',
+            ipuzExtensions: {} // невідомі поля ipuz, що зберігаються між імпортом та експортом
+        };
+    }
+
+    /**
+     * Відкриття вікна налаштувань кросворду
+     */
+    openSettingsModal() {
+        const { metadata } = this.state;
+
+        if (this.elements.crosswordTitle) this.elements.crosswordTitle.value = metadata.title;
+        if (this.elements.crosswordAuthor) this.elements.crosswordAuthor.value = metadata.author;
+        if (this.elements.crosswordCopyright) this.elements.crosswordCopyright.value = metadata.copyright;
+        if (this.elements.crosswordTheme) this.elements.crosswordTheme.value = metadata.theme;
+        if (this.elements.difficulty) this.elements.difficulty.value = metadata.difficulty;
+        if (this.elements.puzzleType) this.elements.puzzleType.value = metadata.puzzleType;
+
+        this.openModal(this.elements.settingsModal);
+    }
+
+    /**
+     * Збереження налаштувань кросворду
+     */
+    saveSettings() {
+        const puzzleType = this.elements.puzzleType?.value || 'crossword';
+        const typeChanged = puzzleType !== this.state.metadata.puzzleType;
+        const before = typeChanged ? this.createSnapshot() : null;
+
+        this.state.metadata = {
+            ...this.state.metadata,
+            title: this.elements.crosswordTitle?.value.trim() || '',
+            author: this.elements.crosswordAuthor?.value.trim() || '',
+            copyright: this.elements.crosswordCopyright?.value.trim() || '',
+            theme: this.elements.crosswordTheme?.value.trim() || '',
+            difficulty: this.elements.difficulty?.value || 'medium',
+            puzzleType
+        };
+        this.state.hasUnsavedChanges = true;
+        this.closeModal();
+
+        // Зміна типу перебудовує сітку: у сканворді з'являються клітинки-підказки
+        if (typeChanged && this.state.isGridGenerated) {
+            this.rebuildGrid();
+            this.recordBulkChange(before, `Тип: ${this.elements.puzzleType?.selectedOptions?.[0]?.textContent || puzzleType}`);
+            this.renderGrid();
+            this.updateCluesPanel();
+            this.updateUI();
+            this.notifyMissingClueCells();
         }
-    });
-    
-    // Показати результат для СЛІВ, а не символів
-    const percentage = totalWords > 0 ? Math.round((correctWords / totalWords) * 100) : 0;
-    this.showNotification(`Правильно: ${correctWords}/${totalWords} слів (${percentage}%)`, 'info');
-    this.updateGameStats();
-}
+
+        this.showNotification('Налаштування збережено', 'success');
+    }
+
+    isCodeword() {
+        return this.state.metadata.puzzleType === 'codeword';
+    }
 
     /**
-     * Показ всіх відповідей
+     * Число кейворду для клітинки з літерою (null для інших типів)
      */
-    showAnswers() {
-        if (confirm('Показати всі відповіді? Це завершить гру.')) {
-            this.restoreGridLetters();
-            this.updateGameStats();
-            this.showNotification('Всі відповіді показано', 'warning');
+    getCellCode(cell) {
+        if (!this.isCodeword() || cell.blocked) return null;
+        return this.state.metadata.codeword?.key[cell.gameValue || cell.letter] || null;
+    }
+
+    /**
+     * Новий випадковий шифр кейворду
+     */
+    shuffleCodeword() {
+        if (!this.isCodeword() || !this.state.isGridGenerated) return;
+
+        const before = this.createSnapshot();
+        this.state.metadata.codeword = window.CodewordHelper.createCipher(this.state.grid);
+        this.state.hasUnsavedChanges = true;
+        this.recordBulkChange(before, 'Новий шифр кейворду');
+
+        this.renderGrid();
+        this.showNotification('Шифр оновлено', 'success');
+    }
+
+    /**
+     * Панель шифру в редакторі: таблиця «число - літера» зі стартовими літерами
+     */
+    updateCodewordPanel() {
+        if (!this.elements.codewordPanel) return;
+
+        const visible = this.isCodeword() && this.state.currentMode === 'editor';
+        this.elements.codewordPanel.style.display = visible ? '' : 'none';
+        if (!visible || !this.elements.codewordPreview) return;
+
+        const escape = window.CrosswordUtils.escapeHTML;
+        this.elements.codewordPreview.innerHTML = window.CodewordHelper.getKeyTable(this.state.metadata.codeword)
+            .map(({ number, letter, isStarter }) =>
+                `<span class="key-item ${isStarter ? 'given' : ''}"><span class="key-number">${number}</span>${escape(letter)}</span>`)
+            .join('');
+    }
+
+    /**
+     * Стартові літери кейворду відкриті й незмінні з початку гри
+     */
+    fillCodewordStarters() {
+        if (!this.isCodeword()) return;
+
+        const { starters } = this.state.metadata.codeword;
+        this.state.grid.flat().forEach(cell => {
+            if (!cell.gameValue || !starters.includes(cell.gameValue)) return;
+            cell.letter = cell.gameValue;
+            cell.given = true;
+        });
+    }
+
+    /**
+     * Таблиця ключа в режимі гри: поле для літери кожного числа
+     */
+    renderCodewordKey() {
+        const container = this.elements.codewordKey;
+        if (!container) return;
+
+        const visible = this.isCodeword() && this.state.currentMode === 'game';
+        container.style.display = visible ? '' : 'none';
+        if (!visible) return;
+
+        container.innerHTML = window.CodewordHelper.getKeyTable(this.state.metadata.codeword)
+            .map(({ number, isStarter }) => `
+                <label class="key-item ${isStarter ? 'given' : ''}">
+                    <span class="key-number">${number}</span>
+                    <input type="text" maxlength="1" data-number="${number}" ${isStarter ? 'readonly' : ''}>
+                </label>`)
+            .join('');
+
+        this.updateCodewordKey();
+    }
+
+    /**
+     * Оновлення таблиці ключа за літерами сітки; числа з однаковою літерою позначаються
+     */
+    updateCodewordKey() {
+        const container = this.elements.codewordKey;
+        if (!container || !this.isCodeword() || this.state.currentMode !== 'game') return;
+
+        const guesses = window.CodewordHelper.getGuesses(this.state.grid, this.state.metadata.codeword);
+        const conflicts = window.CodewordHelper.findConflicts(guesses);
+
+        container.querySelectorAll('input[data-number]').forEach(input => {
+            const number = parseInt(input.dataset.number);
+            if (document.activeElement !== input) input.value = guesses[number] || '';
+            input.closest('.key-item')?.classList.remove('correct', 'incorrect');
+            input.closest('.key-item')?.classList.toggle('conflict', conflicts.has(number));
+        });
+    }
+
+    /**
+     * Літера з таблиці ключа переноситься в усі клітинки з цим числом
+     * @param {number} number - число
+     * @param {HTMLInputElement} input - поле таблиці
+     */
+    handleCodewordKeyInput(number, input) {
+        const letter = input.value.toUpperCase();
+        if (letter && !window.CrosswordUtils.isLetter(letter)) {
+            input.value = '';
+            return;
+        }
+        input.value = letter;
+
+        window.CodewordHelper.applyGuess(this.state.grid, this.state.metadata.codeword, number, letter)
+            .forEach(({ row, col }) => this.updateGameCell(row, col));
+
+        if (letter && window.GameHelper.start()) this.updateGameTimer();
+        this.updateGameStats();
+        this.scheduleSolveSave();
+        this.checkGameCompletion();
+    }
+
+    /**
+     * Перенесення літери клітинки в інші клітинки з тим самим числом
+     */
+    propagateCodewordLetter(row, col) {
+        const cell = this.state.grid[row][col];
+        const cipher = this.state.metadata.codeword;
+
+        window.CodewordHelper.applyGuess(this.state.grid, cipher, cipher.key[cell.gameValue], cell.letter)
+            .forEach(changed => this.updateGameCell(changed.row, changed.col));
+    }
+
+    /**
+     * Позначення правильних і помилкових літер у таблиці ключа
+     */
+    markCodewordKey() {
+        const cipher = this.state.metadata.codeword;
+        const guesses = window.CodewordHelper.getGuesses(this.state.grid, cipher);
+
+        window.CodewordHelper.getKeyTable(cipher).forEach(({ number, letter }) => {
+            const item = this.elements.codewordKey?.querySelector(`input[data-number="${number}"]`)?.closest('.key-item');
+            if (!item || !guesses[number]) return;
+
+            item.classList.toggle('correct', guesses[number] === letter);
+            item.classList.toggle('incorrect', guesses[number] !== letter);
+        });
+    }
+
+    /**
+     * Поле відповіді ключового слова в режимі гри (лише якщо є ключові клітинки)
+     */
+    renderKeyWordBox() {
+        const box = this.elements.keyWordBox;
+        if (!box) return;
+
+        const visible = this.state.currentMode === 'game' && this.getKeyCells().length > 0;
+        box.style.display = visible ? '' : 'none';
+        box.classList.remove('correct', 'incorrect');
+        if (this.elements.keyWordAnswer) this.elements.keyWordAnswer.value = '';
+
+        this.updateKeyWordBox();
+    }
+
+    /**
+     * Відповідь можна ввести, коли заповнено всі ключові клітинки
+     */
+    updateKeyWordBox() {
+        const keyCells = this.getKeyCells();
+        if (!this.elements.keyWordBox || keyCells.length === 0) return;
+
+        const filled = keyCells.every(({ cell }) => cell.letter);
+        if (this.elements.keyWordAnswer) {
+            this.elements.keyWordAnswer.disabled = !filled;
+            this.elements.keyWordAnswer.maxLength = keyCells.length;
+        }
+        if (this.elements.checkKeyWord) this.elements.checkKeyWord.disabled = !filled;
+    }
+
+    /**
+     * Перевірка ключового слова за відповідями ключових клітинок
+     */
+    checkKeyWord() {
+        const box = this.elements.keyWordBox;
+        const answer = this.elements.keyWordAnswer?.value.trim().toUpperCase() || '';
+        if (!box || !answer) return;
+
+        const expected = this.getKeyCells().map(({ cell }) => cell.gameValue || '').join('');
+        const isCorrect = answer === expected;
+
+        box.classList.toggle('correct', isCorrect);
+        box.classList.toggle('incorrect', !isCorrect);
+        this.showNotification(isCorrect ? 'Ключове слово відгадано!' : 'Ключове слово неправильне',
+            isCorrect ? 'success' : 'error');
+    }
+
+    /**
+     * Попередження про слова сканворду без клітинки-підказки
+     */
+    notifyMissingClueCells() {
+        if (!this.isScanword()) return;
+
+        const missing = this.updateClueCells();
+        if (missing.length === 0) return;
+
+        const list = missing.map(wordData => `"${wordData.word}"`).join(', ');
+        this.showNotification(`Немає місця для підказки перед словами: ${list}`, 'warning');
+    }
+
+    /**
+     * Вікно параметрів друку
+     */
+    openPrintModal() {
+        if (this.state.words.size === 0) {
+            this.showNotification('Немає слів для друку', 'error');
+            return;
+        }
+
+        this.openModal(this.elements.printModal);
+    }
+
+    /**
+     * Друк кросворду та відповідей або завантаження сторінки друку як HTML
+     * @param {Object} options - { download }
+     */
+    printCrossword(options = {}) {
+        const data = this.getCrosswordData();
+        const { html, warnings } = window.PrintHelper.createPrintDocument(data, {
+            paper: this.elements.printPaper?.value,
+            cellSize: parseFloat(this.elements.printCellSize?.value) || undefined,
+            font: this.elements.printFont?.value,
+            fontSize: parseFloat(this.elements.printFontSize?.value) || undefined,
+            twoPerPage: Boolean(this.elements.printTwoPerPage?.checked),
+            answerKey: Boolean(this.elements.printAnswerKey?.checked)
+        });
+
+        if (options.download) {
+            const fileName = window.CrosswordUtils.toFileName(data.metadata.title || 'crossword');
+            window.CrosswordUtils.downloadFile(html, `${fileName}-print.html`, 'text/html;charset=utf-8');
+        } else {
+            window.PrintHelper.print(html);
+        }
+
+        warnings.forEach(warning => this.showNotification(warning, 'warning'));
+        this.closeModal();
+    }
+
+    /**
+     * Вікно філворду; головоломка генерується заново, якщо слова кросворду змінилися
+     */
+    openWordSearchModal() {
+        if (this.state.words.size === 0) {
+            this.showNotification('Додайте слова для філворду', 'error');
+            return;
+        }
+
+        const source = this.getWordSearchSource();
+        if (this.state.wordSearch?.source !== source) {
+            const suggested = window.WordSearchHelper.suggestSize(Array.from(this.state.words.values()));
+            const size = Math.min(this.config.maxGridSize, Math.max(suggested, this.config.minGridSize));
+            if (this.elements.wordSearchWidth) this.elements.wordSearchWidth.value = size;
+            if (this.elements.wordSearchHeight) this.elements.wordSearchHeight.value = size;
+            this.generateWordSearch();
+        }
+
+        this.openModal(this.elements.wordSearchModal);
+    }
+
+    /**
+     * Ключ набору слів, з якого згенеровано філворд
+     */
+    getWordSearchSource() {
+        return Array.from(this.state.words.values(), wordData => wordData.word).sort().join('|');
+    }
+
+    /**
+     * Новий філворд зі слів кросворду з вибраними розміром і напрямками
+     */
+    generateWordSearch() {
+        const readSize = input => Math.min(this.config.maxGridSize,
+            Math.max(this.config.minGridSize, parseInt(input?.value, 10) || this.config.minGridSize));
+        const directions = Array.from(this.elements.wordSearchDirections || [])
+            .filter(input => input.checked)
+            .map(input => input.value);
+
+        let puzzle;
+        try {
+            puzzle = window.WordSearchHelper.generate(Array.from(this.state.words.values()), {
+                width: readSize(this.elements.wordSearchWidth),
+                height: readSize(this.elements.wordSearchHeight),
+                directions: directions.length > 0 ? directions : undefined
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.state.wordSearch = { puzzle, source: this.getWordSearchSource(), found: new Set(), selection: null };
+        this.renderWordSearch();
+
+        if (puzzle.unplaced.length > 0) {
+            const list = puzzle.unplaced.map(({ word, reason }) => `${word} (${reason.toLowerCase()})`).join(', ');
+            this.showNotification(`Не вмістилися слова: ${list}`, 'warning');
         }
+        puzzle.warnings.forEach(warning => this.showNotification(warning, 'warning'));
+    }
+
+    /**
+     * Сітка філворду зі знайденими словами, поточним виділенням та (за бажанням) відповідями
+     */
+    renderWordSearch() {
+        const wordSearch = this.state.wordSearch;
+        if (!wordSearch || !this.elements.wordSearchBoard) return;
+
+        const { puzzle, found, selection } = wordSearch;
+        const escape = window.CrosswordUtils.escapeHTML;
+        const showAnswers = Boolean(this.elements.wordSearchShowAnswers?.checked);
+        const key = ({ row, col }) => `${row}:${col}`;
+
+        const foundCells = new Set();
+        const answerCells = new Set();
+        puzzle.placements.forEach(({ wordId, cells }) => {
+            cells.forEach(cell => {
+                if (found.has(wordId)) foundCells.add(key(cell));
+                if (showAnswers) answerCells.add(key(cell));
+            });
+        });
+        const selected = new Set((selection && window.WordSearchHelper.getLine(selection.start, selection.end) || []).map(key));
+
+        const board = this.elements.wordSearchBoard;
+        board.style.gridTemplateColumns = `repeat(${puzzle.width}, var(--wordsearch-cell-size))`;
+        board.innerHTML = puzzle.grid.map((rowLetters, row) => rowLetters.map((letter, col) => {
+            const classes = ['wordsearch-cell'];
+            if (foundCells.has(key({ row, col }))) classes.push('found');
+            if (answerCells.has(key({ row, col }))) classes.push('answer');
+            if (selected.has(key({ row, col }))) classes.push('selecting');
+            return `<span class="${classes.join(' ')}" data-row="${row}" data-col="${col}">${escape(letter)}</span>`;
+        }).join('')).join('');
+
+        if (this.elements.wordSearchWords) {
+            this.elements.wordSearchWords.innerHTML = puzzle.placements
+                .slice()
+                .sort((a, b) => a.word.localeCompare(b.word, 'uk'))
+                .map(({ wordId, word }) => `<li class="${found.has(wordId) ? 'found' : ''}">${escape(word)}</li>`)
+                .join('');
+        }
+    }
+
+    startWordSearchSelection(row, col) {
+        if (!this.state.wordSearch) return;
+
+        this.state.wordSearch.selection = { start: { row, col }, end: { row, col } };
+        this.renderWordSearch();
+    }
+
+    /**
+     * Виділення тягнеться лише по прямих лініях: інші клітинки ігноруються
+     */
+    updateWordSearchSelection(row, col) {
+        const selection = this.state.wordSearch?.selection;
+        if (!selection || (selection.end.row === row && selection.end.col === col)) return;
+        if (!window.WordSearchHelper.getLine(selection.start, { row, col })) return;
+
+        selection.end = { row, col };
+        this.renderWordSearch();
+    }
+
+    /**
+     * Завершення виділення: якщо воно збігається зі словом, слово позначається знайденим
+     */
+    finishWordSearchSelection() {
+        const wordSearch = this.state.wordSearch;
+        if (!wordSearch?.selection) return;
+
+        const { start, end } = wordSearch.selection;
+        wordSearch.selection = null;
+
+        const placement = window.WordSearchHelper.findSelectedWord(wordSearch.puzzle, start, end);
+        if (placement && !wordSearch.found.has(placement.wordId)) {
+            wordSearch.found.add(placement.wordId);
+            if (wordSearch.found.size === wordSearch.puzzle.placements.length) {
+                this.showNotification('🎉 Усі слова знайдено!', 'success');
+            }
+        }
+
+        this.renderWordSearch();
+    }
+
+    /**
+     * Друк філворду та сторінки з обведеними відповідями (параметри - з вікна друку)
+     */
+    printWordSearch() {
+        const puzzle = this.state.wordSearch?.puzzle;
+        if (!puzzle) return;
+
+        window.PrintHelper.print(window.PrintHelper.createWordSearchDocument(puzzle, this.state.metadata, {
+            paper: this.elements.printPaper?.value,
+            cellSize: parseFloat(this.elements.printCellSize?.value) || undefined,
+            font: this.elements.printFont?.value,
+            fontSize: parseFloat(this.elements.printFontSize?.value) || undefined,
+            answerKey: Boolean(this.elements.printAnswerKey?.checked ?? true)
+        }));
     }
 
     /**
-     * Оновлення статистики гри
+     * Дані кросворду для експорту: слова, сітка з відповідями та метадані
      */
-    updateGameStats() {
-        const completedWords = this.getCompletedWordsCount();
-        const totalWords = this.state.words.size;
-        
-        if (this.elements.completedWords) {
-            this.elements.completedWords.textContent = `Заповнено: ${completedWords}`;
-        }
-        if (this.elements.totalWords) {
-            this.elements.totalWords.textContent = `Всього слів: ${totalWords}`;
-        }
+    getCrosswordData() {
+        const grid = this.state.grid.map(row => row.map(cell => ({
+            ...cell,
+            letter: cell.gameValue || cell.letter
+        })));
+
+        return {
+            gridSize: { ...this.state.gridSize },
+            words: Array.from(this.state.words.values()),
+            grid,
+            metadata: { ...this.state.metadata }
+        };
     }
 
     /**
-     * Підрахунок завершених слів
+     * Експорт кросворду у вибраний формат
      */
-   getCompletedWordsCount() {
-    let completed = 0;
-    
-    this.state.words.forEach(wordData => {
-        let wordCompleted = true;
-        
-        // Перевірити чи все слово заповнене правильно
-        for (let i = 0; i < wordData.word.length; i++) {
-            const row = wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow;
-            const col = wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol;
-            
-            if (row >= 0 && row < this.state.grid.length && 
-                col >= 0 && col < this.state.grid[0].length) {
-                
-                const cell = this.state.grid[row][col];
-                const expectedLetter = wordData.word[i];
-                
-                // Слово вважається завершеним тільки якщо всі літери правильні
-                if (!cell.letter || cell.letter !== expectedLetter) {
-                    wordCompleted = false;
+    exportCrossword() {
+        if (this.state.words.size === 0) {
+            this.showNotification('Немає слів для експорту', 'error');
+            return;
+        }
+
+        const format = this.elements.exportFormat?.value || 'json';
+        const data = this.getCrosswordData();
+        const fileName = window.CrosswordUtils.toFileName(data.metadata.title || 'crossword');
+
+        try {
+            let warnings = [];
+
+            switch (format) {
+                case 'puz': {
+                    const result = window.PuzHelper.writePuz({
+                        width: data.gridSize.width,
+                        height: data.gridSize.height,
+                        words: data.words,
+                        grid: data.grid,
+                        title: data.metadata.title,
+                        author: data.metadata.author,
+                        copyright: data.metadata.copyright,
+                        notes: data.metadata.notes
+                    });
+                    warnings = result.warnings;
+                    window.CrosswordUtils.downloadFile(result.data, `${fileName}.puz`, 'application/x-crossword');
                     break;
                 }
-            } else {
-                wordCompleted = false;
-                break;
+                case 'json': {
+                    const json = window.CrosswordUtils.exportToJSON(data);
+                    window.CrosswordUtils.downloadFile(json, `${fileName}.json`, 'application/json');
+                    break;
+                }
+                case 'ipuz': {
+                    const result = window.IpuzHelper.writeIpuz({
+                        width: data.gridSize.width,
+                        height: data.gridSize.height,
+                        words: data.words,
+                        grid: data.grid,
+                        metadata: data.metadata,
+                        extensions: data.metadata.ipuzExtensions
+                    });
+                    warnings = result.warnings;
+                    window.CrosswordUtils.downloadFile(JSON.stringify(result.data, null, 2), `${fileName}.ipuz`, 'application/json');
+                    break;
+                }
+                case 'svg':
+                case 'png':
+                    // Параметри зображення задаються в окремому вікні
+                    this.openImageExportModal(format);
+                    return;
+                default:
+                    throw new Error(`Невідомий формат: ${format}`);
             }
+
+            warnings.forEach(warning => this.showNotification(warning, 'warning'));
+            this.showNotification('Кросворд експортовано', 'success');
+        } catch (error) {
+            this.showNotification(`Помилка експорту: ${error.message}`, 'error');
+            console.error('Export error:', error);
         }
-        
-        if (wordCompleted) completed++;
-    });
-    
-    return completed;
-}
+    }
 
     /**
-     * Створення нового кросворду
+     * Вікно параметрів експорту зображення
+     * @param {string} format - 'svg' або 'png'
      */
-    newCrossword() {
-        if (this.state.hasUnsavedChanges) {
-            if (!confirm('Є незбережені зміни. Створити новий кросворд?')) {
-                return;
-            }
+    openImageExportModal(format) {
+        const modal = this.elements.imageExportModal;
+        if (!modal) return;
+
+        modal.dataset.format = format;
+        if (this.elements.imageExportTitle) {
+            this.elements.imageExportTitle.textContent = `Експорт зображення ${format.toUpperCase()}`;
         }
+        modal.querySelectorAll('.raster-only').forEach(element => {
+            element.style.display = format === 'png' ? '' : 'none';
+        });
 
-        this.state.words.clear();
-        this.state.grid = [];
-        this.state.selectedCell = null;
-        this.state.isGridGenerated = false;
-        this.state.hasUnsavedChanges = false;
-        
-        this.elements.gridContainer.innerHTML = '';
-        this.updateCluesPanel();
-        this.updateUI();
-        
-        this.showNotification('Новий кросворд створено', 'success');
+        this.openModal(modal);
     }
 
     /**
-     * Збереження кросворду
+     * Експорт сітки як SVG або PNG власним рендерером
      */
-    saveCrossword() {
-    const saveData = {
-        gridSize: this.state.gridSize,
-        words: Array.from(this.state.words.entries()),
-        grid: this.state.grid,
-        timestamp: new Date().toISOString()
-    };
+    async exportImage() {
+        const format = this.elements.imageExportModal?.dataset.format || 'png';
+        const data = this.getCrosswordData();
+        const fileName = window.CrosswordUtils.toFileName(data.metadata.title || 'crossword');
 
-    try {
-        localStorage.setItem('crossword_save', JSON.stringify(saveData));
-        this.state.hasUnsavedChanges = false;
-        this.state.lastSaveTime = new Date();
-        this.showNotification('Кросворд збережено', 'success');
-        
-        this.updateUI(); // Оновити стан всіх кнопок
-        // Або просто активувати кнопку гри якщо є слова:
-        if (this.state.words.size > 0 && this.elements.startGame) {
-            this.elements.startGame.disabled = false;
+        try {
+            const blob = await window.RenderHelper.exportAsImage(data.grid, format, {
+                showNumbers: Boolean(this.elements.imageShowNumbers?.checked),
+                showLetters: Boolean(this.elements.imageShowLetters?.checked),
+                theme: this.elements.imageTheme?.value,
+                blockedColor: this.elements.imageBlockedColor?.value,
+                cellSize: parseFloat(this.elements.imageCellSize?.value) || undefined,
+                dpi: parseInt(this.elements.imageDpi?.value, 10) || 96,
+                crop: true,
+                codeword: this.isCodeword() ? data.metadata.codeword : null
+            });
+
+            window.CrosswordUtils.downloadFile(blob, `${fileName}.${format}`);
+            this.closeModal();
+            this.showNotification('Зображення експортовано', 'success');
+        } catch (error) {
+            this.showNotification(`Помилка експорту: ${error.message}`, 'error');
+            console.error('Image export error:', error);
         }
-        
-    } catch (error) {
-        this.showNotification('Помилка збереження', 'error');
-        console.error('Save error:', error);
     }
-}
 
     /**
-     * Завантаження кросворду
+     * Імпорт кросворду з файлу (формат визначається за розширенням)
+     * @param {File} file - вибраний файл
      */
-    loadCrossword() {
+    async importCrossword(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
         try {
-            const saveData = localStorage.getItem('crossword_save');
-            if (!saveData) {
-                this.showNotification('Немає збережених даних', 'warning');
-                return;
+            let imported;
+
+            switch (extension) {
+                case 'puz': {
+                    const result = window.PuzHelper.readPuz(await file.arrayBuffer());
+                    imported = {
+                        gridSize: { width: result.width, height: result.height },
+                        words: result.words,
+                        grid: result.grid,
+                        metadata: {
+                            title: result.title,
+                            author: result.author,
+                            copyright: result.copyright,
+                            notes: result.notes
+                        },
+                        warnings: result.warnings
+                    };
+                    break;
+                }
+                case 'json':
+                    imported = window.CrosswordUtils.importFromJSON(await file.text());
+                    break;
+                case 'ipuz': {
+                    const result = window.IpuzHelper.readIpuz(await file.text());
+                    imported = {
+                        gridSize: { width: result.width, height: result.height },
+                        words: result.words,
+                        grid: result.grid,
+                        metadata: { ...result.metadata, ipuzExtensions: result.extensions },
+                        warnings: result.warnings
+                    };
+                    break;
+                }
+                default:
+                    throw new Error(`Непідтримуваний тип файлу: .${extension}`);
             }
 
-            const data = JSON.parse(saveData);
-            
-            this.state.gridSize = data.gridSize;
-            this.state.words = new Map(data.words);
-            this.state.grid = data.grid;
-            this.state.isGridGenerated = true;
-            this.state.hasUnsavedChanges = false;
-            
-            this.updateGridSizeInputs();
-            this.renderGrid();
-            this.updateCluesPanel();
-            this.updateUI();
-            
-            this.showNotification('Кросворд завантажено', 'success');
+            this.applyImportedCrossword(imported);
         } catch (error) {
-            this.showNotification('Помилка завантаження', 'error');
-            console.error('Load error:', error);
+            this.showNotification(`Помилка імпорту: ${error.message}`, 'error');
+            console.error('Import error:', error);
+        }
+    }
+
+    /**
+     * Застосування імпортованого кросворду до стану застосунку
+     * @param {Object} data - { gridSize, words, grid, metadata, warnings }
+     */
+    applyImportedCrossword(data) {
+        const { width, height } = data.gridSize;
+        if (!this.validateGridSize(width, height)) {
+            throw new Error(`Розмір сітки ${width}×${height} не підтримується`);
+        }
+
+        if (this.state.hasUnsavedChanges && !confirm('Є незбережені зміни. Відкрити імпортований кросворд?')) {
+            return;
         }
+
+        if (this.state.currentMode === 'game') {
+            this.switchToEditorMode();
+        }
+
+        const before = this.createSnapshot();
+
+        this.applyCrosswordData(data);
+        this.state.currentCrosswordId = null;
+        this.state.hasUnsavedChanges = true;
+
+        this.recordBulkChange(before, `Імпорт "${this.state.metadata.title || 'без назви'}"`);
+
+        (data.warnings || []).forEach(warning => this.showNotification(warning, 'warning'));
+        this.showNotification(`Кросворд "${this.state.metadata.title || 'без назви'}" імпортовано`, 'success');
+    }
+
+    /**
+     * Заміна поточного кросворду новими даними та перемальовування
+     * @param {Object} data - { gridSize, words (масив), grid, metadata }
+     */
+    applyCrosswordData(data) {
+        this.state.gridSize = { ...data.gridSize };
+        this.state.grid = data.grid;
+        this.state.words = new Map(data.words.map(wordData => [wordData.id, wordData]));
+        this.state.metadata = { ...this.createDefaultMetadata(), ...data.metadata };
+        this.state.selectedCell = null;
+        this.state.isGridGenerated = true;
+
+        // Номери з файлу замінюються стандартною нумерацією
+        this.rebuildGrid();
+
+        this.updateGridSizeInputs();
+        this.renderGrid();
+        this.updateCluesPanel();
+        this.updateUI();
     }
 
     /**
@@ -777,12 +3850,20 @@ class CrosswordApp {
     }
 
     /**
-     * Завантаження з localStorage при старті
+     * Відкриття останнього зміненого кросворду при старті (якщо увімкнено автозавантаження)
      */
-    loadFromLocalStorage() {
+    async loadFromLocalStorage() {
         const autoLoad = localStorage.getItem('crossword_autoload');
-        if (autoLoad === 'true') {
-            this.loadCrossword();
+        if (autoLoad !== 'true') return;
+
+        try {
+            await window.LibraryHelper.migrateLegacySave();
+            const [latest] = await window.LibraryHelper.listCrosswords();
+            if (latest) {
+                await this.loadCrossword(latest.id);
+            }
+        } catch (error) {
+            console.error('Autoload error:', error);
         }
     }
 
@@ -825,12 +3906,10 @@ class CrosswordApp {
         return 'word_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
-    getNextWordNumber() {
-        const numbers = Array.from(this.state.words.values()).map(w => w.number).filter(n => n);
-        return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
-    }
-
     updateGridSize() {
+        // Розмір існуючої сітки змінюється лише кнопкою "Змінити розмір"
+        if (this.state.isGridGenerated) return;
+
         const width = parseInt(this.elements.gridWidth.value);
         const height = parseInt(this.elements.gridHeight.value);
         
@@ -839,6 +3918,15 @@ class CrosswordApp {
         }
     }
 
+    openModal(modal) {
+        if (!this.elements.modalOverlay || !modal) return;
+
+        this.elements.modalOverlay.querySelectorAll('.modal').forEach(item => {
+            item.style.display = item === modal ? 'block' : 'none';
+        });
+        this.elements.modalOverlay.style.display = 'flex';
+    }
+
     closeModal() {
         if (this.elements.modalOverlay) {
             this.elements.modalOverlay.style.display = 'none';
@@ -846,6 +3934,33 @@ class CrosswordApp {
     }
 
     handleGlobalKeyPress(event) {
+        // Ctrl+Z / Ctrl+Shift+Z (або Ctrl+Y) для скасування та повторення.
+        // event.code не залежить від розкладки клавіатури
+        const isTextField = event.target.matches?.('input, textarea, select') &&
+            !this.elements.gridContainer?.contains(event.target);
+
+        if ((event.ctrlKey || event.metaKey) && !isTextField) {
+            if (event.code === 'KeyZ') {
+                event.preventDefault();
+                if (event.shiftKey) this.redo();
+                else this.undo();
+                return;
+            }
+
+            if (event.code === 'KeyY') {
+                event.preventDefault();
+                this.redo();
+                return;
+            }
+
+            // Ctrl+B для блокування вибраної клітинки
+            if (event.code === 'KeyB' && this.state.selectedCell) {
+                event.preventDefault();
+                this.toggleCellBlock(this.state.selectedCell.row, this.state.selectedCell.col);
+                return;
+            }
+        }
+
         // Ctrl+S для збереження
         if (event.ctrlKey && event.key === 's') {
             event.preventDefault();
@@ -858,9 +3973,10 @@ class CrosswordApp {
             this.newCrossword();
         }
         
-        // Escape для закриття модальних вікон
+        // Escape для закриття модальних вікон та контекстного меню
         if (event.key === 'Escape') {
             this.closeModal();
+            window.RenderHelper.removeContextMenu();
         }
     }
 
@@ -871,23 +3987,160 @@ class CrosswordApp {
         
         if (this.elements.addWord) this.elements.addWord.disabled = !hasGrid;
         if (this.elements.startGame) this.elements.startGame.disabled = !hasWords;
+
+        const isEditor = this.state.currentMode === 'editor';
+        if (this.elements.undo) this.elements.undo.disabled = !isEditor || !window.HistoryHelper.canUndo();
+        if (this.elements.redo) this.elements.redo.disabled = !isEditor || !window.HistoryHelper.canRedo();
+
+        this.updateCodewordPanel();
+        this.updateKeyWordStatus();
     }
 
+    /**
+     * Перехід до наступної клітинки активного слова. З пропуском заповнених клітинок
+     * курсор стає на наступну порожню, а в заповненому слові - переходить до наступного слова
+     */
     moveToNextCell(currentRow, currentCol) {
-        // Логіка для переходу до наступної клітинки слова
-        // Буде реалізована детальніше в наступних ітераціях
-        this.moveCell(currentRow, currentCol + 1);
+        const wordData = this.getActiveWord();
+        if (!wordData) {
+            this.moveCell(currentRow, currentCol + 1);
+            return;
+        }
+
+        const cells = this.getAnswerCells(wordData);
+        const index = cells.findIndex(({ row, col }) => row === currentRow && col === currentCol);
+        const following = cells.slice(index + 1);
+
+        if (!this.isSkippingFilled()) {
+            if (following[0]) this.selectCell(following[0].row, following[0].col);
+            return;
+        }
+
+        const empty = following.find(({ cell }) => !cell.letter) || cells.find(({ cell }) => !cell.letter);
+        if (empty) {
+            this.selectCell(empty.row, empty.col);
+        } else {
+            this.moveToEntry(1);
+        }
     }
 
+    /**
+     * Backspace у порожній клітинці: повернення до попередньої клітинки слова та її очищення
+     */
     moveToPreviousCell(currentRow, currentCol) {
-        // Логіка для переходу до попередньої клітинки слова
-        this.moveCell(currentRow, currentCol - 1);
+        const wordData = this.getActiveWord();
+        if (!wordData) {
+            this.moveCell(currentRow, currentCol - 1);
+            return;
+        }
+
+        const cells = this.getAnswerCells(wordData);
+        const index = cells.findIndex(({ row, col }) => row === currentRow && col === currentCol);
+        const previous = cells[index - 1];
+        if (!previous) return;
+
+        // Відкриті підказкою та стартові літери кейворду не стираються, як і літери завершеної гри
+        const isLocked = previous.cell.revealed || previous.cell.given || window.GameHelper.session?.finished;
+        if (this.state.currentMode === 'game' && !isLocked) {
+            previous.cell.letter = '';
+            this.updateGameCell(previous.row, previous.col);
+            if (this.isCodeword()) this.propagateCodewordLetter(previous.row, previous.col);
+            this.updateGameStats();
+            this.scheduleSolveSave();
+        }
+        this.selectCell(previous.row, previous.col);
     }
 
+    /**
+     * Контекстне меню клітинки в редакторі
+     */
     showContextMenu(row, col, x, y) {
-        // Контекстне меню для клітинок
-        // Буде реалізовано в наступних ітераціях
-        console.log(`Context menu для клітинки [${row}, ${col}] на позиції [${x}, ${y}]`);
+        const cell = this.state.grid[row]?.[col];
+        if (!cell || this.state.currentMode !== 'editor') return;
+
+        const words = [...new Set(cell.wordIds)]
+            .map(id => this.state.words.get(id))
+            .filter(Boolean);
+
+        const items = [
+            {
+                action: 'toggle-block',
+                label: cell.blocked ? 'Розблокувати клітинку' : 'Заблокувати клітинку',
+                disabled: Boolean(cell.metadata.clues)
+            },
+            {
+                action: 'toggle-key-cell',
+                label: cell.metadata.keyIndex
+                    ? `Зняти позначку ключової клітинки (${cell.metadata.keyIndex})`
+                    : `Позначити ключовою клітинкою (${this.getKeyCells().length + 1})`,
+                disabled: cell.blocked
+            },
+            { divider: true },
+            { action: 'start-horizontal', label: 'Нове слово звідси →', disabled: cell.blocked },
+            { action: 'start-vertical', label: 'Нове слово звідси ↓', disabled: cell.blocked }
+        ];
+
+        words.forEach(wordData => {
+            items.push(
+                { divider: true },
+                { action: `edit-clue:${wordData.id}`, label: `Редагувати підказку «${wordData.word}»` },
+                { action: `flip-word:${wordData.id}`, label: `Повернути «${wordData.word}» навколо літери «${cell.letter}»` },
+                { action: `toggle-lock:${wordData.id}`, label: wordData.locked === false ? `Закріпити «${wordData.word}»` : `Відкріпити «${wordData.word}»` },
+                { action: `word-report:${wordData.id}`, label: `Звіт валідації «${wordData.word}»` }
+            );
+        });
+
+        if (words.length > 0) {
+            items.push(
+                { divider: true },
+                { action: 'delete-words', label: words.length === 1 ? `Видалити слово «${words[0].word}»` : `Видалити слова через клітинку (${words.length})` }
+            );
+        }
+
+        this.selectCell(row, col);
+        window.RenderHelper.createContextMenu(items, x, y, { row, col, wordIds: words.map(w => w.id) });
+    }
+
+    /**
+     * Обробка дії з контекстного меню (подія contextMenuAction)
+     * @param {string} action - дія, для дій зі словом у форматі "дія:wordId"
+     * @param {Object} context - { row, col, wordIds }
+     */
+    handleContextMenuAction(action, context) {
+        if (!context) return;
+
+        const [name, wordId] = action.split(':');
+        const { row, col } = context;
+
+        switch (name) {
+            case 'toggle-block':
+                this.toggleCellBlock(row, col);
+                break;
+            case 'toggle-key-cell':
+                this.toggleKeyCell(row, col);
+                break;
+            case 'start-horizontal':
+            case 'start-vertical':
+                this.startWordAt(row, col, name === 'start-horizontal' ? 'horizontal' : 'vertical');
+                break;
+            case 'edit-clue':
+                this.editClue(wordId);
+                break;
+            case 'flip-word': {
+                const wordData = this.state.words.get(wordId);
+                if (wordData) this.flipWord(wordId, row - wordData.startRow + col - wordData.startCol);
+                break;
+            }
+            case 'toggle-lock':
+                this.toggleWordLock(wordId);
+                break;
+            case 'word-report':
+                this.showWordReport(wordId);
+                break;
+            case 'delete-words':
+                this.removeWords(context.wordIds);
+                break;
+        }
     }
 }
 
@@ -916,6 +4169,110 @@ window.CrosswordUtils = {
         return text.trim().toUpperCase().replace(/\s+/g, ' ');
     },
 
+    /**
+     * Екранування HTML-символів
+     */
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Розбір списку слів у форматі "СЛОВО — підказка" або CSV ("слово,підказка")
+     * Порожні рядки та рядки, що починаються з "#", пропускаються
+     * @returns {Object} { entries: [{word, clue, line}], errors: [{line, message}] }
+     */
+    parseWordList(text) {
+        const entries = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineNumber = index + 1;
+
+            if (!line || line.startsWith('#')) return;
+
+            // Заголовок CSV
+            if (index === 0 && /^"?(word|слово)"?\s*[,;\t]/i.test(line)) return;
+
+            const parts = this.splitWordListLine(line);
+            if (!parts) {
+                errors.push({ line: lineNumber, message: 'Не знайдено розділювач між словом та підказкою' });
+                return;
+            }
+
+            const word = parts.word.replace(/\s+/g, '').toUpperCase();
+            const clue = parts.clue.trim();
+
+            if (!word || !clue) {
+                errors.push({ line: lineNumber, message: 'Відсутнє слово або підказка' });
+                return;
+            }
+
+            entries.push({ word, clue, line: lineNumber });
+        });
+
+        return { entries, errors };
+    },
+
+    /**
+     * Розділення рядка списку на слово та підказку
+     * Тире всередині слова (ЧОРНО-БІЛИЙ) розділювачем не вважається
+     * @returns {Object|null} { word, clue }
+     */
+    splitWordListLine(line) {
+        // CSV з лапками: "слово","підказка, з комою"
+        const quoted = line.match(/^"([^"]*)"\s*[,;\t]\s*"?(.*?)"?$/);
+        if (quoted) {
+            return { word: quoted[1], clue: quoted[2].replace(/""/g, '"') };
+        }
+
+        const separators = [/\s*[—–]\s*/, /\s+-\s+/, /\t/, /\s*;\s*/, /\s*,\s*/];
+        for (const separator of separators) {
+            const match = line.match(separator);
+            if (match) {
+                return {
+                    word: line.slice(0, match.index),
+                    clue: line.slice(match.index + match[0].length)
+                };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Безпечна назва файлу з довільного рядка
+     */
+    toFileName(text) {
+        const name = text.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_');
+        return name || 'crossword';
+    },
+
+    /**
+     * Завантаження файлу в браузері
+     * @param {string|Uint8Array|Blob} content - вміст файлу
+     * @param {string} fileName - назва файлу
+     * @param {string} mimeType - MIME-тип
+     */
+    downloadFile(content, fileName, mimeType = 'application/octet-stream') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     /**
      * Генерація випадкового ID
      */
@@ -985,28 +4342,15 @@ window.CrosswordUtils = {
      * Експорт кросворду в JSON
      */
     exportToJSON(crosswordData) {
-        return JSON.stringify({
-            ...crosswordData,
-            exportDate: new Date().toISOString(),
-            version: '1.0'
-        }, null, 2);
+        return window.DocumentHelper.serialize(window.DocumentHelper.createDocument(crosswordData));
     },
 
     /**
-     * Імпорт кросворду з JSON
+     * Імпорт кросворду з JSON (будь-якої версії схеми, див. DocumentHelper)
+     * Помилка містить перелік некоректних полів
      */
     importFromJSON(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            // Додаткова валідація структури даних
-            if (!data.gridSize || !data.words || !data.grid) {
-                throw new Error('Некоректна структура даних');
-            }
-            return data;
-        } catch (error) {
-            console.error('Помилка імпорту:', error);
-            return null;
-        }
+        return window.DocumentHelper.readDocument(jsonString);
     },
 
     /**
@@ -1113,6 +4457,20 @@ window.CrosswordConstants = {
         MAX_LENGTH: 20
     },
 
+    DIFFICULTY_LABELS: {
+        easy: 'Легка',
+        medium: 'Середня',
+        hard: 'Складна'
+    },
+
+    CLUE_TYPE_LABELS: {
+        definition: 'Визначення',
+        cryptic: 'Криптична',
+        'fill-in': 'Пропуск',
+        anagram: 'Анаграма',
+        hidden: 'Приховане слово'
+    },
+
     STORAGE_KEYS: {
         CROSSWORD_SAVE: 'crossword_save',
         AUTO_LOAD: 'crossword_autoload',
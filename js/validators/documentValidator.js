@@ -0,0 +1,351 @@
+/**
+ * DocumentValidator - перевірка документа кросворду на відповідність схемі
+ * (схему описано в js/helpers/documentHelper.js)
+ * Кожна помилка містить шлях до поля, наприклад "words[3].direction: ..."
+ */
+class DocumentValidator {
+    constructor() {
+        this.rules = {
+            format: 'crossword-constructor',
+            minGridSize: 5, // межі GridHelper.config: інакше сітку документа не вдасться побудувати
+            maxGridSize: 25,
+            directions: ['horizontal', 'vertical'],
+            difficulties: ['easy', 'medium', 'hard'],
+            puzzleTypes: ['crossword', 'scanword', 'codeword'],
+            clueArrows: ['right', 'down', 'down-right', 'right-down'],
+            clueTypes: ['definition', 'cryptic', 'fill-in', 'anagram', 'hidden'],
+            clueParseFields: ['definition', 'indicator', 'fodder'],
+            metadataStrings: ['title', 'author', 'copyright', 'theme', 'notes']
+        };
+    }
+
+    /**
+     * Перевірка документа поточної версії
+     * @param {Object} doc - документ
+     * @param {number} version - очікувана версія схеми
+     * @returns {Object} { isValid, errors }
+     */
+    validateDocument(doc, version) {
+        const errors = [];
+        const error = (path, message) => errors.push(`${path}: ${message}`);
+
+        if (!this.isObject(doc)) {
+            return { isValid: false, errors: ['документ: має бути об\'єктом'] };
+        }
+
+        if (doc.format !== this.rules.format) {
+            error('format', `має бути "${this.rules.format}"`);
+        }
+        if (doc.version !== version) {
+            error('version', `має бути ${version}, отримано ${JSON.stringify(doc.version)}`);
+        }
+        if (doc.updatedAt !== undefined && Number.isNaN(Date.parse(doc.updatedAt))) {
+            error('updatedAt', 'має бути датою у форматі ISO 8601');
+        }
+
+        this.validateMetadata(doc.metadata, error);
+
+        const size = this.validateGridSize(doc.gridSize, error);
+        this.validateWords(doc.words, size, error);
+        this.validateCells(doc.cells, size, error);
+        this.validateHistory(doc.history, error);
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    validateMetadata(metadata, error) {
+        if (!this.isObject(metadata)) {
+            error('metadata', 'має бути об\'єктом');
+            return;
+        }
+
+        this.rules.metadataStrings.forEach(field => {
+            if (metadata[field] !== undefined && typeof metadata[field] !== 'string') {
+                error(`metadata.${field}`, 'має бути рядком');
+            }
+        });
+
+        if (metadata.difficulty !== undefined && !this.rules.difficulties.includes(metadata.difficulty)) {
+            error('metadata.difficulty', `має бути одним із: ${this.rules.difficulties.join(', ')}`);
+        }
+        if (metadata.puzzleType !== undefined && !this.rules.puzzleTypes.includes(metadata.puzzleType)) {
+            error('metadata.puzzleType', `має бути одним із: ${this.rules.puzzleTypes.join(', ')}`);
+        }
+        if (metadata.codeword !== undefined) {
+            this.validateCodeword(metadata.codeword, error);
+        }
+        if (metadata.ipuzExtensions !== undefined && !this.isObject(metadata.ipuzExtensions)) {
+            error('metadata.ipuzExtensions', 'має бути об\'єктом');
+        }
+    }
+
+    /**
+     * Шифр кейворду: різні додатні числа для літер, стартові літери - з ключа
+     */
+    validateCodeword(codeword, error) {
+        if (!this.isObject(codeword) || !this.isObject(codeword.key) || !Array.isArray(codeword.starters)) {
+            error('metadata.codeword', 'має бути об\'єктом { key, starters }');
+            return;
+        }
+
+        const numbers = new Map();
+        Object.entries(codeword.key).forEach(([letter, number]) => {
+            if (!Number.isInteger(number) || number < 1) {
+                error(`metadata.codeword.key.${letter}`, 'має бути додатним цілим числом');
+            } else if (numbers.has(number)) {
+                error(`metadata.codeword.key.${letter}`, `число ${number} вже має літера "${numbers.get(number)}"`);
+            } else {
+                numbers.set(number, letter);
+            }
+        });
+
+        codeword.starters.forEach((letter, index) => {
+            if (codeword.key[letter] === undefined) {
+                error(`metadata.codeword.starters[${index}]`, `літери "${letter}" немає в ключі`);
+            }
+        });
+    }
+
+    /**
+     * Структурована підказка: нумерація "5,3" / "4-4", тип і криптичний розбір з рядкових частин
+     * (відповідність розбору самій відповіді перевіряє WordValidator.validateStructuredClue)
+     */
+    validateClueDetails(wordData, path, error) {
+        if (wordData.enumeration !== undefined &&
+            (typeof wordData.enumeration !== 'string' || !window.WordValidator.parseEnumeration(wordData.enumeration))) {
+            error(`${path}.enumeration`, 'має бути рядком на кшталт "5", "5,3" або "4-4"');
+        }
+        if (wordData.clueType !== undefined && !this.rules.clueTypes.includes(wordData.clueType)) {
+            error(`${path}.clueType`, `має бути одним із: ${this.rules.clueTypes.join(', ')}`);
+        }
+        if (wordData.clueParse === undefined) return;
+
+        if (!this.isObject(wordData.clueParse)) {
+            error(`${path}.clueParse`, 'має бути об\'єктом { definition, indicator, fodder }');
+            return;
+        }
+        Object.entries(wordData.clueParse).forEach(([field, value]) => {
+            if (!this.rules.clueParseFields.includes(field)) {
+                error(`${path}.clueParse.${field}`, `невідоме поле; допустимі: ${this.rules.clueParseFields.join(', ')}`);
+            } else if (typeof value !== 'string') {
+                error(`${path}.clueParse.${field}`, 'має бути рядком');
+            }
+        });
+    }
+
+    /**
+     * @returns {Object|null} розмір сітки, якщо він коректний
+     */
+    validateGridSize(gridSize, error) {
+        if (!this.isObject(gridSize)) {
+            error('gridSize', 'має бути об\'єктом { width, height }');
+            return null;
+        }
+
+        let valid = true;
+        ['width', 'height'].forEach(field => {
+            const value = gridSize[field];
+            if (!Number.isInteger(value) || value < this.rules.minGridSize || value > this.rules.maxGridSize) {
+                error(`gridSize.${field}`, `має бути цілим числом від ${this.rules.minGridSize} до ${this.rules.maxGridSize}`);
+                valid = false;
+            }
+        });
+
+        return valid ? gridSize : null;
+    }
+
+    validateWords(words, size, error) {
+        if (!Array.isArray(words)) {
+            error('words', 'має бути масивом');
+            return;
+        }
+
+        const ids = new Map();
+        const letters = new Map();
+
+        words.forEach((wordData, index) => {
+            const path = `words[${index}]`;
+
+            if (!this.isObject(wordData)) {
+                error(path, 'має бути об\'єктом');
+                return;
+            }
+
+            if (typeof wordData.id !== 'string' || wordData.id === '') {
+                error(`${path}.id`, 'має бути непорожнім рядком');
+            } else if (ids.has(wordData.id)) {
+                error(`${path}.id`, `повторює id з words[${ids.get(wordData.id)}]`);
+            } else {
+                ids.set(wordData.id, index);
+            }
+
+            const hasWord = typeof wordData.word === 'string' && wordData.word.length > 0;
+            if (!hasWord) {
+                error(`${path}.word`, 'має бути непорожнім рядком');
+            }
+            if (typeof wordData.clue !== 'string') {
+                error(`${path}.clue`, 'має бути рядком');
+            }
+            if (!this.rules.directions.includes(wordData.direction)) {
+                error(`${path}.direction`, `має бути одним із: ${this.rules.directions.join(', ')}`);
+            }
+            if (wordData.locked !== undefined && typeof wordData.locked !== 'boolean') {
+                error(`${path}.locked`, 'має бути true або false');
+            }
+            this.validateClueDetails(wordData, path, error);
+            if (wordData.number !== null && wordData.number !== undefined &&
+                (!Number.isInteger(wordData.number) || wordData.number < 1)) {
+                error(`${path}.number`, 'має бути додатним цілим числом або null');
+            }
+
+            const hasPosition = ['startRow', 'startCol'].every(field => {
+                if (!Number.isInteger(wordData[field]) || wordData[field] < 0) {
+                    error(`${path}.${field}`, 'має бути невід\'ємним цілим числом');
+                    return false;
+                }
+                return true;
+            });
+
+            if (!size || !hasWord || !hasPosition || !this.rules.directions.includes(wordData.direction)) {
+                return;
+            }
+
+            // Межі сітки та узгодженість літер на пересіченнях
+            for (let i = 0; i < wordData.word.length; i++) {
+                const row = wordData.direction === 'vertical' ? wordData.startRow + i : wordData.startRow;
+                const col = wordData.direction === 'horizontal' ? wordData.startCol + i : wordData.startCol;
+
+                if (row >= size.height || col >= size.width) {
+                    error(path, `слово "${wordData.word}" виходить за межі сітки ${size.width}x${size.height}`);
+                    return;
+                }
+
+                const key = `${row}:${col}`;
+                const existing = letters.get(key);
+                if (existing && existing.letter !== wordData.word[i]) {
+                    error(`${path}.word`, `літера "${wordData.word[i]}" у клітинці (${row}, ${col}) конфліктує з "${existing.letter}" у words[${existing.index}]`);
+                } else if (!existing) {
+                    letters.set(key, { letter: wordData.word[i], index });
+                }
+            }
+        });
+    }
+
+    validateCells(cells, size, error) {
+        if (cells === undefined) return;
+
+        if (!Array.isArray(cells)) {
+            error('cells', 'має бути масивом');
+            return;
+        }
+
+        const keyIndices = new Map();
+
+        cells.forEach((cell, index) => {
+            const path = `cells[${index}]`;
+
+            if (!this.isObject(cell)) {
+                error(path, 'має бути об\'єктом');
+                return;
+            }
+
+            ['row', 'col'].forEach(field => {
+                if (!Number.isInteger(cell[field]) || cell[field] < 0) {
+                    error(`${path}.${field}`, 'має бути невід\'ємним цілим числом');
+                }
+            });
+
+            if (size && (cell.row >= size.height || cell.col >= size.width)) {
+                error(path, `клітинка (${cell.row}, ${cell.col}) поза межами сітки`);
+            }
+            if (cell.blocked !== undefined && typeof cell.blocked !== 'boolean') {
+                error(`${path}.blocked`, 'має бути true або false');
+            }
+            if (cell.metadata !== undefined && !this.isObject(cell.metadata)) {
+                error(`${path}.metadata`, 'має бути об\'єктом');
+            }
+            if (this.isObject(cell.metadata) && cell.metadata.clues !== undefined) {
+                this.validateCellClues(cell, path, error);
+            }
+            if (this.isObject(cell.metadata)) {
+                this.validateKeyCell(cell.metadata, path, keyIndices, error);
+            }
+        });
+    }
+
+    /**
+     * Ключова клітинка: обведення - true/false, порядковий номер - унікальне додатне ціле число
+     */
+    validateKeyCell(metadata, path, keyIndices, error) {
+        if (metadata.circled !== undefined && typeof metadata.circled !== 'boolean') {
+            error(`${path}.metadata.circled`, 'має бути true або false');
+        }
+        if (metadata.keyIndex === undefined) return;
+
+        if (!Number.isInteger(metadata.keyIndex) || metadata.keyIndex < 1) {
+            error(`${path}.metadata.keyIndex`, 'має бути додатним цілим числом');
+        } else if (keyIndices.has(metadata.keyIndex)) {
+            error(`${path}.metadata.keyIndex`, `номер ${metadata.keyIndex} вже має ${keyIndices.get(metadata.keyIndex)}`);
+        } else {
+            keyIndices.set(metadata.keyIndex, path);
+        }
+    }
+
+    /**
+     * Підказки клітинки сканворду: заблокована клітинка з 1-2 підказками { wordId, text, arrow }
+     */
+    validateCellClues(cell, path, error) {
+        const clues = cell.metadata.clues;
+
+        if (!Array.isArray(clues) || clues.length < 1 || clues.length > 2) {
+            error(`${path}.metadata.clues`, 'має бути масивом з однієї чи двох підказок');
+            return;
+        }
+        if (cell.blocked !== true) {
+            error(`${path}.blocked`, 'клітинка з підказками має бути заблокованою');
+        }
+
+        clues.forEach((clue, index) => {
+            const cluePath = `${path}.metadata.clues[${index}]`;
+            if (!this.isObject(clue) || typeof clue.wordId !== 'string' || typeof clue.text !== 'string') {
+                error(cluePath, 'має бути об\'єктом { wordId, text, arrow }');
+            } else if (!this.rules.clueArrows.includes(clue.arrow)) {
+                error(`${cluePath}.arrow`, `має бути одним із: ${this.rules.clueArrows.join(', ')}`);
+            }
+        });
+    }
+
+    validateHistory(history, error) {
+        if (history === undefined) return;
+
+        if (!this.isObject(history)) {
+            error('history', 'має бути об\'єктом { undo, redo }');
+            return;
+        }
+
+        ['undo', 'redo'].forEach(stack => {
+            if (!Array.isArray(history[stack])) {
+                error(`history.${stack}`, 'має бути масивом');
+                return;
+            }
+
+            history[stack].forEach((entry, index) => {
+                if (!this.isObject(entry) || typeof entry.type !== 'string' || !this.isObject(entry.payload)) {
+                    error(`history.${stack}[${index}]`, 'має бути об\'єктом { type, label, payload }');
+                }
+            });
+        });
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Створення глобального екземпляра
+window.DocumentValidator = new DocumentValidator();
+
+// Експорт для використання в модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentValidator;
+}
@@ -582,38 +582,86 @@ class GridValidator {
     analyzeSymmetry(grid) {
         const height = grid.length;
         const width = grid[0]?.length || 0;
-        
-        let horizontalSymmetry = 0;
-        let verticalSymmetry = 0;
-        let totalComparisons = 0;
 
-        // Горизонтальна симетрія
-        for (let row = 0; row < Math.floor(height / 2); row++) {
-            const mirrorRow = height - 1 - row;
-            for (let col = 0; col < width; col++) {
-                totalComparisons++;
-                if (grid[row][col].blocked === grid[mirrorRow][col].blocked) {
-                    horizontalSymmetry++;
-                }
-            }
-        }
+        // Частка клітинок, стан блокування яких збігається з дзеркальною клітинкою
+        const measure = mirror => {
+            let matches = 0;
+            let total = 0;
 
-        // Вертикальна симетрія
-        totalComparisons = 0;
-        for (let col = 0; col < Math.floor(width / 2); col++) {
-            const mirrorCol = width - 1 - col;
             for (let row = 0; row < height; row++) {
-                totalComparisons++;
-                if (grid[row][col].blocked === grid[row][mirrorCol].blocked) {
-                    verticalSymmetry++;
+                for (let col = 0; col < width; col++) {
+                    const [mirrorRow, mirrorCol] = mirror(row, col);
+                    if (mirrorRow >= height || mirrorCol >= width) continue;
+
+                    total++;
+                    if (grid[row][col].blocked === grid[mirrorRow][mirrorCol].blocked) matches++;
                 }
             }
-        }
+
+            return total > 0 ? matches / total : 0;
+        };
 
         return {
-            horizontal: totalComparisons > 0 ? horizontalSymmetry / totalComparisons : 0,
-            vertical: totalComparisons > 0 ? verticalSymmetry / totalComparisons : 0
+            horizontal: measure((row, col) => [height - 1 - row, col]),
+            vertical: measure((row, col) => [row, width - 1 - col]),
+            rotational: measure((row, col) => [height - 1 - row, width - 1 - col]),
+            diagonal: width === height ? measure((row, col) => [col, row]) : 0
+        };
+    }
+
+    /**
+     * Перевірка візерунка чорних клітинок (американський стиль):
+     * кожна біла клітинка має входити у два слова, слоти - щонайменше з трьох літер,
+     * білі клітинки мають утворювати одну зв'язну область
+     * @param {Array} grid - сітка
+     * @returns {Object} { isValid, errors, warnings, details: { uncheckedCells, shortSlots, regions, symmetry } }
+     */
+    validateBlockPattern(grid) {
+        const result = { isValid: true, errors: [], warnings: [], details: {} };
+
+        // Ряди білих клітинок будь-якої довжини, зокрема однолітерні
+        const runs = window.GridHelper.findSlots(grid, 1);
+        const runLengths = new Map();
+        runs.forEach(slot => slot.cells.forEach(({ row, col }) => {
+            runLengths.set(`${slot.direction}:${row}:${col}`, slot.length);
+        }));
+
+        const uncheckedCells = [];
+        grid.forEach((rowCells, row) => rowCells.forEach((cell, col) => {
+            if (cell.blocked) return;
+
+            const across = runLengths.get(`horizontal:${row}:${col}`);
+            const down = runLengths.get(`vertical:${row}:${col}`);
+            if (across < 2 || down < 2) uncheckedCells.push({ row, col });
+        }));
+
+        const shortSlots = runs.filter(slot => slot.length <= 2);
+        const singleLetterSlots = shortSlots.filter(slot => slot.length === 1).length;
+        const twoLetterSlots = shortSlots.length - singleLetterSlots;
+        const regions = this.findConnectedComponents(grid, { includeEmpty: true });
+
+        if (uncheckedCells.length > 0) {
+            result.errors.push(`Неперевірені літери (входять лише в одне слово): ${uncheckedCells.length}`);
+        }
+        if (singleLetterSlots > 0) {
+            result.errors.push(`Однолітерні слоти: ${singleLetterSlots}`);
+        }
+        if (twoLetterSlots > 0) {
+            result.warnings.push(`Дволітерні слоти: ${twoLetterSlots}`);
+        }
+        if (regions.length > 1) {
+            result.errors.push(`Білі клітинки розділено на ${regions.length} окремі області`);
+        }
+
+        result.isValid = result.errors.length === 0;
+        result.details = {
+            uncheckedCells,
+            shortSlots,
+            regions,
+            symmetry: this.analyzeSymmetry(grid)
         };
+
+        return result;
     }
 
     /**
@@ -744,15 +792,17 @@ class GridValidator {
     /**
      * Знаходження зв'язних компонентів
      * @param {Array} grid - сітка
+     * @param {Object} options - { includeEmpty: враховувати порожні білі клітинки (візерунок блоків) }
      * @returns {Array} масив компонентів
      */
-    findConnectedComponents(grid) {
+    findConnectedComponents(grid, options = {}) {
         const visited = grid.map(row => row.map(() => false));
         const components = [];
+        const isOpen = cell => !cell.blocked && (options.includeEmpty || Boolean(cell.letter));
         
         const dfs = (row, col, component) => {
             if (row < 0 || row >= grid.length || col < 0 || col >= grid[0].length ||
-                visited[row][col] || grid[row][col].blocked || !grid[row][col].letter) {
+                visited[row][col] || !isOpen(grid[row][col])) {
                 return;
             }
             
@@ -768,7 +818,7 @@ class GridValidator {
 
         for (let row = 0; row < grid.length; row++) {
             for (let col = 0; col < grid[0].length; col++) {
-                if (!visited[row][col] && !grid[row][col].blocked && grid[row][col].letter) {
+                if (!visited[row][col] && isOpen(grid[row][col])) {
                     const component = [];
                     dfs(row, col, component);
                     if (component.length > 0) {
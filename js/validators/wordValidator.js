@@ -27,6 +27,11 @@ class WordValidator {
             obviousClueThreshold: 0.8,
             grammarCheckEnabled: true,
             profanityCheckEnabled: true,
+
+            // Структуровані підказки: типи та ті з них, що мають криптичний розбір
+            clueTypes: ['definition', 'cryptic', 'fill-in', 'anagram', 'hidden'],
+            crypticClueTypes: ['cryptic', 'anagram', 'hidden'],
+            enumerationPattern: /^\d+(\s*[,-]\s*\d+)*$/,
             
             // Складність
             difficultyLevels: {
@@ -913,6 +918,10 @@ class WordValidator {
      */
     identifyClueType(clue) {
         const clueLower = clue.toLowerCase();
+
+        if (/_{2,}|\.{3}|…/.test(clueLower)) {
+            return 'fill-in';
+        }
         
         if (clueLower.includes('це') || clueLower.includes('той') || clueLower.includes('який')) {
             return 'definition';
@@ -1200,6 +1209,127 @@ class WordValidator {
         
         return true;
     }
+
+    /**
+     * Розбір нумерації відповіді: "(5,3)" - два слова, "(4-4)" - слово через дефіс
+     * @param {string} enumeration - нумерація з дужками чи без
+     * @returns {Object|null} { text: '5,3', lengths: [5, 3], total: 8 } або null, якщо формат невірний
+     */
+    parseEnumeration(enumeration) {
+        const text = String(enumeration ?? '').trim().replace(/^\((.*)\)$/, '$1').replace(/\s+/g, '');
+        if (!this.rules.enumerationPattern.test(text)) return null;
+
+        const lengths = text.split(/[,-]/).map(Number);
+        if (lengths.some(length => length < 1)) return null;
+
+        return { text, lengths, total: lengths.reduce((sum, length) => sum + length, 0) };
+    }
+
+    /**
+     * Тип структурованої підказки за замовчуванням (за identifyClueType)
+     * @param {string} clue - текст підказки
+     * @returns {string} тип з rules.clueTypes
+     */
+    suggestClueType(clue) {
+        const type = this.identifyClueType(String(clue ?? ''));
+        return this.rules.clueTypes.includes(type) ? type : 'definition';
+    }
+
+    /**
+     * Перевірка структурованої підказки щодо відповіді: нумерація, тип і криптичний розбір
+     * (визначення, індикатор, матеріал). Частини розбору мають бути фрагментами тексту підказки;
+     * матеріал анаграми має складатися з літер відповіді, а прихованого слова - містити її.
+     * @param {string} word - відповідь
+     * @param {Object} details - { clue, enumeration, clueType, clueParse: { definition, indicator, fodder } }
+     * @returns {Object} { isValid, errors, warnings }
+     */
+    validateStructuredClue(word, details = {}) {
+        const result = { isValid: true, errors: [], warnings: [] };
+        const answer = this.normalizeLetters(word);
+        const clue = String(details.clue ?? '');
+
+        if (details.enumeration) {
+            const enumeration = this.parseEnumeration(details.enumeration);
+            const letters = window.WordHelper.countLetters(word);
+            if (!enumeration) {
+                result.errors.push(`Нумерація "${details.enumeration}" має бути у вигляді (5), (5,3) або (4-4)`);
+            } else if (enumeration.total !== letters) {
+                result.errors.push(`Нумерація (${enumeration.text}) дає ${enumeration.total} літер, а у відповіді ${letters}`);
+            }
+        }
+
+        const type = details.clueType;
+        if (type !== undefined && !this.rules.clueTypes.includes(type)) {
+            result.errors.push(`Невідомий тип підказки: ${type}`);
+        }
+        if (type === 'fill-in' && this.identifyClueType(clue) !== 'fill-in') {
+            result.warnings.push('Підказка з пропуском має містити пропуск: ___ або …');
+        }
+
+        const parse = details.clueParse;
+        if (parse) {
+            this.validateClueParse(answer, clue, type, parse, result);
+        }
+
+        result.isValid = result.errors.length === 0;
+        return result;
+    }
+
+    /**
+     * Перевірка криптичного розбору
+     * @param {string} answer - відповідь (лише літери)
+     * @param {string} clue - текст підказки
+     * @param {string} type - тип підказки
+     * @param {Object} parse - { definition, indicator, fodder }
+     * @param {Object} result - результат перевірки
+     */
+    validateClueParse(answer, clue, type, parse, result) {
+        if (!this.rules.crypticClueTypes.includes(type)) {
+            result.warnings.push('Розбір використовується лише для криптичних підказок');
+        }
+
+        const clueLower = clue.toLowerCase();
+        const labels = { definition: 'Визначення', indicator: 'Індикатор', fodder: 'Матеріал' };
+        Object.entries(labels).forEach(([part, label]) => {
+            if (parse[part] && !clueLower.includes(parse[part].toLowerCase())) {
+                result.errors.push(`${label} "${parse[part]}" не знайдено в тексті підказки`);
+            }
+        });
+
+        // Визначення криптичної підказки стоїть на її початку або в кінці
+        if (parse.definition) {
+            const text = clueLower.replace(/\s*\([\d,\s-]+\)\s*$/, '').replace(/[.!?]+$/, '').trim();
+            const definition = parse.definition.toLowerCase().trim();
+            if (!text.startsWith(definition) && !text.endsWith(definition)) {
+                result.warnings.push('Визначення зазвичай стоїть на початку або в кінці підказки');
+            }
+        }
+
+        if (type === 'anagram' || type === 'hidden') {
+            if (!parse.fodder) {
+                result.errors.push('Для перевірки вкажіть матеріал (fodder)');
+                return;
+            }
+            if (!parse.indicator) {
+                result.warnings.push('Не вказано індикатор');
+            }
+
+            const fodder = this.normalizeLetters(parse.fodder);
+            if (type === 'anagram' && !this.areAnagrams(fodder, answer)) {
+                result.errors.push(`Літери матеріалу "${parse.fodder}" не утворюють анаграму відповіді`);
+            }
+            if (type === 'hidden' && !fodder.includes(answer)) {
+                result.errors.push(`Відповіді немає в матеріалі "${parse.fodder}"`);
+            }
+        }
+    }
+
+    /**
+     * Лише літери у верхньому регістрі (для порівняння відповіді з матеріалом)
+     */
+    normalizeLetters(text) {
+        return String(text ?? '').toUpperCase().replace(/[^А-ЯІЇЄҐA-Z]/g, '');
+    }
 }
 
 // Створення глобального екземпляра